@@ -0,0 +1,135 @@
+/**
+ * @fileOverview  A persisted audit log of all record changes, telling who
+ *   changed which properties of a record when, with their old and new values
+ * @author Phong Vu Thanh
+ */
+import { storageManager } from "./StorageManager.mjs";
+
+/**
+ * An audit log, in which each entry describes the change of one record
+ * by a create, update or destroy operation. The entries are derived from
+ * the record changes reported by the storage manager and stored in an
+ * untracked table, whose own writes are not reported again. Only the
+ * latest entries are kept, the oldest ones being deleted when logging takes
+ * their number over the maximum, which is tracked by the list of their IDs.
+ * @class
+ * @param {string} tableName  The name of the table holding the log entries
+ * @param {number} maxEntries  The maximum number of entries kept
+ */
+class AuditLog {
+  constructor (tableName, maxEntries) {
+    this.tableName = tableName;
+    this.maxEntries = maxEntries;
+    this.defaultOperator = "anonymous";
+    this.sequenceNo = 0;
+    this.ids = null;  // the sorted IDs of the stored entries, once retrieved
+    storageManager.defineTable( tableName, "id", {tracked: false});
+  }
+  /**
+   * The name of the operator, who is recorded with each change, as set on
+   * the start page of the app
+   */
+  get operator() {
+    return (typeof localStorage !== "undefined" && localStorage["operatorName"]) ||
+        this.defaultOperator;
+  }
+  set operator( name) {
+    if (typeof localStorage !== "undefined") localStorage["operatorName"] = name.trim();
+    else this.defaultOperator = name.trim();
+  }
+  /**
+   * Create a log entry for a record change
+   * @param {{tableName: string, key: string|number, before: object, after: object}} change
+   * @param {string} [operator]  Overrides the operator set on the start page
+   * @return {object}
+   */
+  createEntry({tableName, key, before, after}, operator) {
+    const operation = !before ? "create" : !after ? "destroy" : "update",
+          properties = new Set( Object.keys( before || {}).concat( Object.keys( after || {}))),
+          changes = [];
+    for (const property of properties) {
+      const oldValue = before ? before[property] : undefined,
+            newValue = after ? after[property] : undefined;
+      if (JSON.stringify( oldValue) !== JSON.stringify( newValue)) {
+        changes.push({property, oldValue: oldValue ?? null, newValue: newValue ?? null});
+      }
+    }
+    const timestamp = new Date();
+    // the zero-padded sequence number orders the entries of the same millisecond
+    const sequenceNo = String( ++this.sequenceNo).padStart( 6, "0");
+    return {id: `${timestamp.getTime()}-${sequenceNo}-${Math.random().toString(36).slice(2, 6)}`,
+        tableName, key: String( key), timestamp: timestamp.toISOString(),
+        operator: operator || this.operator, operation, changes};
+  }
+  /**
+   * Log the changes of a single write or transaction and delete the entries
+   * exceeding the maximum number of entries, where the changes that could
+   * not be logged are reported by the rejected promise
+   * @param {Array<object>} changes  A list of {tableName, key, before, after}
+   * @param {string} [origin]  Changes received from a remote catalogue
+   *     are logged with the operator "sync"
+   */
+  async record( changes, origin) {
+    // stamp all entries at once, before any later change is logged
+    const operator = origin === "sync" ? "sync" : undefined,
+          entries = changes.map( change => this.createEntry( change, operator)),
+          errors = [];
+    for (const entry of entries) {
+      try {
+        await storageManager.add( this.tableName, entry);
+        if (this.ids) this.ids.push( entry.id);
+      } catch (e) {
+        errors.push(`Error when logging the change of ${entry.tableName} record ${entry.key}\n` + e);
+      }
+    }
+    try {
+      await this.prune();
+    } catch (e) {
+      errors.push(`Error when deleting the oldest entries of the audit log\n` + e);
+    }
+    if (errors.length > 0) throw new Error( errors.join("\n"));
+  }
+  /**
+   * Delete the oldest entries exceeding the maximum number of entries, where
+   * the IDs of the entries start with their timestamp. The IDs are only
+   * retrieved once, while the entries logged in other tabs since are left
+   * to be deleted there.
+   */
+  async prune() {
+    if (!this.ids) {
+      this.ids = Object.keys( await storageManager.retrieveAll( this.tableName)).sort();
+    }
+    if (this.ids.length <= this.maxEntries) return;
+    const oldIds = this.ids.splice( 0, this.ids.length - this.maxEntries);
+    try {
+      await storageManager.runTransaction( [], async () => {
+        for (const id of oldIds) await storageManager.destroy( this.tableName, id);
+      });
+    } catch (e) {
+      this.ids = oldIds.concat( this.ids);
+      throw e;
+    }
+  }
+  /**
+   * Retrieve the log entries of a record in chronological order
+   * @param {Array<string>} tableNames  The tables, in which the record may
+   *     have been stored (e.g., "people", "actors" and "directors")
+   * @param {string|number} key
+   * @return {Promise<Array<object>>}
+   */
+  async retrieveRecordHistory( tableNames, key) {
+    const entries = await storageManager.retrieveAll( this.tableName);
+    return Object.values( entries)
+        .filter( entry => tableNames.includes( entry.tableName) && entry.key === String( key))
+        .sort( (e1, e2) => e1.timestamp.localeCompare( e2.timestamp) || e1.id.localeCompare( e2.id));
+  }
+}
+
+/**
+ * The audit log of the app, logging all record changes of the model classes,
+ * of which the latest 1000 are kept
+ */
+const auditLog = new AuditLog("auditLog", 1000);
+storageManager.onChange( (changes, origin) => auditLog.record( changes, origin));
+
+export { AuditLog, auditLog };
@@ -0,0 +1,188 @@
+/**
+ * @fileOverview  An undo/redo history of the create, update and delete
+ *   operations of all model classes, recorded from the record changes
+ *   reported by the storage manager and kept in Local Storage, so that it
+ *   survives page reloads and is shared by all management pages
+ * @author Phong Vu Thanh
+ */
+import { StorageManager, storageManager } from "./StorageManager.mjs";
+import { getClassByTableName } from "./properties.mjs";
+
+/**
+ * A command history, in which each entry holds the record changes of one
+ * operation, that is, of one single write or one transaction (e.g., the
+ * deletion of an actor together with the deletion of its movies), along with
+ * the schema version of their records
+ * @class
+ * @param {string} storageKey  The Local Storage key of the history
+ * @param {number} maxLength  The maximum number of undoable operations
+ */
+class CommandHistory {
+  constructor (storageKey, maxLength) {
+    this.storageKey = storageKey;
+    this.maxLength = maxLength;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.listeners = [];
+    this.load();
+  }
+  /**
+   * Read the history from Local Storage, where another page or tab may
+   * have changed it, leaving out the entries recorded before the stored
+   * records have been migrated, which cannot be written anymore
+   */
+  load() {
+    if (typeof localStorage === "undefined") return;
+    try {
+      const history = JSON.parse( localStorage[this.storageKey] || "{}"),
+            isCurrent = entry => entry.schemaVersion === storageManager.schemaVersion;
+      this.undoStack = (history.undoStack || []).filter( isCurrent);
+      this.redoStack = (history.redoStack || []).filter( isCurrent);
+    } catch (e) {
+      console.log(`Error when reading the command history\n` + e);
+    }
+  }
+  save() {
+    if (typeof localStorage === "undefined") return;
+    try {
+      localStorage[this.storageKey] = JSON.stringify(
+          {undoStack: this.undoStack, redoStack: this.redoStack});
+    } catch (e) {
+      console.log(`Error when writing the command history\n` + e);
+    }
+    for (const listener of this.listeners) listener();
+  }
+  /**
+   * Record the changes of an operation as a new undoable entry, which
+   * invalidates the redo stack, unless they have been written by undoing
+   * or redoing, or have been received from a remote catalogue
+   * @param {Array<object>} changes  A list of {tableName, key, before, after}
+   * @param {string} [origin]
+   */
+  record( changes, origin) {
+    if (origin === "history" || origin === "sync") return;
+    this.load();
+    this.undoStack.push({label: CommandHistory.describe( changes),
+        schemaVersion: storageManager.schemaVersion, changes});
+    if (this.undoStack.length > this.maxLength) this.undoStack.shift();
+    this.redoStack = [];
+    this.save();
+  }
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  /**
+   * Undo the last operation by restoring the records before its changes
+   * in reverse order, so that, e.g., a deleted actor is restored before
+   * the movies referencing it. An operation, whose records are rejected,
+   * is removed from the history.
+   */
+  async undo() {
+    this.load();
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+    this.checkReplay( entry, await this.replay( entry.changes.slice().reverse().map(
+        ({tableName, key, before}) => ({tableName, key, record: before}))));
+    this.redoStack.push( entry);
+    this.save();
+    console.log(`Undone: ${entry.label}`);
+  }
+  /**
+   * Redo the last undone operation by writing its changes again, unless
+   * its records are rejected, in which case it is removed from the history
+   */
+  async redo() {
+    this.load();
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+    this.checkReplay( entry, await this.replay( entry.changes.map(
+        ({tableName, key, after}) => ({tableName, key, record: after}))));
+    this.undoStack.push( entry);
+    this.save();
+    console.log(`Redone: ${entry.label}`);
+  }
+  /**
+   * Write records again in a transaction, in which they are merged into the
+   * instances maps of their classes, whose setters run all constraint and
+   * reference checks, and which is rolled back if a record is rejected
+   * (e.g., since it refers to a person deleted in the meantime)
+   * @param {Array<object>} entries  A list of {tableName, key, record}
+   * @return {Promise<Array<object>>}  The rejected entries
+   */
+  async replay( entries) {
+    const classes = [...new Set( entries.map( ({tableName}) => getClassByTableName( tableName)))]
+        .filter( Class => Class);
+    var rejected = [];
+    try {
+      await storageManager.runTransaction( classes, async function () {
+        await storageManager.applyChanges( entries, "history");
+        rejected = entries.filter( entry => !CommandHistory.isMerged( entry));
+        if (rejected.length > 0) throw new Error("Rejected records");
+      });
+    } catch (e) {
+      if (rejected.length === 0) throw e;
+    }
+    return rejected;
+  }
+  /**
+   * Remove an operation from the history, if its records have been rejected
+   * @param {object} entry  The entry of the operation, which has been
+   *     taken from its stack
+   * @param {Array<object>} rejected  The rejected {tableName, key} entries
+   */
+  checkReplay( entry, rejected) {
+    if (rejected.length === 0) return;
+    this.save();
+    throw new Error(`"${entry.label}" has been removed from the history, since it would ` +
+        "write invalid records: " + rejected.map( ({tableName, key}) => `${tableName} ${key}`).join(", "));
+  }
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.save();
+  }
+  /**
+   * Register a listener, which is invoked whenever the history has changed
+   * @param {function} listener
+   */
+  onUpdate( listener) {
+    this.listeners.push( listener);
+  }
+  /**
+   * Check if a written record has been merged into the instances map of its
+   * class unchanged, unless it stands for a deletion, or its table is not
+   * loaded on this page
+   * @param {{tableName: string, key: string, record: object}} entry
+   * @return {boolean}
+   */
+  static isMerged({tableName, key, record}) {
+    const Class = getClassByTableName( tableName);
+    if (!record || !Class || !storageManager.retrievedTables.has( tableName)) return true;
+    const obj = Class.instances[key];
+    return Boolean( obj) &&
+        JSON.stringify( StorageManager.toRecord( obj)) === JSON.stringify( record);
+  }
+  /**
+   * Describe the changes of an operation by its first change, e.g.,
+   * "delete actors 6 (and 2 more records)"
+   * @param {Array<object>} changes
+   * @return {string}
+   */
+  static describe( changes) {
+    const {tableName, key, before, after} = changes[0],
+          operation = !before ? "add" : !after ? "delete" : "update",
+          more = changes.length > 1 ? ` (and ${changes.length - 1} more records)` : "";
+    return `${operation} ${tableName} ${key}${more}`;
+  }
+}
+
+/**
+ * The command history of the app, recording all operations of this tab
+ */
+const commandHistory = new CommandHistory("commandHistory", 50);
+storageManager.onChange( (changes, origin) => commandHistory.record( changes, origin));
+
+export { CommandHistory, commandHistory };
@@ -0,0 +1,113 @@
+/**
+ * @fileOverview  Defines a storage adapter for Node.js, which keeps the entity
+ *   tables as JSON files, for running the model classes outside of a browser
+ * @author Phong Vu Thanh
+ */
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+/**
+ * Storage adapter keeping each entity table as a JSON-serialized map of
+ * records in a file of the data directory (e.g. data/movies.json). Files are
+ * replaced by renaming a completely written temporary file, and a batch of
+ * writes spanning several tables is first recorded in a journal file, so that
+ * it can be completed after the process died while applying it.
+ * @class
+ * @param {string} dataDir  The directory of the table files
+ */
+class FileStorageAdapter {
+  constructor (dataDir) {
+    this.name = "File";
+    this.dataDir = dataDir;
+    this.writing = Promise.resolve();  // serializes the read-modify-write cycles
+  }
+  getFilePath( tableName) {
+    return path.join( this.dataDir, `${tableName}.json`);
+  }
+  async readFile( fileName) {
+    try {
+      return JSON.parse( await fs.readFile( path.join( this.dataDir, fileName), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+  async writeFile( fileName, data) {
+    const filePath = path.join( this.dataDir, fileName);
+    await fs.mkdir( this.dataDir, {recursive: true});
+    await fs.writeFile( filePath + ".tmp", JSON.stringify( data, null, 2));
+    await fs.rename( filePath + ".tmp", filePath);
+  }
+  /**
+   * Run a write operation after all previously started ones have finished
+   * @param {function} write  An async function
+   */
+  serialize( write) {
+    const result = this.writing.then( write);
+    this.writing = result.catch( () => {});
+    return result;
+  }
+  async retrieveAll( tableName) {
+    return (await this.readFile(`${tableName}.json`)) || {};
+  }
+  async saveAll( tableName, records) {
+    await this.serialize( () => this.writeFile(`${tableName}.json`, records));
+  }
+  async put( tableName, key, record) {
+    await this.serialize( async () => {
+      const records = await this.retrieveAll( tableName);
+      records[key] = record;
+      await this.writeFile(`${tableName}.json`, records);
+    });
+  }
+  async destroy( tableName, key) {
+    await this.serialize( async () => {
+      const records = await this.retrieveAll( tableName);
+      delete records[key];
+      await this.writeFile(`${tableName}.json`, records);
+    });
+  }
+  async clearTables( tableNames) {
+    await this.serialize( async () => {
+      for (const tableName of tableNames) await this.writeFile(`${tableName}.json`, {});
+    });
+  }
+  async dropTable( tableName) {
+    await this.serialize( () => fs.rm( this.getFilePath( tableName), {force: true}));
+  }
+  /**
+   * Write a batch of changes to several tables all or nothing
+   * @param {object} batch  A map of table names to {cleared, entries} changes
+   */
+  async writeBatch( batch) {
+    await this.serialize( async () => {
+      await this.writeFile("journal.json", batch);
+      await this.applyBatch( batch);
+      await fs.rm( path.join( this.dataDir, "journal.json"), {force: true});
+    });
+  }
+  async applyBatch( batch) {
+    for (const tableName of Object.keys( batch)) {
+      const {cleared, entries} = batch[tableName],
+            records = cleared ? {} : await this.retrieveAll( tableName);
+      for (const {key, record} of Object.values( entries)) {
+        if (record === null) delete records[key];
+        else records[key] = record;
+      }
+      await this.writeFile(`${tableName}.json`, records);
+    }
+  }
+  /**
+   * Complete a batch that has been interrupted
+   */
+  async recover() {
+    const batch = await this.readFile("journal.json");
+    if (batch) {
+      await this.applyBatch( batch);
+      await fs.rm( path.join( this.dataDir, "journal.json"), {force: true});
+      console.log("Interrupted transaction completed.");
+    }
+  }
+}
+
+export { FileStorageAdapter };
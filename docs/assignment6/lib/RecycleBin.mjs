@@ -0,0 +1,97 @@
+/**
+ * @fileOverview  A recycle bin keeping the records deleted by destroy
+ *   operations, including those deleted by cascades, until they are restored
+ *   or purged
+ * @author Phong Vu Thanh
+ */
+import { storageManager } from "./StorageManager.mjs";
+import { auditLog } from "./AuditLog.mjs";
+
+/**
+ * A recycle bin, whose entries are derived from the record changes reported
+ * by the storage manager and stored in an untracked table. The records
+ * deleted by the same operation share a deletion ID, so that, e.g., the
+ * movies deleted along with their director can be restored together.
+ * When a deleted record is created again (e.g., by restoring or undoing),
+ * its entry is removed from the recycle bin. The entries expire after a
+ * number of days, when they are purged with the next deletion.
+ * @class
+ * @param {string} tableName  The name of the table holding the entries
+ * @param {number} maxAge  The number of days, for which entries are kept
+ */
+class RecycleBin {
+  constructor (tableName, maxAge) {
+    this.tableName = tableName;
+    this.maxAge = maxAge;
+    this.sequenceNo = 0;
+    storageManager.defineTable( tableName, "id", {tracked: false});
+  }
+  /**
+   * Move the records deleted by a single write or transaction to the
+   * recycle bin, remove the entries of the records created again and purge
+   * the expired entries, where a failed write is reported by the rejected
+   * promise
+   * @param {Array<object>} changes  A list of {tableName, key, before, after}
+   */
+  async record( changes) {
+    const deletedAt = new Date(),
+          deletionId = `${deletedAt.getTime()}-${String( ++this.sequenceNo).padStart( 6, "0")}`,
+          operator = auditLog.operator,
+          deletions = changes.filter( change => change.before && !change.after),
+          creations = changes.filter( change => !change.before && change.after);
+    try {
+      if (creations.length > 0) {
+        const entries = await this.retrieveAll();
+        for (const entry of Object.values( entries)) {
+          if (creations.some( change => change.tableName === entry.tableName &&
+              String( change.key) === entry.key)) {
+            await storageManager.destroy( this.tableName, entry.id);
+          }
+        }
+      }
+      for (const {tableName, key, before} of deletions) {
+        await storageManager.add( this.tableName, {id: `${deletionId}-${tableName}-${key}`,
+            deletionId, tableName, key: String( key), record: before,
+            deletedAt: deletedAt.toISOString(), operator});
+      }
+      if (deletions.length > 0) await this.purgeExpired( deletedAt);
+    } catch (e) {
+      throw new Error(`Error when writing to the recycle bin\n` + e);
+    }
+  }
+  /**
+   * Purge the entries deleted more than maxAge days before the given date
+   * @param {Date} date
+   */
+  async purgeExpired( date) {
+    const expiredAt = new Date( date.getTime() - this.maxAge * 24 * 60 * 60 * 1000).toISOString(),
+          entries = await this.retrieveAll(),
+          ids = Object.keys( entries).filter( id => entries[id].deletedAt < expiredAt);
+    if (ids.length > 0) await this.purge( ids);
+  }
+  /**
+   * Retrieve all entries as a map of entry IDs to entries
+   * @return {Promise<object>}
+   */
+  async retrieveAll() {
+    return storageManager.retrieveAll( this.tableName);
+  }
+  /**
+   * Delete entries for good
+   * @param {Array<string>} ids
+   */
+  async purge( ids) {
+    await storageManager.runTransaction( [], async () => {
+      for (const id of ids) await storageManager.destroy( this.tableName, id);
+    });
+  }
+}
+
+/**
+ * The recycle bin of the app, receiving all deleted records of the model
+ * classes, which are kept for 30 days
+ */
+const recycleBin = new RecycleBin("trash", 30);
+storageManager.onChange( changes => recycleBin.record( changes));
+
+export { RecycleBin, recycleBin };
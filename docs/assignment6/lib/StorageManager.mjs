@@ -0,0 +1,902 @@
+/**
+ * @fileOverview  Defines a storage manager that persists the entity tables of
+ *   the model classes with a pluggable storage adapter (Local Storage or IndexedDB)
+ * @author Phong Vu Thanh
+ */
+/**
+ * Convert an IndexedDB request into a promise
+ * @param {IDBRequest} request
+ * @return {Promise}
+ */
+function requestToPromise( request) {
+  return new Promise( function (resolve, reject) {
+    request.onsuccess = () => resolve( request.result);
+    request.onerror = () => reject( request.error);
+  });
+}
+/**
+ * Convert an IndexedDB transaction into a promise that is settled when the
+ * transaction completes or aborts
+ * @param {IDBTransaction} tx
+ * @return {Promise}
+ */
+function transactionToPromise( tx) {
+  return new Promise( function (resolve, reject) {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject( tx.error);
+  });
+}
+
+/**
+ * Storage adapter keeping each entity table as a JSON-serialized map of
+ * records in a single Local Storage key (e.g. localStorage["movies"]).
+ * A batch of writes spanning several tables is first recorded in a journal,
+ * so that it can be completed after the page died while applying it.
+ * @class
+ */
+class LocalStorageAdapter {
+  constructor () {
+    this.name = "LocalStorage";
+  }
+  async retrieveAll( tableName) {
+    return JSON.parse( localStorage[tableName] || "{}");
+  }
+  async saveAll( tableName, records) {
+    localStorage[tableName] = JSON.stringify( records);
+  }
+  async put( tableName, key, record) {
+    const records = await this.retrieveAll( tableName);
+    records[key] = record;
+    await this.saveAll( tableName, records);
+  }
+  async destroy( tableName, key) {
+    const records = await this.retrieveAll( tableName);
+    delete records[key];
+    await this.saveAll( tableName, records);
+  }
+  async clearTables( tableNames) {
+    for (const tableName of tableNames) localStorage[tableName] = "{}";
+  }
+  async dropTable( tableName) {
+    localStorage.removeItem( tableName);
+  }
+  /**
+   * Write a batch of changes to several tables all or nothing
+   * @param {object} batch  A map of table names to {cleared, entries} changes
+   */
+  async writeBatch( batch) {
+    localStorage["journal"] = JSON.stringify( batch);
+    this.applyBatch( batch);
+    localStorage.removeItem("journal");
+  }
+  applyBatch( batch) {
+    for (const tableName of Object.keys( batch)) {
+      const {cleared, entries} = batch[tableName],
+            records = cleared ? {} : JSON.parse( localStorage[tableName] || "{}");
+      for (const {key, record} of Object.values( entries)) {
+        if (record === null) delete records[key];
+        else records[key] = record;
+      }
+      localStorage[tableName] = JSON.stringify( records);
+    }
+  }
+  /**
+   * Complete a batch that has been interrupted
+   */
+  async recover() {
+    if (localStorage["journal"]) {
+      this.applyBatch( JSON.parse( localStorage["journal"]));
+      localStorage.removeItem("journal");
+      console.log("Interrupted transaction completed.");
+    }
+  }
+}
+
+/**
+ * Storage adapter keeping each entity table in an IndexedDB object store
+ * with the table's standard identifier attribute as its key path
+ * @class
+ * @param {string} dbName  The name of the IndexedDB database
+ * @param {object} tables  A map of table names to key paths
+ */
+class IndexedDbAdapter {
+  constructor (dbName, tables) {
+    this.name = "IndexedDB";
+    this.dbName = dbName;
+    this.tables = tables;
+    this.db = null;
+    this.opening = null;
+  }
+  hasAllStores( db) {
+    return Object.keys( this.tables).every( t => db.objectStoreNames.contains( t));
+  }
+  /**
+   * Open the database, upgrading it to a new version whenever an object store
+   * is missing for a table that has been defined in the meantime
+   */
+  async getDb() {
+    if (this.db && this.hasAllStores( this.db)) return this.db;
+    if (!this.opening) {
+      this.opening = this.openDb().finally( () => {this.opening = null;});
+    }
+    return this.opening;
+  }
+  async openDb() {
+    if (this.db) this.db.close();
+    let db = await requestToPromise( indexedDB.open( this.dbName));
+    if (!this.hasAllStores( db)) {
+      const request = indexedDB.open( this.dbName, db.version + 1);
+      db.close();
+      request.onupgradeneeded = () => {
+        const upgradedDb = request.result;
+        for (const tableName of Object.keys( this.tables)) {
+          if (!upgradedDb.objectStoreNames.contains( tableName)) {
+            upgradedDb.createObjectStore( tableName, {keyPath: this.tables[tableName]});
+          }
+        }
+      };
+      db = await requestToPromise( request);
+    }
+    // let the database be upgraded by other tabs
+    db.onversionchange = () => {
+      db.close();
+      this.db = null;
+    };
+    this.db = db;
+    return db;
+  }
+  async retrieveAll( tableName) {
+    const db = await this.getDb(),
+          keyPath = this.tables[tableName],
+          records = {};
+    // a table that has never been defined (e.g., a legacy one) is empty
+    if (!db.objectStoreNames.contains( tableName)) return records;
+    const rows = await requestToPromise(
+        db.transaction( tableName).objectStore( tableName).getAll());
+    for (const row of rows) records[row[keyPath]] = row;
+    return records;
+  }
+  async saveAll( tableName, records) {
+    const db = await this.getDb(),
+          tx = db.transaction( tableName, "readwrite"),
+          store = tx.objectStore( tableName);
+    store.clear();
+    for (const key of Object.keys( records)) store.put( records[key]);
+    await transactionToPromise( tx);
+  }
+  async put( tableName, key, record) {
+    const db = await this.getDb(),
+          tx = db.transaction( tableName, "readwrite");
+    tx.objectStore( tableName).put( record);
+    await transactionToPromise( tx);
+  }
+  async destroy( tableName, key) {
+    const db = await this.getDb(),
+          tx = db.transaction( tableName, "readwrite");
+    tx.objectStore( tableName).delete( key);
+    await transactionToPromise( tx);
+  }
+  async clearTables( tableNames) {
+    const db = await this.getDb(),
+          tx = db.transaction( tableNames, "readwrite");
+    for (const tableName of tableNames) tx.objectStore( tableName).clear();
+    await transactionToPromise( tx);
+  }
+  /**
+   * Write a batch of changes to several tables in a single IndexedDB transaction
+   * @param {object} batch  A map of table names to {cleared, entries} changes
+   */
+  async writeBatch( batch) {
+    const tableNames = Object.keys( batch);
+    if (tableNames.length === 0) return;
+    const db = await this.getDb(),
+          tx = db.transaction( tableNames, "readwrite");
+    for (const tableName of tableNames) {
+      const {cleared, entries} = batch[tableName],
+            store = tx.objectStore( tableName);
+      if (cleared) store.clear();
+      for (const {key, record} of Object.values( entries)) {
+        if (record === null) store.delete( key);
+        else store.put( record);
+      }
+    }
+    await transactionToPromise( tx);
+  }
+  async dropTable( tableName) {
+    const db = await this.getDb();
+    // object stores can only be deleted in a version upgrade, so just clear it
+    if (db.objectStoreNames.contains( tableName)) await this.clearTables([tableName]);
+  }
+}
+
+/**
+ * Compute the record-level changes between two versions of a set of tables
+ * @param {object} before  A map of table names to maps of records
+ * @param {object} after  A map of table names to maps of records (or null)
+ * @return {Array<{tableName: string, key: string, change: string}>}
+ */
+function diffTables( before, after) {
+  const changes = [];
+  for (const tableName of Object.keys( after)) {
+    const oldRecords = before[tableName] || {},
+          newRecords = after[tableName];
+    if (newRecords === null) {
+      changes.push({tableName, key: "*", change: "dropped"});
+      continue;
+    }
+    for (const key of Object.keys( newRecords)) {
+      if (!(key in oldRecords)) {
+        changes.push({tableName, key, change: "added"});
+      } else if (JSON.stringify( oldRecords[key]) !== JSON.stringify( newRecords[key])) {
+        changes.push({tableName, key, change: "updated"});
+      }
+    }
+    for (const key of Object.keys( oldRecords)) {
+      if (!(key in newRecords)) changes.push({tableName, key, change: "deleted"});
+    }
+  }
+  return changes;
+}
+
+/**
+ * The storage manager, to which the storage management methods of the model
+ * classes delegate. Entity tables are defined by the model classes with
+ * their standard identifier attribute, which serves as the record key.
+ * Each added, updated or destroyed record is written through to the storage
+ * immediately. Until the write has succeeded, the record is kept in a dirty
+ * set, which is flushed again by flush (e.g., before the page is unloaded).
+ * The stored records are stamped with a schema version. Before the first
+ * retrieval, records stored with an earlier schema version are upgraded by
+ * the registered migration steps. The records stored in Local Storage by
+ * earlier versions of the app are imported into an empty IndexedDB database,
+ * and all tables are copied when switching to another adapter.
+ * Writes of several model classes can be grouped in a transaction: between
+ * beginTransaction and commit they are buffered and then written all or
+ * nothing, while rollback discards them and restores the instances as they
+ * were at the beginning of the transaction.
+ * Successful writes are broadcast to the other tabs of the app, where they
+ * are delivered to the remote change handlers of the written table.
+ * The last stored state of each written or retrieved table is cached, so
+ * that each successful write, or transaction, can be reported to the change
+ * handlers as a list of record changes with the records before and after.
+ * @class
+ * @param {string} dbName  The name of the IndexedDB database
+ */
+class StorageManager {
+  constructor (dbName) {
+    this.dbName = dbName;
+    this.tables = {};  // a map of table names to key paths
+    this.adapter = null;
+    // the adapter holding the records of earlier app versions, if any
+    this.legacyAdapter = null;
+    // a map of table names to maps of keys to not yet written {key, record}
+    // entries, where a record of null stands for a pending deletion
+    this.dirty = {};
+    this.schemaVersion = 1;
+    this.detectVersion = null;
+    this.migrations = [];  // migration steps ordered by their target version
+    this.upgrading = null;
+    this.transaction = null;
+    this.remoteChangeHandlers = {};  // a map of table names to lists of handlers
+    this.retrievedTables = new Set();
+    this.cache = {};  // a map of table names to the last stored record maps
+    this.untrackedTables = new Set();  // tables whose changes are not reported
+    this.changeHandlers = [];
+    this.channel = null;
+    if (typeof window !== "undefined" && typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel( dbName);
+      this.channel.onmessage = e => this.handleRemoteChanges( e.data);
+    }
+    this.defineTable("meta", "name");
+  }
+  /**
+   * Define an entity table with its standard identifier attribute
+   * @param {string} tableName
+   * @param {string} keyPath
+   * @param {{tracked: boolean}} [options]  An untracked table (e.g., a log)
+   *     is neither cached nor reported to the change handlers
+   */
+  defineTable( tableName, keyPath, {tracked = true} = {}) {
+    this.tables[tableName] = keyPath;
+    if (!tracked) this.untrackedTables.add( tableName);
+  }
+  /**
+   * Select the storage adapter by name ("LocalStorage" or "IndexedDB"),
+   * where an IndexedDB database imports the records stored in Local Storage
+   * when it is opened for the first time
+   * @param {string} adapterName
+   */
+  selectAdapter( adapterName) {
+    if (adapterName === "IndexedDB" && typeof indexedDB !== "undefined") {
+      this.setAdapter( new IndexedDbAdapter( this.dbName, this.tables));
+      if (typeof localStorage !== "undefined") this.legacyAdapter = new LocalStorageAdapter();
+    } else {
+      this.setAdapter( new LocalStorageAdapter());
+    }
+  }
+  /**
+   * Switch to another storage adapter by name, copying all tables of the
+   * current adapter to it, such that no records are left behind
+   * @param {string} adapterName
+   */
+  async switchAdapter( adapterName) {
+    const oldAdapter = this.adapter;
+    await this.flush();
+    await this.upgrade();
+    this.selectAdapter( adapterName);
+    // the records have been upgraded already, and must not be imported again
+    this.legacyAdapter = null;
+    if (oldAdapter && oldAdapter.name !== this.adapter.name) {
+      await StorageManager.copyTables( oldAdapter, this.adapter, Object.keys( this.tables));
+    }
+  }
+  /**
+   * Copy tables from one storage adapter to another one, replacing their
+   * records there all or nothing
+   * @param {object} fromAdapter
+   * @param {object} toAdapter
+   * @param {Array<string>} tableNames
+   */
+  static async copyTables( fromAdapter, toAdapter, tableNames) {
+    const batch = {};
+    for (const tableName of tableNames) {
+      const records = await fromAdapter.retrieveAll( tableName),
+            entries = {};
+      for (const key of Object.keys( records)) entries[key] = {key, record: records[key]};
+      batch[tableName] = {cleared: true, entries};
+    }
+    await toAdapter.writeBatch( batch);
+  }
+  /**
+   * Check if an adapter stores no records at all, not even a version stamp
+   * @param {object} adapter
+   * @return {Promise<boolean>}
+   */
+  async isEmpty( adapter) {
+    for (const tableName of Object.keys( this.tables)) {
+      if (Object.keys( await adapter.retrieveAll( tableName)).length > 0) return false;
+    }
+    return true;
+  }
+  /**
+   * Get the adapter holding the records to be upgraded, which is the legacy
+   * adapter with the records stored in Local Storage by earlier versions of
+   * the app, while the IndexedDB database is opened for the first time, i.e.
+   * while it is empty, and the current adapter otherwise
+   * @return {Promise<object>}
+   */
+  async getMigrationSource() {
+    const legacyAdapter = this.legacyAdapter;
+    if (!legacyAdapter || !(await this.isEmpty( this.adapter))) return this.adapter;
+    // complete a batch of writes, which has been interrupted there
+    await legacyAdapter.recover();
+    // the tables of assignment4/5 (e.g. persons) are not defined any more
+    const tableNames = new Set( Object.keys( this.tables)
+        .concat( ...this.migrations.map( step => step.tableNames)));
+    for (const tableName of tableNames) {
+      if (Object.keys( await legacyAdapter.retrieveAll( tableName)).length > 0) {
+        return legacyAdapter;
+      }
+    }
+    return this.adapter;
+  }
+  /**
+   * Use a storage adapter object, e.g. a FileStorageAdapter outside of a browser
+   * @param {object} adapter
+   */
+  setAdapter( adapter) {
+    this.adapter = adapter;
+    this.legacyAdapter = null;
+    this.upgrading = null;
+    this.cache = {};
+  }
+  /**
+   * Define the current schema version of the stored records
+   * @param {number} version
+   * @param {function} [detectVersion]  An async function detecting the schema
+   *     version of records stored without a version stamp, which is invoked
+   *     with a function for reading a table, and returns null if there are
+   *     no records at all, which are then stamped with the current version
+   */
+  defineSchemaVersion( version, detectVersion) {
+    this.schemaVersion = version;
+    this.detectVersion = detectVersion || null;
+  }
+  /**
+   * Register a migration step upgrading the stored records from the schema
+   * version step.version-1 to step.version
+   * @param {{version: number, description: string, tableNames: Array<string>,
+   *     migrate: function}} step  where step.migrate modifies the given map of
+   *     table names to record maps in place; a table set to null is dropped;
+   *     the records, which cannot be migrated, are left out and may be
+   *     returned as a list of {tableName, key, record, reason} entries
+   */
+  registerMigration( step) {
+    this.migrations.push( step);
+    this.migrations.sort( (s1, s2) => s1.version - s2.version);
+  }
+  async getStoredSchemaVersion( adapter = this.adapter) {
+    const meta = await adapter.retrieveAll("meta");
+    return meta["schemaVersion"] ? meta["schemaVersion"].value : undefined;
+  }
+  /**
+   * Upgrade the stored records to the current schema version step by step,
+   * where the records of the legacy adapter are upgraded into the current
+   * adapter along with the other tables found there
+   * @param {boolean} [dryRun]  If true, nothing is written
+   * @return {Promise<object>}  A report listing the record changes and the
+   *     unmigrated records per step, and the name of the adapter, from which
+   *     the records are imported; the unmigrated records are kept in the
+   *     "unmigratedRecords" entry of the meta table
+   */
+  async migrate( dryRun) {
+    const source = await this.getMigrationSource(),
+          tables = {},
+          readTable = tableName => source.retrieveAll( tableName);
+    var version = await this.getStoredSchemaVersion( source);
+    if (version === undefined && this.detectVersion) {
+      version = await this.detectVersion( readTable);
+    }
+    // no records at all are stored with the current schema version
+    if (version === undefined || version === null) version = this.schemaVersion;
+    const report = {fromVersion: version, toVersion: this.schemaVersion, steps: [],
+        importedFrom: source !== this.adapter ? source.name : null};
+    for (const step of this.migrations) {
+      if (step.version <= version || step.version > this.schemaVersion) continue;
+      for (const tableName of step.tableNames) {
+        if (!(tableName in tables)) tables[tableName] = await readTable( tableName);
+      }
+      const before = JSON.parse( JSON.stringify( tables)),
+            unmigrated = step.migrate( tables) || [];
+      report.steps.push({version: step.version, description: step.description,
+          changes: diffTables( before, tables), unmigrated});
+    }
+    if (source !== this.adapter) {
+      for (const tableName of Object.keys( this.tables)) {
+        if (!(tableName in tables)) tables[tableName] = await readTable( tableName);
+      }
+      // the dropped tables of earlier versions are left behind in the source
+      for (const tableName of Object.keys( tables)) {
+        if (!(tableName in this.tables)) delete tables[tableName];
+      }
+    }
+    if (!dryRun) {
+      // write the migrated tables along with the version stamp all or nothing
+      const batch = {meta: {cleared: false, entries: {schemaVersion:
+          {key: "schemaVersion", record: {name: "schemaVersion", value: this.schemaVersion}}}}},
+            unmigrated = [].concat( ...report.steps.map( step => step.unmigrated));
+      if (unmigrated.length > 0) {
+        const meta = await readTable("meta"),
+              entries = (meta["unmigratedRecords"] ? meta["unmigratedRecords"].entries : [])
+                  .concat( unmigrated);
+        batch.meta.entries["unmigratedRecords"] = {key: "unmigratedRecords",
+            record: {name: "unmigratedRecords", entries}};
+      }
+      for (const tableName of Object.keys( tables)) {
+        if (tableName === "meta") continue;
+        const entries = {};
+        for (const key of Object.keys( tables[tableName] || {})) {
+          entries[key] = {key, record: tables[tableName][key]};
+        }
+        batch[tableName] = {cleared: true, entries};
+      }
+      await this.adapter.writeBatch( batch);
+      for (const tableName of Object.keys( tables)) {
+        if (tables[tableName] === null) await this.adapter.dropTable( tableName);
+      }
+    }
+    return report;
+  }
+  /**
+   * Run the migration once before the first retrieval
+   */
+  upgrade() {
+    if (!this.upgrading) {
+      const recovery = this.adapter.recover ? this.adapter.recover() : Promise.resolve();
+      this.upgrading = recovery.then( () => this.migrate()).then( report => {
+        if (report.importedFrom) {
+          console.log(`Records imported from ${report.importedFrom} into ${this.adapter.name}.`);
+        }
+        for (const step of report.steps) {
+          console.log(`Storage upgraded to schema version ${step.version}: ` +
+              `${step.description} (${step.changes.length} changes)`);
+          for (const {tableName, key, record, reason} of step.unmigrated) {
+            console.log(`The ${tableName} record ${key} has not been migrated: ${reason}\n` +
+                JSON.stringify( record));
+          }
+        }
+        return report;
+      }, e => {
+        this.upgrading = null;  // retry with the next retrieval
+        throw e;
+      });
+    }
+    return this.upgrading;
+  }
+  /**
+   * Convert an object to a plain record by invoking its toJSON method
+   * @param {object} obj
+   * @return {object}
+   */
+  static toRecord( obj) {
+    return JSON.parse( JSON.stringify( obj));
+  }
+  /**
+   * Retrieve all records of a table as a map of records
+   * @param {string} tableName
+   * @return {Promise<object>}
+   */
+  async retrieveAll( tableName) {
+    await this.upgrade();
+    const records = await this.adapter.retrieveAll( tableName);
+    this.retrievedTables.add( tableName);
+    if (!this.untrackedTables.has( tableName)) {
+      this.cache[tableName] = StorageManager.toRecord( records);
+    }
+    return records;
+  }
+  /**
+   * Load the stored records of a table into the cache, unless already cached
+   * @param {string} tableName
+   */
+  async loadCache( tableName) {
+    if (!this.cache[tableName] && !this.untrackedTables.has( tableName)) {
+      await this.upgrade();
+      this.cache[tableName] = await this.adapter.retrieveAll( tableName);
+    }
+  }
+  /**
+   * Get the last stored records of a tracked table, without retrieving them
+   * again if they are cached
+   * @param {string} tableName
+   * @return {Promise<object>}  A map of keys to records, not to be modified
+   */
+  async getRecords( tableName) {
+    await this.loadCache( tableName);
+    return this.cache[tableName] || {};
+  }
+  /**
+   * Apply written entries to the cached table and compute the record changes
+   * @param {string} tableName
+   * @param {boolean} cleared  Whether the table has been replaced as a whole
+   * @param {Array<object>} entries  A list of {key, record} entries
+   * @return {Array<object>}  A list of {tableName, key, before, after} changes,
+   *     where before is null for an added record and after is null for a
+   *     deleted one
+   */
+  updateCache( tableName, cleared, entries) {
+    if (this.untrackedTables.has( tableName)) return [];
+    const cache = this.cache[tableName] || {},
+          keyPath = this.tables[tableName],
+          changes = [];
+    if (cleared) {
+      const writtenKeys = new Set( entries.map( entry => String( entry.key)));
+      for (const key of Object.keys( cache)) {
+        if (writtenKeys.has( key)) continue;
+        // take the key from the record, since the stored key may be a number
+        changes.push({tableName, key: cache[key][keyPath], before: cache[key], after: null});
+        delete cache[key];
+      }
+    }
+    for (const {key, record} of entries) {
+      const before = cache[key] || null;
+      if (JSON.stringify( before) === JSON.stringify( record)) continue;
+      changes.push({tableName, key, before, after: record});
+      if (record === null) delete cache[key];
+      else cache[key] = record;
+    }
+    this.cache[tableName] = cache;
+    return changes;
+  }
+  /**
+   * Replace the contents of a table with a map of objects
+   * @param {string} tableName
+   * @param {object} instances  A map of objects
+   */
+  async saveAll( tableName, instances) {
+    const records = {},
+          dirtyEntries = Object.assign( {}, this.dirty[tableName]);
+    for (const key of Object.keys( instances)) {
+      records[key] = StorageManager.toRecord( instances[key]);
+    }
+    if (this.transaction) {
+      const entries = {};
+      for (const key of Object.keys( records)) entries[key] = {key, record: records[key]};
+      this.transaction.writes[tableName] = {cleared: true, entries};
+      return;
+    }
+    await this.loadCache( tableName);
+    await this.adapter.saveAll( tableName, records);
+    const entries = Object.keys( records).map( key => ({key, record: records[key]}));
+    this.publish( tableName, true, entries);
+    await this.emitChanges( this.updateCache( tableName, true, entries));
+    // the bulk write covers all records that were dirty when it started
+    for (const key of Object.keys( dirtyEntries)) {
+      if (this.dirty[tableName][key] === dirtyEntries[key]) {
+        delete this.dirty[tableName][key];
+      }
+    }
+  }
+  /**
+   * Add a new record or overwrite an existing one
+   * @param {string} tableName
+   * @param {object} obj
+   */
+  async add( tableName, obj) {
+    const record = StorageManager.toRecord( obj);
+    await this.writeThrough( tableName, record[this.tables[tableName]], record);
+  }
+  async update( tableName, obj) {
+    await this.add( tableName, obj);
+  }
+  /**
+   * Delete the record with the given key
+   * @param {string} tableName
+   * @param {string|number} key
+   */
+  async destroy( tableName, key) {
+    await this.writeThrough( tableName, key, null);
+  }
+  /**
+   * Mark a record as dirty and write it to the storage, unmarking it
+   * as soon as the write has succeeded
+   * @param {string} tableName
+   * @param {string|number} key
+   * @param {object} record  The record to be stored, or null for a deletion
+   */
+  async writeThrough( tableName, key, record) {
+    const entry = {key, record};
+    if (this.transaction) {
+      const writes = this.transaction.writes;
+      if (!writes[tableName]) writes[tableName] = {cleared: false, entries: {}};
+      writes[tableName].entries[key] = entry;
+      return;
+    }
+    if (!this.dirty[tableName]) this.dirty[tableName] = {};
+    this.dirty[tableName][key] = entry;
+    await this.writeEntry( tableName, entry);
+  }
+  async writeEntry( tableName, entry) {
+    await this.loadCache( tableName);
+    if (entry.record === null) {
+      await this.adapter.destroy( tableName, entry.key);
+    } else {
+      await this.adapter.put( tableName, entry.key, entry.record);
+    }
+    this.publish( tableName, false, [entry]);
+    await this.emitChanges( this.updateCache( tableName, false, [entry]));
+    // keep the entry if the record has been changed again in the meantime
+    if (this.dirty[tableName][entry.key] === entry) {
+      delete this.dirty[tableName][entry.key];
+    }
+  }
+  /**
+   * Count the records that have not been written yet
+   * @return {number}
+   */
+  countDirty() {
+    return Object.keys( this.dirty).reduce(
+        (n, tableName) => n + Object.keys( this.dirty[tableName]).length, 0);
+  }
+  /**
+   * Write all dirty records to the storage
+   * @return {Promise<number>}  The number of records that are still dirty
+   */
+  async flush() {
+    for (const tableName of Object.keys( this.dirty)) {
+      for (const entry of Object.values( this.dirty[tableName])) {
+        try {
+          await this.writeEntry( tableName, entry);
+        } catch (e) {
+          console.log(`Error when writing ${tableName} record ${entry.key}\n` + e);
+        }
+      }
+    }
+    return this.countDirty();
+  }
+  /**
+   * Begin a transaction, or join the active one. The instances maps of the
+   * given classes are saved for being restored on rollback, together with
+   * the records of their instances, since these may be changed in place.
+   * @param {Array<function>} classes  The model classes involved
+   */
+  beginTransaction( classes) {
+    if (!this.transaction) {
+      this.transaction = {depth: 0, writes: {}, snapshots: []};
+    }
+    const tx = this.transaction;
+    tx.depth++;
+    for (const Class of classes) {
+      if (!tx.snapshots.some( snapshot => snapshot.Class === Class)) {
+        const instances = Object.assign( {}, Class.instances), records = {};
+        for (const key of Object.keys( instances)) {
+          records[key] = StorageManager.toRecord( instances[key]);
+        }
+        tx.snapshots.push({Class, instances, records});
+      }
+    }
+  }
+  /**
+   * Commit the active transaction by writing all of its buffered writes
+   * at once, unless it is nested in an enclosing one
+   */
+  async commit() {
+    const tx = this.transaction;
+    if (!tx) throw new Error("There is no active transaction to be committed!");
+    if (--tx.depth > 0) return;
+    this.transaction = null;
+    try {
+      for (const tableName of Object.keys( tx.writes)) await this.loadCache( tableName);
+      await this.adapter.writeBatch( tx.writes);
+    } catch (e) {
+      this.restoreSnapshots( tx);
+      throw e;
+    }
+    var changes = [];
+    for (const tableName of Object.keys( tx.writes)) {
+      const {cleared, entries} = tx.writes[tableName];
+      this.publish( tableName, cleared, Object.values( entries));
+      changes = changes.concat( this.updateCache( tableName, cleared, Object.values( entries)));
+    }
+    await this.emitChanges( changes, tx.origin);
+  }
+  /**
+   * Discard the buffered writes of the active transaction (including all
+   * enclosing ones) and restore the instances of the involved classes
+   */
+  rollback() {
+    const tx = this.transaction;
+    if (!tx) return;
+    this.transaction = null;
+    this.restoreSnapshots( tx);
+  }
+  /**
+   * Restore the instances maps of a transaction, and rebuild the instances
+   * changed since from their saved records with the remote change handlers
+   * of their tables, like the changes made in another tab
+   * @param {object} tx  The transaction
+   */
+  restoreSnapshots( tx) {
+    for (const {Class, instances} of tx.snapshots) Class.instances = instances;
+    // a map of table names to maps of keys to changed {key, record} entries
+    const changed = {};
+    for (const {instances, records} of tx.snapshots) {
+      for (const key of Object.keys( instances)) {
+        const tableName = instances[key].constructor.tableName;
+        if (!tableName || JSON.stringify( instances[key]) === JSON.stringify( records[key])) continue;
+        if (!changed[tableName]) changed[tableName] = {};
+        changed[tableName][key] = {key, record: records[key]};
+      }
+    }
+    for (const tableName of Object.keys( changed)) {
+      for (const handler of this.remoteChangeHandlers[tableName] || []) {
+        try {
+          handler({cleared: false, entries: Object.values( changed[tableName]), local: true});
+        } catch (e) {
+          console.log(`Error when restoring the instances of ${tableName}\n` + e);
+        }
+      }
+    }
+  }
+  /**
+   * Run an async function in a transaction, which is committed if the
+   * function completes and rolled back if it throws
+   * @param {Array<function>} classes  The model classes involved
+   * @param {function} fn
+   */
+  async runTransaction( classes, fn) {
+    this.beginTransaction( classes);
+    try {
+      await fn();
+    } catch (e) {
+      this.rollback();
+      throw e;
+    }
+    await this.commit();
+  }
+  /**
+   * Clear the given tables, or all defined tables except for the meta table
+   * keeping the schema version stamp
+   * @param {Array<string>} [tableNames]
+   */
+  async clearData( tableNames) {
+    if (!tableNames) tableNames = Object.keys( this.tables).filter( t => t !== "meta");
+    await this.adapter.clearTables( tableNames);
+    for (const tableName of tableNames) {
+      delete this.dirty[tableName];
+      delete this.cache[tableName];
+      this.publish( tableName, true, []);
+    }
+  }
+  /**
+   * Write a list of {tableName, key, record} entries in a transaction and
+   * deliver them to the remote change handlers of their tables, in the given
+   * order, for updating the instances maps as well (e.g., for undoing writes)
+   * @param {Array<object>} entries
+   * @param {string} [origin]  Reported to the change handlers, which may
+   *     ignore changes of a certain origin (e.g., "history" or "sync")
+   */
+  async applyChanges( entries, origin) {
+    this.beginTransaction( []);
+    this.transaction.origin = origin;
+    try {
+      for (const {tableName, key, record} of entries) {
+        await this.writeThrough( tableName, key, record);
+      }
+    } catch (e) {
+      this.rollback();
+      throw e;
+    }
+    await this.commit();
+    for (const {tableName, key, record} of entries) {
+      this.handleRemoteChanges({tableName, cleared: false, entries: [{key, record}], local: true});
+    }
+  }
+  /**
+   * Register a handler for the record changes of successful writes in this
+   * tab, which is invoked with a list of {tableName, key, before, after}
+   * changes per single write or transaction and the origin of changes
+   * written by applyChanges. A write completes only after the promise
+   * returned by an async handler has been settled, where a rejected one is
+   * reported on the console like an error thrown by a handler.
+   * @param {function} handler
+   */
+  onChange( handler) {
+    this.changeHandlers.push( handler);
+  }
+  async emitChanges( changes, origin) {
+    if (changes.length === 0) return;
+    for (const handler of this.changeHandlers) {
+      try {
+        await handler( changes, origin);
+      } catch (e) {
+        console.log("Error when handling record changes\n" + e);
+      }
+    }
+  }
+  /**
+   * Register a handler for the changes of a table made in other tabs,
+   * which is invoked with a {cleared, entries} change set, where cleared
+   * tells if the table has been replaced as a whole, and entries is a list
+   * of {key, record} entries with a record of null for a deleted one;
+   * local is set for changes made in this tab by applyChanges
+   * @param {string} tableName
+   * @param {function} handler
+   */
+  onRemoteChange( tableName, handler) {
+    if (!this.remoteChangeHandlers[tableName]) this.remoteChangeHandlers[tableName] = [];
+    this.remoteChangeHandlers[tableName].push( handler);
+  }
+  /**
+   * Broadcast the changes of a table to the other tabs
+   */
+  publish( tableName, cleared, entries) {
+    if (this.channel) this.channel.postMessage({tableName, cleared, entries});
+  }
+  /**
+   * Deliver the changes made in another tab to the handlers of the table,
+   * provided that the table has been retrieved in this tab
+   */
+  handleRemoteChanges({tableName, cleared, entries, local}) {
+    if (!local && this.cache[tableName]) this.updateCache( tableName, cleared, entries);
+    if (!this.retrievedTables.has( tableName)) return;
+    for (const handler of this.remoteChangeHandlers[tableName] || []) {
+      try {
+        handler({cleared, entries, local: Boolean( local)});
+      } catch (e) {
+        console.log(`Error when merging remote changes of ${tableName}\n` + e);
+      }
+    }
+  }
+}
+
+/**
+ * The storage manager of the app. Its adapter is selected at startup from
+ * the setting localStorage["storageAdapter"], defaulting to IndexedDB, into
+ * which the records kept in Local Storage so far are imported.
+ */
+const storageManager = new StorageManager("MovieDB");
+storageManager.selectAdapter(
+    (typeof localStorage !== "undefined" && localStorage["storageAdapter"]) || "IndexedDB");
+
+export { StorageManager, LocalStorageAdapter, IndexedDbAdapter, storageManager };
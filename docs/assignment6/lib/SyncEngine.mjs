@@ -0,0 +1,452 @@
+/**
+ * @fileOverview  An offline-first synchronization of the entity tables with
+ *   a remote catalogue offered by an HTTP endpoint (e.g. server/server.mjs).
+ *   Local record changes are queued in an outbox while offline and pushed
+ *   when the endpoint is reachable, after pulling the remote changes.
+ * @author Phong Vu Thanh
+ */
+import { storageManager } from "./StorageManager.mjs";
+
+/**
+ * The policies for resolving a conflict between a queued local change and
+ * a remote change of the same record
+ */
+const ConflictPolicyEL = Object.freeze({
+  LAST_WRITER_WINS: "lastWriterWins",  // the later change wins
+  MANUAL: "manual"  // the user merges both versions
+});
+
+/**
+ * An error of a request to the sync endpoint, where a status of 0 means
+ * that the endpoint has not been reachable
+ */
+class SyncRequestError extends Error {
+  constructor (status, message, errors) {
+    super( message);
+    this.status = status;
+    this.errors = errors || [];
+  }
+}
+
+/**
+ * A sync engine, which keeps a queued operation per changed record in the
+ * untracked outbox table, holding the last synchronized record as its base
+ * and the current local record (null for a deletion). A record, which has
+ * been changed both locally and remotely, is either resolved by its policy
+ * or kept as a conflict, whose queued operation is on hold until the user
+ * has merged it.
+ * @class
+ * @param {string} settingsKey  The Local Storage key of the settings
+ */
+class SyncEngine {
+  constructor (settingsKey) {
+    this.settingsKey = settingsKey;
+    this.defaultSettings = {endpoint: "", policy: ConflictPolicyEL.LAST_WRITER_WINS,
+        lastPulledAt: null};
+    this.outboxTableName = "outbox";
+    this.conflictsTableName = "syncConflicts";
+    this.tables = {};  // a map of table names to their conversions
+    this.running = Promise.resolve();  // serializes queueing and syncing
+    this.sequenceNo = 0;
+    this.lastSyncedAt = null;
+    this.lastError = null;
+    this.listeners = [];
+    storageManager.defineTable( this.outboxTableName, "id", {tracked: false});
+    storageManager.defineTable( this.conflictsTableName, "id", {tracked: false});
+  }
+  get settings() {
+    if (typeof localStorage === "undefined") return this.defaultSettings;
+    try {
+      return Object.assign( {}, this.defaultSettings,
+          JSON.parse( localStorage[this.settingsKey] || "{}"));
+    } catch (e) {
+      return this.defaultSettings;
+    }
+  }
+  /**
+   * Change some of the settings {endpoint, policy, lastPulledAt}, where
+   * a new endpoint requires pulling a complete snapshot again
+   * @param {object} settings
+   */
+  saveSettings( settings) {
+    const newSettings = Object.assign( {}, this.settings, settings);
+    if ("endpoint" in settings) {
+      newSettings.endpoint = settings.endpoint.trim().replace(/\/+$/, "");
+      if (newSettings.endpoint !== this.settings.endpoint) newSettings.lastPulledAt = null;
+    }
+    if (typeof localStorage !== "undefined") {
+      localStorage[this.settingsKey] = JSON.stringify( newSettings);
+    } else {
+      this.defaultSettings = newSettings;
+    }
+    this.notify();
+  }
+  /**
+   * Define how the records of a table are synchronized
+   * @param {string} tableName  Also the path of its resource at the endpoint
+   * @param {object} conversion
+   * @param {function} conversion.toRemote  Converts a local record to the
+   *     resource representation sent to the endpoint
+   * @param {function} conversion.fromRemote  Converts a resource to a local
+   *     record, or to null if it does not belong to the table
+   * @param {Array<string>} conversion.updatableProperties  The properties
+   *     sent for updating a resource
+   * @param {Array<string>} [conversion.references]  The tables referenced
+   *     by the records, which are written before them
+   * @param {boolean} [conversion.manualMerge]  Whether conflicts may be
+   *     merged by the user, otherwise the last writer wins
+   */
+  defineTable( tableName, {toRemote, fromRemote, updatableProperties,
+      references = [], manualMerge = false}) {
+    this.tables[tableName] = {toRemote, fromRemote, updatableProperties, references, manualMerge};
+  }
+  /**
+   * The synchronized tables in the order of writing, such that referenced
+   * tables come before the tables referencing them
+   * @return {Array<string>}
+   */
+  getTableOrder() {
+    const order = [], visited = new Set(),
+          visit = tableName => {
+            if (visited.has( tableName) || !this.tables[tableName]) return;
+            visited.add( tableName);
+            for (const ref of this.tables[tableName].references) visit( ref);
+            order.push( tableName);
+          };
+    for (const tableName of Object.keys( this.tables)) visit( tableName);
+    return order;
+  }
+  /**
+   * Run an async function after all previously started ones have finished
+   * @param {function} fn
+   */
+  serialize( fn) {
+    const result = this.running.then( fn);
+    this.running = result.catch( () => {});
+    return result;
+  }
+  onUpdate( listener) {
+    this.listeners.push( listener);
+  }
+  notify() {
+    for (const listener of this.listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.log("Error when updating the sync status\n" + e);
+      }
+    }
+  }
+  isSameRemoteRecord( tableName, record1, record2) {
+    const {toRemote} = this.tables[tableName],
+          convert = record => record ? toRemote( record) : null;
+    return JSON.stringify( convert( record1)) === JSON.stringify( convert( record2));
+  }
+  /**
+   * Queue the record changes of a local write or transaction
+   * @param {Array<object>} changes  A list of {tableName, key, before, after}
+   * @param {string} [origin]  Changes pulled from the endpoint are not queued
+   */
+  queue( changes, origin) {
+    if (origin === "sync" || !this.settings.endpoint) return Promise.resolve();
+    changes = changes.filter( change => this.tables[change.tableName]);
+    if (changes.length === 0) return Promise.resolve();
+    return this.serialize( async () => {
+      await this.enqueue( changes);
+      this.notify();
+    });
+  }
+  /**
+   * Coalesce record changes with the operations already queued for the same
+   * records, where the first change determines the position in the queue
+   * and the last one the record to be pushed
+   * @param {Array<object>} changes
+   */
+  async enqueue( changes) {
+    const outbox = await storageManager.retrieveAll( this.outboxTableName),
+          modifiedAt = new Date().toISOString();
+    for (const {tableName, key, before, after} of changes) {
+      const id = `${tableName}:${key}`,
+            // the zero-padded sequence number orders the changes of the same millisecond
+            queueNo = `${Date.now()}-${String( ++this.sequenceNo).padStart( 6, "0")}`,
+            op = outbox[id] || {id, tableName, key: String( key), base: before, queueNo, version: 0};
+      op.record = after;
+      op.modifiedAt = modifiedAt;
+      op.version++;
+      delete op.rejected;
+      if (!op.base && !op.record) {
+        // a record created and deleted while offline never reaches the endpoint
+        await storageManager.destroy( this.outboxTableName, id);
+        delete outbox[id];
+      } else {
+        await storageManager.add( this.outboxTableName, op);
+        outbox[id] = op;
+      }
+    }
+  }
+  /**
+   * Send a request to the endpoint and return the parsed JSON response body
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [body]
+   * @return {Promise<*>}
+   */
+  async request( method, path, body) {
+    var response = null;
+    try {
+      response = await fetch( this.settings.endpoint + path, {method,
+          headers: body ? {"Content-Type": "application/json"} : {},
+          body: body ? JSON.stringify( body) : undefined});
+    } catch (e) {
+      throw new SyncRequestError( 0, `The sync endpoint is not reachable: ${e.message}`);
+    }
+    const text = await response.text(),
+          result = text ? JSON.parse( text) : null;
+    if (!response.ok) {
+      const errors = (result && result.errors) || [];
+      throw new SyncRequestError( response.status,
+          errors.map( e => e.message).join(" ") || `${method} ${path}: ${response.status}`, errors);
+    }
+    return result;
+  }
+  /**
+   * Synchronize with the endpoint by pulling the remote changes and then
+   * pushing the queued operations
+   * @return {Promise<boolean>}  Whether the synchronization has succeeded
+   */
+  sync() {
+    if (!this.settings.endpoint) return Promise.resolve( false);
+    return this.serialize( async () => {
+      try {
+        await this.pull();
+        await this.push();
+        this.lastSyncedAt = new Date().toISOString();
+        this.lastError = null;
+      } catch (e) {
+        this.lastError = e.message;
+        if (!(e instanceof SyncRequestError)) console.log("Error when synchronizing\n" + e);
+      }
+      this.notify();
+      return this.lastError === null;
+    });
+  }
+  /**
+   * Pull the changes made at the endpoint since the last pull, or a complete
+   * snapshot of the remote records for the first pull from an endpoint
+   */
+  async pull() {
+    const {lastPulledAt} = this.settings,
+          query = lastPulledAt ? `?since=${encodeURIComponent( lastPulledAt)}` : "",
+          {now, changes} = await this.request("GET", `/changes${query}`);
+    await this.mergeRemoteChanges( changes, !lastPulledAt);
+    this.saveSettings({lastPulledAt: now});
+  }
+  /**
+   * Merge remote {tableName, key, modifiedAt, record} changes into the local
+   * tables. A change of a record without a queued operation is applied,
+   * while a change conflicting with a queued operation is resolved by the
+   * conflict policy.
+   * @param {Array<object>} changes
+   * @param {boolean} isSnapshot  Whether the changes list all remote records,
+   *     such that local records missing in them are queued for being created
+   */
+  async mergeRemoteChanges( changes, isSnapshot) {
+    const outbox = await storageManager.retrieveAll( this.outboxTableName),
+          conflicts = await storageManager.retrieveAll( this.conflictsTableName),
+          tableOrder = this.getTableOrder(),
+          deletions = [], upserts = [], remoteIds = new Set();
+    for (const {tableName, key, modifiedAt, record: resource} of changes) {
+      if (!this.tables[tableName]) continue;
+      const keyPath = storageManager.tables[tableName],
+            localRecords = await storageManager.getRecords( tableName),
+            localRecord = localRecords[key] || null,
+            record = resource ? this.tables[tableName].fromRemote( resource) : null,
+            id = `${tableName}:${key}`,
+            op = outbox[id];
+      if (record) remoteIds.add( id);
+      if (!record && !localRecord && !op) continue;
+      if (op && !this.isSameRemoteRecord( tableName, op.record, record)) {
+        if (this.tables[tableName].manualMerge &&
+            this.settings.policy === ConflictPolicyEL.MANUAL) {
+          // keep the remote version for the user, who merges it into the local one
+          await storageManager.add( this.conflictsTableName, {id, tableName, key: String( key),
+              local: op.record, remote: record, remoteModifiedAt: modifiedAt,
+              detectedAt: new Date().toISOString()});
+          op.onHold = true;
+          await storageManager.add( this.outboxTableName, op);
+          continue;
+        }
+        // the local change is pushed unless the remote one is later
+        if (!modifiedAt || modifiedAt < op.modifiedAt) continue;
+      }
+      if (op) {
+        await storageManager.destroy( this.outboxTableName, id);
+        if (conflicts[id]) await storageManager.destroy( this.conflictsTableName, id);
+      }
+      if (this.isSameRemoteRecord( tableName, localRecord, record)) continue;
+      if (record) upserts.push({tableName, key: record[keyPath], record});
+      else deletions.push({tableName, key: localRecord[keyPath], record: null});
+    }
+    const rank = entry => tableOrder.indexOf( entry.tableName);
+    deletions.sort( (e1, e2) => rank( e2) - rank( e1));
+    upserts.sort( (e1, e2) => rank( e1) - rank( e2));
+    if (deletions.length + upserts.length > 0) {
+      await storageManager.applyChanges( deletions.concat( upserts), "sync");
+    }
+    if (isSnapshot) {
+      // queue the records, which have only been created locally
+      const localChanges = [];
+      for (const tableName of tableOrder) {
+        const localRecords = await storageManager.getRecords( tableName);
+        for (const key of Object.keys( localRecords)) {
+          const id = `${tableName}:${key}`;
+          if (!remoteIds.has( id) && !outbox[id]) {
+            localChanges.push({tableName, key, before: null, after: localRecords[key]});
+          }
+        }
+      }
+      if (localChanges.length > 0) await this.enqueue( localChanges);
+    }
+  }
+  /**
+   * Push the queued operations in the order of queueing, where an operation
+   * that has been queued again in the meantime is kept for the next push
+   */
+  async push() {
+    const outbox = await storageManager.retrieveAll( this.outboxTableName),
+          ops = Object.values( outbox).filter( op => !op.onHold && !op.rejected)
+              .sort( (op1, op2) => op1.queueNo.localeCompare( op2.queueNo));
+    for (const op of ops) {
+      if (!this.tables[op.tableName]) continue;
+      try {
+        if (!op.base || !op.record ||
+            !this.isSameRemoteRecord( op.tableName, op.base, op.record)) {
+          await this.pushOperation( op);
+        }
+      } catch (e) {
+        // stop pushing while the endpoint is not reachable
+        if (!(e instanceof SyncRequestError) || e.status === 0 || e.status >= 500) throw e;
+        op.rejected = {status: e.status, message: e.message};
+        console.log(`Sync endpoint rejected ${op.tableName} ${op.key}: ${e.message}`);
+      }
+      const current = (await storageManager.retrieveAll( this.outboxTableName))[op.id];
+      if (current && current.version === op.version) {
+        if (op.rejected) await storageManager.add( this.outboxTableName, op);
+        else await storageManager.destroy( this.outboxTableName, op.id);
+      }
+    }
+  }
+  /**
+   * Send a queued operation as a DELETE, POST or PUT request, falling back
+   * to creating or updating when the endpoint has the record or not, and
+   * check that the endpoint has stored the updatable properties sent, since
+   * the next pull would overwrite the local change otherwise
+   * @param {object} op
+   */
+  async pushOperation( op) {
+    const {toRemote, fromRemote, updatableProperties} = this.tables[op.tableName],
+          keyPath = storageManager.tables[op.tableName],
+          path = `/${op.tableName}/${encodeURIComponent( op.key)}`,
+          resource = op.record ? toRemote( op.record) : null,
+          put = () => {
+            const body = {[keyPath]: resource[keyPath]};
+            for (const p of updatableProperties) if (p in resource) body[p] = resource[p];
+            return this.request("PUT", path, body);
+          },
+          post = () => this.request("POST", `/${op.tableName}`, resource),
+          ignoreStatus = status => e => {
+            if (!(e instanceof SyncRequestError) || e.status !== status) throw e;
+          };
+    var result = null;
+    if (!resource) {
+      // a record, which has already been deleted remotely, is gone anyway
+      await this.request("DELETE", path).catch( ignoreStatus( 404));
+      return;
+    } else if (!op.base) {
+      result = await post().catch( e => {
+        ignoreStatus( 409)( e);
+        return put();
+      });
+    } else {
+      result = await put().catch( e => {
+        ignoreStatus( 404)( e);
+        return post();
+      });
+    }
+    const record = result ? fromRemote( result) : null,
+          stored = record ? toRemote( record) : null;
+    if (!stored) return;
+    const notStored = updatableProperties.filter( p => p in resource &&
+        JSON.stringify( stored[p] ?? null) !== JSON.stringify( resource[p] ?? null));
+    if (notStored.length > 0) {
+      throw new SyncRequestError( 409, `The sync endpoint has not stored ${notStored.join(", ")} of ${op.tableName} ${op.key}!`);
+    }
+  }
+  /**
+   * Retrieve the conflicts waiting for being merged by the user
+   * @return {Promise<Array<object>>}  A list of {id, tableName, key, local,
+   *     remote, remoteModifiedAt, detectedAt} conflicts
+   */
+  async retrieveConflicts() {
+    const conflicts = await storageManager.retrieveAll( this.conflictsTableName);
+    return Object.values( conflicts).sort( (c1, c2) => c1.id.localeCompare( c2.id));
+  }
+  /**
+   * Resolve a conflict either by taking the remote version of the record,
+   * or by pushing the local version, which the user may have merged with
+   * the remote one by updating it before
+   * @param {string} id
+   * @param {boolean} useRemote
+   */
+  resolveConflict( id, useRemote) {
+    return this.serialize( async () => {
+      const conflict = (await storageManager.retrieveAll( this.conflictsTableName))[id],
+            op = (await storageManager.retrieveAll( this.outboxTableName))[id];
+      if (!conflict) return;
+      await storageManager.destroy( this.conflictsTableName, id);
+      if (useRemote) {
+        const {tableName, key, remote} = conflict,
+              keyPath = storageManager.tables[tableName],
+              localRecord = (await storageManager.getRecords( tableName))[key];
+        if (op) await storageManager.destroy( this.outboxTableName, id);
+        if (remote || localRecord) {
+          await storageManager.applyChanges([{tableName,
+              key: remote ? remote[keyPath] : localRecord[keyPath], record: remote}], "sync");
+        }
+      } else if (op) {
+        // the local version replaces the remote one, which is its new base
+        op.base = conflict.remote;
+        op.modifiedAt = new Date().toISOString();
+        op.version++;
+        delete op.onHold;
+        await storageManager.add( this.outboxTableName, op);
+      }
+      this.notify();
+    });
+  }
+  /**
+   * Summarize the state of the synchronization
+   * @return {Promise<object>}
+   */
+  async getStatus() {
+    const {endpoint, policy, lastPulledAt} = this.settings,
+          ops = Object.values( await storageManager.retrieveAll( this.outboxTableName)),
+          conflicts = await storageManager.retrieveAll( this.conflictsTableName);
+    return {endpoint, policy, lastPulledAt, lastSyncedAt: this.lastSyncedAt,
+        lastError: this.lastError, pending: ops.filter( op => !op.onHold && !op.rejected).length,
+        rejected: ops.filter( op => op.rejected).length, conflicts: Object.keys( conflicts).length};
+  }
+}
+
+/**
+ * The sync engine of the app, queueing all record changes made in this tab
+ * as long as a sync endpoint has been set
+ */
+const syncEngine = new SyncEngine("syncSettings");
+// a write does not wait for a running synchronization, after which its
+// changes are queued
+storageManager.onChange( (changes, origin) => {
+  syncEngine.queue( changes, origin).catch( e => console.log(`Error when queueing record changes\n` + e));
+});
+
+export { SyncEngine, SyncRequestError, ConflictPolicyEL, syncEngine };
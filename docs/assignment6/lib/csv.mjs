@@ -0,0 +1,70 @@
+/**
+ * @fileOverview  Reading and writing comma-separated values according to RFC 4180
+ * @author Phong Vu Thanh
+ */
+
+/**
+ * Parse CSV text into a list of rows, each being a list of field values.
+ * Fields may be enclosed in double quotes, which allows them to contain
+ * commas, line breaks and (doubled) double quotes. Both CRLF and LF line
+ * breaks are accepted, and a trailing line break does not start a new row.
+ * @param {string} text
+ * @return {Array<Array<string>>}
+ */
+function parseCsv( text) {
+  const rows = [];
+  var row = [], field = "", quoted = false, i = 0;
+  if (text.charCodeAt(0) === 0xFEFF) i = 1;  // skip a byte order mark
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      row.push( field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i+1] === "\n") i++;
+      row.push( field);
+      rows.push( row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new SyntaxError("Unterminated quoted CSV field");
+  if (field !== "" || row.length > 0) {
+    row.push( field);
+    rows.push( row);
+  }
+  return rows;
+}
+/**
+ * Convert a field value to a CSV field, quoting it if it contains a comma,
+ * a double quote or a line break
+ * @param {*} value
+ * @return {string}
+ */
+function toCsvField( value) {
+  const s = value === undefined || value === null ? "" : String( value);
+  return /[",\r\n]/.test( s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+/**
+ * Convert a list of rows to CSV text with CRLF line breaks
+ * @param {Array<Array<*>>} rows
+ * @return {string}
+ */
+function stringifyCsv( rows) {
+  return rows.map( row => row.map( toCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+export { parseCsv, stringifyCsv };
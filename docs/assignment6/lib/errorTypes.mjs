@@ -3,9 +3,31 @@
  * for property constraint violations
  * @author Gerd Wagner
  */
-class ConstraintViolation {
-  constructor (msg) {
-    this.message = msg;
+/**
+ * A constraint violation, which is an error carrying a stable code for the
+ * kind of constraint, the name of the property and its offending value, and
+ * the parameters of the constraint (e.g. {max: 120} for a maximum length),
+ * from which a message can be composed without parsing the English one
+ * @param {string} msg
+ * @param {{code: string, property: string, value: *, params: object}} [details]
+ *     The code defaults to the code of the violation class
+ */
+class ConstraintViolation extends Error {
+  constructor (msg, {code, property, value, params} = {}) {
+    super( msg);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.code;
+    if (property !== undefined) this.property = property;
+    if (value !== undefined) this.value = value;
+    this.params = params || {};
+  }
+  /* Convert the violation to a record for logs and API responses */
+  toJSON() {
+    const rec = {type: this.name, code: this.code, message: this.message};
+    if (this.property !== undefined) rec.property = this.property;
+    if (this.value !== undefined) rec.value = this.value;
+    if (Object.keys( this.params).length > 0) rec.params = this.params;
+    return rec;
   }
 }
 class NoConstraintViolation extends ConstraintViolation {
@@ -16,45 +38,56 @@ class NoConstraintViolation extends ConstraintViolation {
   }
 }
 class MandatoryValueConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class RangeConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class StringLengthConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class IntervalConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class PatternConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class UniquenessConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class ReferentialIntegrityConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
 class FrozenValueConstraintViolation extends ConstraintViolation {
-  constructor (msg) {
-    super( msg);
+  constructor (msg, details) {
+    super( msg, details);
   }
 }
+// the codes of the kinds of constraints, which must not be changed
+ConstraintViolation.code = "CONSTRAINT";
+NoConstraintViolation.code = "NONE";
+MandatoryValueConstraintViolation.code = "MANDATORY_VALUE";
+RangeConstraintViolation.code = "RANGE";
+StringLengthConstraintViolation.code = "STRING_LENGTH";
+IntervalConstraintViolation.code = "INTERVAL";
+PatternConstraintViolation.code = "PATTERN";
+UniquenessConstraintViolation.code = "UNIQUENESS";
+ReferentialIntegrityConstraintViolation.code = "REFERENTIAL_INTEGRITY";
+FrozenValueConstraintViolation.code = "FROZEN_VALUE";
 
 export { ConstraintViolation, NoConstraintViolation,
   MandatoryValueConstraintViolation, RangeConstraintViolation,
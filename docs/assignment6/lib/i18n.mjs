@@ -0,0 +1,172 @@
+/**
+ * @fileOverview  A minimal internationalization facility with message
+ *   catalogues per locale, in which constraint violations are looked up by
+ *   their code and parameters, and with locale-aware date formatting
+ * @author Phong Vu Thanh
+ */
+
+/**
+ * The translations of the app, with one message catalogue per locale. A
+ * message may contain placeholders like {label}, which are replaced with the
+ * values of the parameters of the same name.
+ * @class
+ * @param {string} defaultLocale  The locale, whose catalogue is used for
+ *     messages missing in the catalogue of the chosen locale
+ */
+class I18n {
+  constructor (defaultLocale) {
+    this.defaultLocale = defaultLocale;
+    this.catalogues = {};
+    this.storageKey = "locale";
+  }
+  /**
+   * The chosen locale, which is remembered across pages and sessions,
+   * and defaults to the locale of the browser if there is a catalogue for it
+   */
+  get locale() {
+    const stored = typeof localStorage !== "undefined" && localStorage[this.storageKey],
+          browserLocale = typeof navigator !== "undefined" && navigator.language ?
+              navigator.language.slice( 0, 2) : this.defaultLocale;
+    if (stored && this.catalogues[stored]) return stored;
+    return this.catalogues[browserLocale] ? browserLocale : this.defaultLocale;
+  }
+  set locale( locale) {
+    if (!this.catalogues[locale]) {
+      throw new Error(`There is no message catalogue for the locale ${locale}!`);
+    }
+    if (typeof localStorage !== "undefined") localStorage[this.storageKey] = locale;
+  }
+  /**
+   * The locales, for which there is a message catalogue
+   * @return {Array<string>}
+   */
+  getLocales() {
+    return Object.keys( this.catalogues);
+  }
+  /**
+   * Add the messages of a locale to its catalogue
+   * @param {string} locale
+   * @param {object} messages  A map of message keys to messages
+   */
+  addMessages( locale, messages) {
+    this.catalogues[locale] = Object.assign( this.catalogues[locale] || {}, messages);
+  }
+  /**
+   * Whether there is a message for the key in the chosen or default locale
+   */
+  has( key) {
+    return key in (this.catalogues[this.locale] || {}) ||
+        key in (this.catalogues[this.defaultLocale] || {});
+  }
+  /**
+   * Translate a message key, replacing the placeholders of the message
+   * @param {string} key
+   * @param {object} [params]
+   * @param {string} [fallback]  The message, if there is none for the key
+   * @return {string}
+   */
+  t( key, params = {}, fallback = key) {
+    const catalogue = this.catalogues[this.locale] || {},
+          defaultCatalogue = this.catalogues[this.defaultLocale] || {},
+          message = key in catalogue ? catalogue[key] :
+              key in defaultCatalogue ? defaultCatalogue[key] : fallback;
+    return message.replace( /\{(\w+)\}/g, (placeholder, name) =>
+        name in params ? String( params[name]) : placeholder);
+  }
+  /**
+   * Translate a message depending on a count, by the key "<key>.<category>"
+   * with the plural category of the count in the chosen locale (e.g. "one"
+   * or "other"), where the count is passed as the parameter {count}
+   * @param {string} key
+   * @param {number} count
+   * @param {object} [params]
+   * @return {string}
+   */
+  plural( key, count, params = {}) {
+    const category = new Intl.PluralRules( this.locale).select( count);
+    return this.t(`${key}.${category}`, Object.assign( {count}, params),
+        this.t(`${key}.other`, Object.assign( {count}, params)));
+  }
+  /**
+   * Translate a constraint violation by its code, where a more specific
+   * message may be defined for the range (e.g. "RANGE:PositiveInteger") or
+   * for the kind of bound (e.g. "STRING_LENGTH:max") of the violated
+   * constraint, or for the category, which a property depends on (e.g.
+   * "MANDATORY_VALUE:category"), or for the count of the records restricting
+   * a deletion (e.g. "REFERENTIAL_INTEGRITY:count"). The label of the
+   * property is translated by the key "property.<name>", and the English
+   * message of the violation is used if there is no message for its code.
+   * @param {ConstraintViolation} violation
+   * @return {string}
+   */
+  formatViolation( violation) {
+    const params = Object.assign( {}, violation.params),
+          code = violation.code;
+    if (!code || code === "NONE") return violation.message || "";
+    if (violation.property) {
+      params.label = this.t(`property.${violation.property}`, {},
+          params.label || violation.property);
+    }
+    if (violation.value !== undefined && violation.value !== null) params.value = violation.value;
+    const keys = [params.range && `${code}:${params.range}`,
+        "max" in params && `${code}:max`, "min" in params && `${code}:min`,
+        "category" in params && `${code}:category`,
+        "count" in params && `${code}:count`, code].filter( key => key);
+    const key = keys.find( key => this.has( key));
+    return key ? this.t( key, params) : violation.message;
+  }
+  /**
+   * Translate the labels of an enumeration by the keys "<name>.<label>"
+   * @param {string} name  The name of the enumeration (e.g. "MovieCategoryEL")
+   * @param {Enumeration} enumeration
+   * @return {Array<string>}
+   */
+  getEnumLabels( name, enumeration) {
+    return enumeration.labels.map( label => this.t(`${name}.${label}`, {}, label));
+  }
+  /**
+   * Format a date according to the chosen locale, without its time
+   * @param {Date|string} date
+   * @return {string}
+   */
+  formatDate( date) {
+    if (date === undefined || date === null || date === "") return "";
+    const d = date instanceof Date ? date : new Date( date);
+    if (isNaN( d.getTime())) return String( date);
+    // dates are stored as UTC midnight
+    return new Intl.DateTimeFormat( this.locale, {dateStyle: "medium", timeZone: "UTC"}).format( d);
+  }
+  /**
+   * Format a timestamp according to the chosen locale
+   * @param {Date|string} timestamp
+   * @return {string}
+   */
+  formatDateTime( timestamp) {
+    return new Date( timestamp).toLocaleString( this.locale);
+  }
+  /**
+   * Translate the texts of the elements of a document (fragment) marked up
+   * with a data-i18n attribute holding their message key, as well as the
+   * attributes listed in a data-i18n-attr attribute (e.g.
+   * data-i18n-attr="title:button.undo.title")
+   * @param {ParentNode} [rootNode]
+   */
+  translateElements( rootNode = document) {
+    for (const el of rootNode.querySelectorAll("[data-i18n]")) {
+      el.textContent = this.t( el.dataset.i18n, {}, el.textContent);
+    }
+    for (const el of rootNode.querySelectorAll("[data-i18n-attr]")) {
+      for (const pair of el.dataset.i18nAttr.split(/\s*;\s*/)) {
+        const [attr, key] = pair.split(":");
+        if (attr && key) el.setAttribute( attr, this.t( key, {}, el.getAttribute( attr) || key));
+      }
+    }
+  }
+}
+
+/**
+ * The translations of the app, with English as the default locale
+ */
+const i18n = new I18n("en");
+
+export { I18n, i18n };
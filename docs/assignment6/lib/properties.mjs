@@ -0,0 +1,628 @@
+/**
+ * @fileOverview  Derives the check methods, getters, setters, toString and
+ *   toJSON of model classes from their declarative property metadata, such
+ *   that adding an attribute only requires adding its declaration to the
+ *   properties map of the class, and which maintains the bidirectional
+ *   associations between them by deriving the inverse references, and
+ *   applies the delete policies of references to deleted objects
+ * @author Phong Vu Thanh
+ */
+import { Enumeration } from "./Enumeration.mjs";
+import { storageManager } from "./StorageManager.mjs";
+import { NoConstraintViolation, MandatoryValueConstraintViolation, RangeConstraintViolation,
+  StringLengthConstraintViolation, IntervalConstraintViolation, PatternConstraintViolation,
+  UniquenessConstraintViolation, ReferentialIntegrityConstraintViolation,
+  FrozenValueConstraintViolation } from "./errorTypes.mjs";
+
+/**
+ * The model classes by name, for resolving the targets of references
+ */
+const classes = {};
+
+/**
+ * A property declaration of a properties map, e.g.
+ *   title: {label: "Title", range: "NonEmptyString", max: 120}
+ * @typedef {object} PropertyDeclaration
+ * @property {string} [label]  The name of the property shown to users
+ * @property {string|Enumeration} [range]  "String", "NonEmptyString",
+ *     "Integer", "PositiveInteger", "Date" or an enumeration
+ * @property {number|string} [min]  The minimum value, or the minimum length
+ *     of a string, or the earliest date
+ * @property {number|string} [max]  The maximum value, or the maximum length
+ *     of a string, or the latest date
+ * @property {RegExp} [pattern]  A pattern for string values, which may come
+ *     with a patternMessage
+ * @property {boolean} [optional]  Whether the property may have no value
+ * @property {boolean} [frozen]  Whether the value cannot be changed once set
+ * @property {boolean} [id]  Whether the property is the standard identifier
+ * @property {boolean} [unique]  Whether no two instances of the class may
+ *     have the same value
+ * @property {string} [refersTo]  The name of the class referenced by the
+ *     property, whose values are objects of that class or their IDs
+ * @property {boolean} [multiValued]  Whether the property references a map
+ *     of objects, which may be given as a list or map of IDs
+ * @property {string} [inverseOf]  The reference property of the referenced
+ *     class, from which this one is derived (e.g. the actedInMovies of an
+ *     actor are the movies, whose actor property references the actor)
+ * @property {string} [onDelete]  What happens to the objects referencing an
+ *     object, which is deleted: "CASCADE" (they are deleted along with it),
+ *     "RESTRICT" (it cannot be deleted, the default) or "SET_NULL" (the
+ *     reference is removed from them)
+ * @property {string} [dependsOn]  The property, whose value is passed to
+ *     the check method as a second argument (e.g. the category)
+ */
+
+function capitalize( s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+/**
+ * Get the declarations of all properties of a class, including those
+ * inherited from its superclasses
+ * @param {function} Class
+ * @return {object}  A map of property names to declarations
+ */
+function getPropertyDeclarations( Class) {
+  const chain = [];
+  for (let C = Class; C && C !== Function.prototype; C = Object.getPrototypeOf( C)) {
+    if (Object.prototype.hasOwnProperty.call( C, "properties")) chain.unshift( C.properties);
+  }
+  return Object.assign( {}, ...chain);
+}
+/**
+ * Get the name of the standard identifier property of a class
+ * @param {function} Class
+ * @return {string}
+ */
+function getIdProperty( Class) {
+  const decls = getPropertyDeclarations( Class);
+  return Object.keys( decls).find( p => decls[p].id);
+}
+/**
+ * Get the model class, whose records are stored in a table
+ * @param {string} tableName
+ * @return {function}  The class, if it has been loaded on this page
+ */
+function getClassByTableName( tableName) {
+  return Object.values( classes).find( Class =>
+      Object.prototype.hasOwnProperty.call( Class, "tableName") && Class.tableName === tableName);
+}
+function getLabel( decl, property) {
+  return decl.label || property;
+}
+function isEmpty( value) {
+  return value === undefined || value === null || value === "";
+}
+/**
+ * Get the ID of a referenced object, which may be given by its ID
+ */
+function getIdRef( value, Target) {
+  return value !== null && typeof value === "object" ? value[getIdProperty( Target)] : value;
+}
+/**
+ * Get the list of the IDs of the objects referenced by a multi-valued
+ * property, given as a list or map of objects or IDs
+ */
+function getIdRefs( value, Target) {
+  const values = Array.isArray( value) ? value : Object.values( value || {});
+  return values.map( v => getIdRef( v, Target));
+}
+
+/**
+ * Check a single value (of a single-valued property) against the range,
+ * interval, length and pattern constraints of its declaration, where an
+ * empty value is only checked against the optionality
+ * @param {PropertyDeclaration} decl
+ * @param {string} property
+ * @param {*} value
+ * @return {ConstraintViolation}
+ */
+function checkValue( decl, property, value) {
+  const label = getLabel( decl, property),
+        // the details of a violation, whose params include the label
+        details = params => ({property, value, params: Object.assign( {label}, params)});
+  if (isEmpty( value)) {
+    return decl.optional || decl.id ? new NoConstraintViolation() :
+        new MandatoryValueConstraintViolation(`A value for "${label}" must be provided!`,
+            details());
+  }
+  const {range, min, max, pattern} = decl;
+  if (range === "String" || range === "NonEmptyString") {
+    if (typeof value !== "string" || (range === "NonEmptyString" && value.trim() === "")) {
+      return new RangeConstraintViolation(`"${label}" must be a ${
+          range === "String" ? "string" : "non-empty string"}!`, details({range}));
+    } else if (max !== undefined && value.length > max) {
+      return new StringLengthConstraintViolation(
+          `"${label}" must not be longer than ${max} characters!`, details({max}));
+    } else if (min !== undefined && value.length < min) {
+      return new StringLengthConstraintViolation(
+          `"${label}" must be at least ${min} characters long!`, details({min}));
+    }
+  } else if (range === "Integer" || range === "PositiveInteger") {
+    const n = typeof value === "string" && value.trim() !== "" ? Number( value) : value;
+    if (!Number.isInteger( n) || (range === "PositiveInteger" && n < 1)) {
+      return new RangeConstraintViolation(`"${label}" must be a ${
+          range === "Integer" ? "" : "positive "}integer!`, details({range}));
+    } else if (min !== undefined && n < min) {
+      return new IntervalConstraintViolation(`"${label}" must be at least ${min}!`,
+          details({min}));
+    } else if (max !== undefined && n > max) {
+      return new IntervalConstraintViolation(`"${label}" must be at most ${max}!`,
+          details({max}));
+    }
+  } else if (range === "Date") {
+    const d = new Date( value);
+    if (isNaN( d.getTime())) {
+      return new RangeConstraintViolation(`"${label}" must be a valid date!`, details({range}));
+    } else if (min !== undefined && d < new Date( min)) {
+      return new IntervalConstraintViolation(`"${label}" must not be before ${min}!`,
+          details({min}));
+    } else if (max !== undefined && d > new Date( max)) {
+      return new IntervalConstraintViolation(`"${label}" must not be after ${max}!`,
+          details({max}));
+    }
+  } else if (range instanceof Enumeration) {
+    const n = Number( value);
+    if (!Number.isInteger( n) || n < 1 || n > range.MAX) {
+      return new RangeConstraintViolation(`Invalid value for "${label}": ${value}`,
+          details({range: "Enumeration", min: 1, max: range.MAX}));
+    }
+  }
+  if (pattern && !pattern.test( String( value))) {
+    return new PatternConstraintViolation( decl.patternMessage ||
+        `"${label}" does not match the pattern ${pattern}!`,
+        details({pattern: String( pattern)}));
+  }
+  if (decl.refersTo) {
+    const Target = classes[decl.refersTo],
+          id = getIdRef( value, Target);
+    if (Target && !Target.instances[id]) {
+      return new ReferentialIntegrityConstraintViolation(
+          `There is no ${Target.name} record with the ID ${id} for "${label}"!`,
+          details({type: Target.name, id}));
+    }
+  }
+  return new NoConstraintViolation();
+}
+/**
+ * Check a property value against the constraints of its declaration, where
+ * the values referenced by a multi-valued property may also be checked one
+ * by one
+ * @param {function} Class
+ * @param {string} property
+ * @param {*} value
+ * @return {ConstraintViolation}
+ */
+function checkProperty( Class, property, value) {
+  const decl = getPropertyDeclarations( Class)[property];
+  if (decl.multiValued && value !== null && typeof value === "object") {
+    const Target = classes[decl.refersTo];
+    for (const id of getIdRefs( value, Target)) {
+      const validationResult = checkValue( decl, property, id);
+      if (!(validationResult instanceof NoConstraintViolation)) return validationResult;
+    }
+    return new NoConstraintViolation();
+  }
+  return checkValue( decl, property, value);
+}
+/**
+ * Check a standard identifier value: it is mandatory, and unique among the
+ * instances of the given class
+ * @param {function} Class
+ * @param {string} property
+ * @param {*} value
+ * @param {function} [DirectType]  The class, in which the ID has to be unique
+ * @return {ConstraintViolation}
+ */
+function checkPropertyAsId( Class, property, value, DirectType = Class) {
+  const decl = getPropertyDeclarations( Class)[property],
+        label = getLabel( decl, property);
+  if (isEmpty( value)) {
+    return new MandatoryValueConstraintViolation(`A value for "${label}" must be provided!`,
+        {property, value, params: {label}});
+  }
+  const validationResult = Class["check" + capitalize( property)]( value);
+  if (!(validationResult instanceof NoConstraintViolation)) return validationResult;
+  if (DirectType.instances[convertValue( decl, value)]) {
+    return new UniquenessConstraintViolation(
+        `There is already a ${DirectType.name} record with this ${label}!`,
+        {property, value, params: {label, type: DirectType.name}});
+  }
+  return new NoConstraintViolation();
+}
+/**
+ * Check that no other instance of a class has the same value of a property
+ * declared as unique
+ * @param {function} Class
+ * @param {string} property
+ * @param {*} value
+ * @param {object} [obj]  The object having the value, which is not compared
+ * @return {ConstraintViolation}
+ */
+function checkUniqueness( Class, property, value, obj) {
+  const decl = getPropertyDeclarations( Class)[property],
+        label = getLabel( decl, property),
+        stored = String( convertValue( decl, value));
+  if (!isEmpty( value) && Object.values( Class.instances).some( other =>
+      other !== obj && String( other[property]) === stored)) {
+    return new UniquenessConstraintViolation(
+        `There is already a ${Class.name} record with this ${label}!`,
+        {property, value, params: {label, type: Class.name}});
+  }
+  return new NoConstraintViolation();
+}
+/**
+ * Check an ID reference to an instance of the given class
+ */
+function checkPropertyAsIdRef( Class, property, value) {
+  const decl = getPropertyDeclarations( Class)[property],
+        label = getLabel( decl, property),
+        validationResult = Class["check" + capitalize( property)]( value);
+  if (validationResult instanceof NoConstraintViolation && !isEmpty( value) &&
+      !Class.instances[convertValue( decl, value)]) {
+    return new ReferentialIntegrityConstraintViolation(
+        `There is no ${Class.name} record with this ${label}!`,
+        {property, value, params: {label, type: Class.name, id: value}});
+  }
+  return validationResult;
+}
+/**
+ * Check all slots of an object to be created, or the given slots of an
+ * object to be updated, with the check methods of its class, including those
+ * checking a property against the value of the property it depends on
+ * @param {function} Class
+ * @param {object} slots
+ * @param {object} [obj]  The object to be updated
+ * @return {object}  A map of the names of the properties with invalid
+ *     values to their constraint violations, which is empty if all are valid
+ */
+function validateSlots( Class, slots, obj) {
+  const decls = getPropertyDeclarations( Class), violations = {};
+  for (const property of Object.keys( decls)) {
+    const decl = decls[property],
+          checkName = "check" + capitalize( property),
+          // a property of an object to be updated is also checked when the
+          // property it depends on is changed
+          isChanged = !obj || property in slots || (decl.dependsOn && decl.dependsOn in slots),
+          value = !obj || property in slots ? slots[property] : obj[property];
+    var validationResult = null;
+    // the inverse references of a new object are derived from the referencing objects
+    if (!isChanged || (decl.inverseOf && !obj)) continue;
+    if (decl.id) {
+      // the ID of an object to be updated cannot be changed
+      validationResult = obj ? new NoConstraintViolation() :
+          Class[checkName + "AsId"]( value, Class);
+    } else if (obj && decl.frozen && obj[property] !== undefined &&
+        String( convertValue( decl, value)) !== String( obj[property])) {
+      validationResult = new FrozenValueConstraintViolation(
+          `"${getLabel( decl, property)}" cannot be changed!`,
+          {property, value, params: {label: getLabel( decl, property)}});
+    } else if (decl.dependsOn) {
+      const dependsOnValue = obj && !(decl.dependsOn in slots) ?
+          obj[decl.dependsOn] : slots[decl.dependsOn];
+      validationResult = Class[checkName]( value, dependsOnValue);
+    } else {
+      validationResult = Class[checkName]( value);
+    }
+    if (decl.unique && validationResult instanceof NoConstraintViolation) {
+      validationResult = checkUniqueness( Class, property, value, obj);
+    }
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      violations[property] = validationResult;
+    }
+  }
+  return violations;
+}
+
+/**
+ * Get the objects of a class referencing an object by a reference property
+ * @param {object} obj  The referenced object
+ * @param {function} Source  The class of the referencing objects
+ * @param {string} property  The reference property of the class
+ * @return {object}  A map of the IDs of the referencing objects to the objects
+ */
+function getReferencingObjects( obj, Source, property) {
+  const sourceDecl = getPropertyDeclarations( Source)[property],
+        Type = obj.constructor,
+        id = String( obj[getIdProperty( Type)]),
+        map = {};
+  for (const key of Object.keys( Source.instances)) {
+    const value = Source.instances[key][property],
+          ids = sourceDecl.multiValued ? getIdRefs( value, Type) :
+              isEmpty( value) ? [] : [getIdRef( value, Type)];
+    if (ids.some( ref => String( ref) === id)) map[key] = Source.instances[key];
+  }
+  return map;
+}
+/**
+ * Add a reference to an object to a referencing object, or remove it, by
+ * assigning the reference property with its setter, where a single-valued
+ * reference is re-assigned or unset
+ * @param {object} source  The referencing object
+ * @param {string} property  The reference property
+ * @param {object} obj  The referenced object
+ * @param {boolean} isReferenced  Whether the reference is added or removed
+ */
+function setReference( source, property, obj, isReferenced) {
+  const sourceDecl = getPropertyDeclarations( source.constructor)[property],
+        Type = obj.constructor,
+        id = obj[getIdProperty( Type)];
+  if (!sourceDecl.multiValued) {
+    source[property] = isReferenced ? id : undefined;
+  } else {
+    const ids = getIdRefs( source[property], Type).filter( ref => String( ref) !== String( id));
+    source[property] = isReferenced ? ids.concat([id]) : ids;
+  }
+}
+/**
+ * Get the objects referencing an object by the reference property, which an
+ * inverse reference property of its class is derived from, where there are
+ * none while the class of the referencing objects is not loaded
+ * @param {object} obj  The referenced object
+ * @param {PropertyDeclaration} decl  The declaration of the inverse property
+ * @return {object}  A map of the IDs of the referencing objects to the objects
+ */
+function getInverseReferences( obj, decl) {
+  const Source = classes[decl.refersTo];
+  return Source ? getReferencingObjects( obj, Source, decl.inverseOf) : {};
+}
+/**
+ * Make the objects given by their IDs, and only them, reference an object by
+ * the reference property, which an inverse reference property is derived
+ * from. An object referencing another object by a single-valued property is
+ * re-assigned.
+ * @param {object} obj  The referenced object
+ * @param {PropertyDeclaration} decl  The declaration of the inverse property
+ * @param {*} value  A list or map of the referencing objects or their IDs
+ */
+function setInverseReferences( obj, decl, value) {
+  const Source = classes[decl.refersTo];
+  if (!Source) return;
+  const referencing = getInverseReferences( obj, decl),
+        keys = getIdRefs( value, Source).map( key => String( key));
+  for (const key of Object.keys( Source.instances)) {
+    if (keys.includes( key) !== Boolean( referencing[key])) {
+      setReference( Source.instances[key], decl.inverseOf, obj, keys.includes( key));
+    }
+  }
+}
+
+/**
+ * Get the impact of deleting objects on the objects referencing them, as
+ * declared by the delete policies (onDelete) of the reference properties
+ * @param {...object} objs  The objects to be deleted, e.g. the roles of a person
+ * @return {Array<{obj: object, Class: function, property: string,
+ *     onDelete: string, objects: object}>}  The objects referencing one of
+ *     the deleted objects per reference property, with its delete policy
+ */
+function getDeleteImpact( ...objs) {
+  const impacts = [];
+  for (const obj of objs) {
+    for (const Class of Object.values( classes)) {
+      // inherited reference properties are covered by the superclass
+      const decls = Object.prototype.hasOwnProperty.call( Class, "properties") ?
+          Class.properties : {};
+      for (const property of Object.keys( decls)) {
+        const decl = decls[property], Target = classes[decl.refersTo];
+        if (!Target || decl.inverseOf || !(obj instanceof Target)) continue;
+        // a role of a person is not referenced as the person, which is
+        // another object with the same ID
+        const other = Target.instances[obj[getIdProperty( Target)]];
+        if (other && other !== obj) continue;
+        const objects = getReferencingObjects( obj, Class, property);
+        if (Object.keys( objects).length > 0) {
+          impacts.push({obj, Class, property, onDelete: decl.onDelete || "RESTRICT", objects});
+        }
+      }
+    }
+  }
+  return impacts;
+}
+/**
+ * Check whether objects can be deleted, which is not the case while they
+ * are referenced by a property with the delete policy "RESTRICT"
+ * @param {...object} objs
+ * @return {ConstraintViolation}
+ */
+function checkDeletion( ...objs) {
+  const impact = getDeleteImpact( ...objs).find( impact => impact.onDelete === "RESTRICT");
+  if (!impact) return new NoConstraintViolation();
+  const {obj, Class, property, objects} = impact,
+        label = getLabel( getPropertyDeclarations( Class)[property], property),
+        Type = obj.constructor,
+        id = obj[getIdProperty( Type)],
+        count = Object.keys( objects).length;
+  return new ReferentialIntegrityConstraintViolation(`The ${Type.name} ${id} cannot be ` +
+      `deleted, since ${count} ${Class.name} records refer to it as "${label}"!`,
+      {property, value: id, params: {label, type: Class.name, id, count}});
+}
+/**
+ * Apply the delete policies of the references to objects to be deleted:
+ * the referencing objects are deleted with the destroy method of their class
+ * or stored without the reference, all or nothing, unless the deletion is
+ * restricted (see checkDeletion), in which case nothing is changed
+ * @param {...object} objs
+ */
+async function applyDeletePolicies( ...objs) {
+  const validationResult = checkDeletion( ...objs);
+  if (!(validationResult instanceof NoConstraintViolation)) throw validationResult;
+  const impacts = getDeleteImpact( ...objs);
+  await storageManager.runTransaction( impacts.map( impact => impact.Class), async function () {
+    for (const {obj, Class, property, onDelete, objects} of impacts) {
+      for (const key of Object.keys( objects)) {
+        // an object may have been deleted along with another deleted object
+        if (!Class.instances[key]) continue;
+        if (onDelete === "CASCADE") {
+          await Class.destroy( key);
+        } else {
+          setReference( objects[key], property, obj, false);
+          await storageManager.update( objects[key].constructor.tableName, objects[key]);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Convert a valid input value to the value stored in the object
+ * @param {PropertyDeclaration} decl
+ * @param {*} value
+ * @return {*}
+ */
+function convertValue( decl, value) {
+  if (isEmpty( value)) return decl.multiValued ? {} : undefined;
+  if (decl.range === "Integer" || decl.range === "PositiveInteger" ||
+      decl.range instanceof Enumeration) {
+    return parseInt( value);
+  } else if (decl.range === "Date") {
+    return new Date( value);
+  } else if (decl.refersTo) {
+    const Target = classes[decl.refersTo];
+    if (decl.multiValued) {
+      // a map of IDs to objects
+      const map = {};
+      for (const id of getIdRefs( value, Target)) {
+        map[id] = Target ? Target.instances[id] : id;
+      }
+      return map;
+    }
+    return Target ? Target.instances[getIdRef( value, Target)] : value;
+  }
+  return value;
+}
+/**
+ * Convert a property value to its record value: references are stored as
+ * IDs and multi-valued references as lists of IDs
+ */
+function toRecordValue( decl, value) {
+  if (decl.refersTo) {
+    const Target = classes[decl.refersTo];
+    return decl.multiValued ? getIdRefs( value, Target) : getIdRef( value, Target);
+  }
+  return value;
+}
+/**
+ * Format a property value for toString
+ */
+function formatValue( decl, value) {
+  if (decl.refersTo) {
+    const Target = classes[decl.refersTo];
+    return decl.multiValued ? `[${getIdRefs( value, Target).join(", ")}]` :
+        String( getIdRef( value, Target));
+  } else if (value instanceof Date) {
+    return value.toISOString().slice( 0, 10);
+  } else if (decl.range instanceof Enumeration) {
+    return decl.range.labels[value - 1];
+  }
+  return String( value);
+}
+
+/**
+ * Derive the behaviour of a model class from its properties map:
+ * - a static check method per property (e.g. checkTitle), and for its
+ *   standard identifier also checkXAsId and checkXAsIdRef methods,
+ *   unless the class defines them itself (e.g. for cross-property rules)
+ * - a getter and a setter per property, where the setter checks the value
+ *   with the check method and a unique value against the values of the
+ *   other instances, rejects changing a frozen value and converts the
+ *   value (e.g. to an integer, a date or referenced objects), unless the
+ *   class defines them itself
+ * - for an inverse reference property, a getter deriving its value from the
+ *   referencing objects, and a setter assigning their reference property
+ *   (see getInverseReferences and setInverseReferences)
+ * - a static validate method returning the constraint violations of all
+ *   slots at once (see validateSlots)
+ * - toString and toJSON methods, the latter storing references as IDs and
+ *   leaving out the derived inverse references
+ * @param {function} Class  A class with a properties map
+ */
+function defineProperties( Class) {
+  const has = name => Object.prototype.hasOwnProperty.call( Class, name),
+        decls = has("properties") ? Class.properties : {};
+  classes[Class.name] = Class;
+  if (!has("validate")) Class.validate = (slots, obj) => validateSlots( Class, slots, obj);
+  for (const property of Object.keys( decls)) {
+    const decl = decls[property],
+          checkName = "check" + capitalize( property);
+    if (!has( checkName)) {
+      Class[checkName] = value => checkProperty( Class, property, value);
+    }
+    if (decl.id) {
+      if (!has( checkName + "AsId")) {
+        Class[checkName + "AsId"] = (value, DirectType) =>
+            checkPropertyAsId( Class, property, value, DirectType);
+      }
+      if (!has( checkName + "AsIdRef")) {
+        Class[checkName + "AsIdRef"] = value => checkPropertyAsIdRef( Class, property, value);
+      }
+    }
+    // define the missing parts of the accessor property
+    const descriptor = Object.getOwnPropertyDescriptor( Class.prototype, property) || {},
+          slot = "_" + property;
+    if (decl.inverseOf) {
+      Object.defineProperty( Class.prototype, property, {
+        configurable: true,
+        get: descriptor.get || function () {return getInverseReferences( this, decl);},
+        set: descriptor.set || function (value) {
+          const validationResult = this.constructor[checkName]( value);
+          if (!(validationResult instanceof NoConstraintViolation)) throw validationResult;
+          setInverseReferences( this, decl, value);
+        }
+      });
+      continue;
+    }
+    Object.defineProperty( Class.prototype, property, {
+      configurable: true,
+      get: descriptor.get || function () {return this[slot];},
+      set: descriptor.set || function (value) {
+        const Type = this.constructor;
+        var validationResult = null;
+        if (decl.frozen && this[slot] !== undefined) {
+          validationResult = new FrozenValueConstraintViolation(
+              `"${getLabel( decl, property)}" cannot be changed!`,
+              {property, value, params: {label: getLabel( decl, property)}});
+        } else if (decl.id) {
+          // the ID has to be unique among the instances of the direct type
+          validationResult = Type[checkName + "AsId"]( value, Type);
+        } else {
+          validationResult = Type[checkName]( value,
+              decl.dependsOn ? this[decl.dependsOn] : undefined);
+          if (decl.unique && validationResult instanceof NoConstraintViolation) {
+            validationResult = checkUniqueness( Type, property, value, this);
+          }
+        }
+        if (validationResult instanceof NoConstraintViolation) {
+          this[slot] = convertValue( decl, value);
+        } else {
+          throw validationResult;
+        }
+      }
+    });
+  }
+  if (!Object.prototype.hasOwnProperty.call( Class.prototype, "toString")) {
+    Class.prototype.toString = function () {
+      const decls = getPropertyDeclarations( this.constructor), slots = [];
+      for (const property of Object.keys( decls)) {
+        const value = this[property];
+        // derived inverse references are only shown if there are any
+        if (isEmpty( value) || (decls[property].inverseOf && Object.keys( value).length === 0)) {
+          continue;
+        }
+        slots.push(`${getLabel( decls[property], property)}: ${formatValue( decls[property], value)}`);
+      }
+      return `${this.constructor.name}{ ${slots.join(", ")} }`;
+    };
+  }
+  if (!Object.prototype.hasOwnProperty.call( Class.prototype, "toJSON")) {
+    Class.prototype.toJSON = function () {
+      const decls = getPropertyDeclarations( this.constructor), rec = {};
+      for (const property of Object.keys( decls)) {
+        const value = decls[property].inverseOf ? undefined : this[property];
+        if (value !== undefined) rec[property] = toRecordValue( decls[property], value);
+      }
+      return rec;
+    };
+  }
+}
+
+export { defineProperties, getPropertyDeclarations, getIdProperty, getClassByTableName,
+  checkProperty, validateSlots, getDeleteImpact, checkDeletion, applyDeletePolicies };
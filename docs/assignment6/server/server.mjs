@@ -0,0 +1,350 @@
+/**
+ * @fileOverview  A Node.js HTTP server offering the movie data as a REST API,
+ *   which runs the model classes of the app with a file storage adapter.
+ *   Start it with "node server/server.mjs"; the environment variables PORT
+ *   and DATA_DIR set the port (default 3000) and the directory of the table
+ *   files (default server/data). Clients synchronizing with it pull the
+ *   changes made since their last pull from GET /changes?since=<ISO date-time>.
+ * @author Phong Vu Thanh
+ */
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Person from "../src/m/Person.mjs";
+import Actor from "../src/m/Actor.mjs";
+import Director from "../src/m/Director.mjs";
+import Movie from "../src/m/Movie.mjs";
+import TvSeries from "../src/m/TvSeries.mjs";
+import TvSeriesEpisode from "../src/m/TvSeriesEpisode.mjs";
+import Biography from "../src/m/Biography.mjs";
+import { ConstraintViolation, NoConstraintViolation, UniquenessConstraintViolation,
+  FrozenValueConstraintViolation, RangeConstraintViolation } from "../lib/errorTypes.mjs";
+import { StorageManager, storageManager } from "../lib/StorageManager.mjs";
+import { FileStorageAdapter } from "../lib/FileStorageAdapter.mjs";
+import { auditLog } from "../lib/AuditLog.mjs";
+import { checkDeletion } from "../lib/properties.mjs";
+
+const PORT = parseInt( process.env.PORT) || 3000;
+const DATA_DIR = process.env.DATA_DIR ||
+    path.join( path.dirname( fileURLToPath( import.meta.url)), "data");
+
+/**
+ * The resources of the API with their model classes and the properties,
+ * which can be changed by PUT requests
+ */
+const resources = {
+  // the movies of a category are listed as movies as well
+  movies: {Class: Movie, keyPath: "movieID", updatableProperties: ["title", "releaseDate",
+      "director", "actor", "category", "tvSeries", "seasonNo", "episodeNo", "about"]},
+  tvSeriesEpisodes: {Class: TvSeriesEpisode, keyPath: "movieID", updatableProperties: ["title",
+      "releaseDate", "director", "actor", "category", "tvSeries", "seasonNo", "episodeNo"]},
+  biographies: {Class: Biography, keyPath: "movieID", updatableProperties: ["title",
+      "releaseDate", "director", "actor", "category", "about"]},
+  tvSeries: {Class: TvSeries, keyPath: "tvSeriesId", updatableProperties: ["name",
+      "startYear", "endYear", "network"]},
+  people: {Class: Person, keyPath: "personId", updatableProperties: ["name", "agent"]},
+  // the roles of people share their name and agent, which are updated as people
+  actors: {Class: Actor, keyPath: "personId", updatableProperties: []},
+  directors: {Class: Director, keyPath: "personId", updatableProperties: []}
+};
+
+/**
+ * An error of a request, which is sent as a response with a status code
+ * and a structured body listing the errors
+ */
+class RequestError extends Error {
+  constructor (status, errors) {
+    super( errors.map( e => e.message).join(" "));
+    this.status = status;
+    this.errors = errors;
+  }
+}
+/**
+ * Map constraint violations to the status code of the response: a conflict
+ * with the stored data is 409, while any other invalid value is 422
+ * @param {Array<ConstraintViolation>} violations
+ * @return {number}
+ */
+function getViolationStatus( violations) {
+  return violations.some( v => v instanceof UniquenessConstraintViolation ||
+      v instanceof FrozenValueConstraintViolation) ? 409 : 422;
+}
+/**
+ * Create a request error from a list of {property, value, violation} results
+ */
+function createViolationError( results) {
+  return new RequestError( getViolationStatus( results.map( r => r.violation)),
+      results.map( ({property, value, violation}) =>
+          Object.assign( violation.toJSON(), {property, value})));
+}
+
+/**
+ * Check the given slots of a movie, TV series or person with the check
+ * methods of their class, where only the slots present are checked for
+ * updates, and the category-specific slots of a movie with the validate
+ * method of its subtype
+ * @param {function} Class
+ * @param {object} slots
+ * @param {object} [obj]  The object to be updated
+ * @return {Array<object>}  A list of {property, value, violation} results
+ */
+function checkSlots( Class, slots, obj) {
+  const results = [],
+        check = (property, violation) => results.push({property, value: slots[property], violation}),
+        has = property => !obj || property in slots;
+  if (Class === Movie || Class.prototype instanceof Movie) {
+    const Type = obj ? obj.constructor : Class !== Movie ? Class : Movie.getSubtype( slots.category);
+    if (!obj) check("movieID", Movie.checkMovieIDAsId( slots.movieID));
+    if (has("title")) check("title", Movie.checkTitle( slots.title));
+    if (has("releaseDate")) check("releaseDate", Movie.checkReleaseDate( slots.releaseDate));
+    if (has("director")) check("director", Movie.checkDirector( slots.director));
+    if (has("actor")) {
+      if (!Array.isArray( slots.actor || [])) {
+        check("actor", new RangeConstraintViolation("The actors must be given as a list of person IDs!",
+            {property: "actor", value: slots.actor, params: {range: "List"}}));
+      } else {
+        for (const id of slots.actor || []) check("actor", Movie.checkActor( id));
+      }
+    }
+    if (obj && "category" in slots && parseInt( slots.category) !== obj.category) {
+      check("category", new FrozenValueConstraintViolation("The category cannot be changed!",
+          {property: "category", value: slots.category}));
+    } else if (!obj && Class !== Movie && "category" in slots &&
+        parseInt( slots.category) !== Class.category) {
+      check("category", new ConstraintViolation(`The category must be the one of ${Class.name}!`,
+          {code: "NOT_APPLICABLE", property: "category", value: slots.category}));
+    } else if (!obj) {
+      check("category", Movie.checkCategory( slots.category ?? undefined));
+    }
+    // the category-specific slots may be constrained jointly (e.g. the
+    // numbering of episodes)
+    const segmentViolations = Type === Movie ? {} : Type.validate( slots, obj);
+    for (const Subtype of Movie.subtypes) {
+      for (const property of Movie.getSegmentProperties( Subtype)) {
+        if (Subtype === Type) {
+          if (segmentViolations[property]) check( property, segmentViolations[property]);
+        } else if (slots[property] !== undefined && slots[property] !== null) {
+          check( property, new ConstraintViolation(
+              `"${property}" does not apply to movies of the category ${Type.name}!`,
+              {code: "NOT_APPLICABLE", property, value: slots[property]}));
+        }
+      }
+    }
+  } else if (Class === TvSeries) {
+    const violations = TvSeries.validate( slots, obj);
+    for (const property of Object.keys( violations)) check( property, violations[property]);
+  } else if (!obj && Class !== Person && Person.instances[slots.personId]) {
+    // a role is added to an existing person, whose name and agent it shares
+    check("personId", Person.checkPersonIdAsId( slots.personId, Class));
+  } else {
+    if (!obj) {
+      // a new person, possibly with a role, is also added to the people
+      check("personId", Person.checkPersonIdAsId( slots.personId, Person));
+    }
+    if (!obj || has("agent")) check("agent", Person.checkAgent( slots.agent));
+    if (has("name")) check("name", Person.checkName( slots.name));
+  }
+  return results.filter( r => !(r.violation instanceof NoConstraintViolation));
+}
+
+/**
+ * Convert a model object to its resource representation, in which
+ * associated objects are referenced by their IDs
+ */
+function toResource( Class, obj) {
+  const rec = StorageManager.toRecord( obj);
+  if (obj instanceof Movie) {
+    rec.director = obj.director ? obj.director.personId : null;
+    rec.actor = Object.keys( obj.actor).map( id => parseInt( id));
+  } else if (obj instanceof TvSeries) {
+    rec.episodes = Object.keys( obj.episodes);
+  } else {
+    // the roles of a person share its name and agent
+    const person = Person.instances[obj.personId] || obj;
+    rec.name = person.name;
+    if (person.agent) rec.agent = person.agent.personId;
+    rec.role = obj.constructor.name;
+    rec.roles = Person.getRoleClasses( obj.personId).map( Subtype => Subtype.name);
+    rec.representedActors = Object.keys( obj.representedActors).map( id => parseInt( id));
+    rec.biographies = Object.keys( obj.biographies);
+    if (obj instanceof Director) rec.directedMovies = Object.keys( obj.directedMovies);
+    if (obj instanceof Actor) rec.actedInMovies = Object.keys( obj.actedInMovies);
+  }
+  return rec;
+}
+function findObject( resource, id) {
+  const {Class} = resources[resource],
+        obj = Class.instances[id];
+  if (!obj) {
+    throw new RequestError( 404, [{type: "NotFound",
+        message: `There is no ${resource} record with the ID ${id}!`}]);
+  }
+  return obj;
+}
+
+/**
+ * Handle a request of the form METHOD /resource or METHOD /resource/id
+ * @return {Promise<{status: number, body: *}>}
+ */
+async function handleRequest( method, resource, id, body) {
+  const {Class, keyPath, updatableProperties} = resources[resource];
+  switch (method) {
+  case "GET":
+    if (id === undefined) {
+      return {status: 200, body: Object.values( Class.instances).map( obj => toResource( Class, obj))};
+    }
+    return {status: 200, body: toResource( Class, findObject( resource, id))};
+  case "POST": {
+    if (id !== undefined) break;
+    const violations = checkSlots( Class, body);
+    if (violations.length > 0) throw createViolationError( violations);
+    await Class.add( body);
+    const obj = Class.instances[body[keyPath]];
+    if (!obj) {
+      throw new RequestError( 422, [{type: "ConstraintViolation",
+          message: "The record could not be created!"}]);
+    }
+    return {status: 201, body: toResource( Class, obj), location: `/${resource}/${obj[keyPath]}`};
+  }
+  case "PUT": {
+    if (id === undefined) break;
+    const obj = findObject( resource, id),
+          unsupported = Object.keys( body).filter( p => !updatableProperties.includes( p) &&
+              !(p === keyPath && String( body[p]) === String( id)));
+    if (unsupported.length > 0) {
+      throw new RequestError( 400, unsupported.map( property => ({type: "UnsupportedProperty",
+          message: `The property ${property} cannot be updated!`, property})));
+    }
+    const violations = checkSlots( Class, body, obj);
+    if (violations.length > 0) throw createViolationError( violations);
+    await Class.update( Object.assign( {}, body, {[keyPath]: obj[keyPath]}));
+    return {status: 200, body: toResource( Class, Class.instances[id])};
+  }
+  case "DELETE": {
+    if (id === undefined) break;
+    const obj = findObject( resource, id),
+          // a person is deleted in all its roles, while a role is deleted on its own
+          violation = checkDeletion( ...(Class === Person ? Person.getRoles( id) : [obj]));
+    if (!(violation instanceof NoConstraintViolation)) {
+      // the deletion is restricted while the record is referenced
+      throw new RequestError( 409, [violation.toJSON()]);
+    }
+    await Class.destroy( id);
+    return {status: 204};
+  }
+  }
+  throw new RequestError( 405, [{type: "MethodNotAllowed",
+      message: `${method} is not allowed for this URL!`}]);
+}
+
+/**
+ * Get the changes of all resources since a point in time from the audit
+ * log, or a snapshot of all resources if no point in time is given, as a
+ * list of {tableName, key, modifiedAt, record} changes, where the record
+ * is null for a deleted one
+ * @param {string} [since]  An ISO date-time
+ * @return {Promise<{now: string, changes: Array<object>}>}
+ */
+async function getChanges( since) {
+  const now = new Date().toISOString(),
+        entries = Object.values( await storageManager.retrieveAll( auditLog.tableName)),
+        modified = {};
+  for (const {tableName, key, timestamp} of entries) {
+    const id = `${tableName}/${key}`;
+    if (resources[tableName] && !(modified[id] && modified[id].modifiedAt > timestamp)) {
+      modified[id] = {tableName, key, modifiedAt: timestamp};
+    }
+  }
+  const getRecord = (tableName, key) => {
+    const {Class} = resources[tableName],
+          obj = Class.instances[key];
+    return obj ? toResource( Class, obj) : null;
+  };
+  const changes = [];
+  if (since) {
+    for (const {tableName, key, modifiedAt} of Object.values( modified)) {
+      if (modifiedAt >= since) changes.push({tableName, key, modifiedAt, record: getRecord( tableName, key)});
+    }
+  } else {
+    for (const tableName of Object.keys( resources)) {
+      for (const key of Object.keys( resources[tableName].Class.instances)) {
+        const record = getRecord( tableName, key),
+              {modifiedAt} = modified[`${tableName}/${key}`] || {modifiedAt: null};
+        if (record) changes.push({tableName, key, modifiedAt, record});
+      }
+    }
+  }
+  return {now, changes};
+}
+
+function readBody( req) {
+  return new Promise( function (resolve, reject) {
+    var data = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => data += chunk);
+    req.on("end", () => resolve( data));
+    req.on("error", reject);
+  });
+}
+// the app may be served from another origin than the API
+const corsHeaders = {"Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"};
+
+function sendJson( res, status, body, headers) {
+  res.writeHead( status, Object.assign( {"Content-Type": "application/json"}, corsHeaders, headers));
+  res.end( body === undefined ? undefined : JSON.stringify( body));
+}
+
+// the model classes share the instances maps and the active transaction,
+// so the requests are handled one after another
+var queue = Promise.resolve();
+
+const server = http.createServer( function (req, res) {
+  queue = queue.then( async function () {
+    try {
+      const url = new URL( req.url, "http://localhost"),
+            [resource, id, ...rest] = url.pathname.split("/").filter( s => s !== "")
+                .map( decodeURIComponent);
+      if (req.method === "OPTIONS") {
+        res.writeHead( 204, corsHeaders);
+        res.end();
+        return;
+      }
+      if (resource === "changes" && id === undefined && req.method === "GET") {
+        sendJson( res, 200, await getChanges( url.searchParams.get("since")));
+        return;
+      }
+      if (!resources[resource] || rest.length > 0) {
+        throw new RequestError( 404, [{type: "NotFound", message: `Unknown resource ${req.url}`}]);
+      }
+      const text = await readBody( req);
+      var body = {};
+      try {
+        if (text) body = JSON.parse( text);
+      } catch (e) {
+        throw new RequestError( 400, [{type: "SyntaxError", message: e.message}]);
+      }
+      if (typeof body !== "object" || body === null || Array.isArray( body)) {
+        throw new RequestError( 400, [{type: "SyntaxError", message: "The body must be a JSON object!"}]);
+      }
+      const result = await handleRequest( req.method, resource, id, body);
+      sendJson( res, result.status, result.body,
+          result.location ? {Location: result.location} : undefined);
+    } catch (e) {
+      if (e instanceof RequestError) {
+        sendJson( res, e.status, {errors: e.errors});
+      } else if (e instanceof ConstraintViolation) {
+        sendJson( res, getViolationStatus([e]), {errors: [e]});
+      } else {
+        console.error( e);
+        sendJson( res, 500, {errors: [{type: "InternalError", message: String( e)}]});
+      }
+    }
+  });
+});
+
+storageManager.setAdapter( new FileStorageAdapter( DATA_DIR));
+await Person.retrieveAll();
+await Movie.retrieveAll();
+server.listen( PORT, () => console.log(`Serving the movie data of ${DATA_DIR} on port ${PORT}`));
@@ -5,15 +5,26 @@
 import Person from "../m/Person.mjs";
 import Actor from "../m/Actor.mjs";
 import Director from "../m/Director.mjs";
-import Movie, { MovieCategoryEL } from "../m/Movie.mjs";
+import Employee from "../m/Employee.mjs";
+import Author from "../m/Author.mjs";
+import TvSeries from "../m/TvSeries.mjs";
+import Movie from "../m/Movie.mjs";
+import TvSeriesEpisode from "../m/TvSeriesEpisode.mjs";
+import Biography from "../m/Biography.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { commandHistory } from "../../lib/CommandHistory.mjs";
+import { syncEngine } from "../../lib/SyncEngine.mjs";
 
 /*******************************************
  *** Auxiliary methods for testing **********
  ********************************************/
 /**
- *  Create and save test data
+ *  Create and save test data in a transaction, so that it is stored
+ *  either completely or not at all
  */
-function generateTestData() {
+async function generateTestData() {
+  storageManager.beginTransaction([Person, Director, Actor, TvSeries, Movie, TvSeriesEpisode,
+      Biography]);
   try {
     Person.instances["14"] = new Person({
       personId: 14,
@@ -27,142 +38,160 @@ function generateTestData() {
       personId: 16,
       name: "Jane Doe"
     });
-    Person.saveAll();
-    Director.instances["1"] = new Director({
+    Person.instances["1"] = new Person({
       personId: 1,
       name: "Stephen Frears"
     });
-    Director.instances["2"] = new Director({
+    Person.instances["2"] = new Person({
       personId: 2,
       name: "George Lucas"
     });
-    Director.instances["3"] = new Director({
+    Person.instances["3"] = new Person({
       personId: 3,
       name: "Quentin Tarantino"
     });
-    Director.instances["9"] = new Director({
-      personId: 9,
-      name: "Russell Crowe"
-    });
-    Director.instances["13"] = new Director({
-      personId: 13,
-      name: "Marc Forster"
-    });
-    Director.saveAll();
-    Actor.instances["3"] = new Actor({
-      personId: 3,
-      name: "Quentin Tarantino"
-    });
-    Actor.instances["4"] = new Actor({
+    Person.instances["4"] = new Person({
       personId: 4,
       name: "Uma Thurman",
       agent: 15
     });
-    Actor.instances["5"] = new Actor({
+    Person.instances["5"] = new Person({
       personId: 5,
       name: "John Travolta"
     });
-    Actor.instances["6"] = new Actor({
+    Person.instances["6"] = new Person({
       personId: 6,
       name: "Ewan McGregor"
     });
-    Actor.instances["7"] = new Actor({
+    Person.instances["7"] = new Person({
       personId: 7,
       name: "Natalie Portman"
     });
-    Actor.instances["8"] = new Actor({
+    Person.instances["8"] = new Person({
       personId: 8,
       name: "Keanu Reeves",
       agent: 16
     });
-    Actor.instances["9"] = new Actor({
+    Person.instances["9"] = new Person({
       personId: 9,
       name: "Russell Crowe",
       agent: 16
     });
-    Actor.instances["10"] = new Actor({
+    Person.instances["10"] = new Person({
       personId: 10,
       name: "Seth MacFarlane"
     });
-    Actor.instances["11"] = new Actor({
+    Person.instances["11"] = new Person({
       personId: 11,
       name: "Naomi Watts"
     });
-    Actor.instances["12"] = new Actor({
+    Person.instances["12"] = new Person({
       personId: 12,
       name: "Ed Harris",
       agent: 15
     });
-    Actor.saveAll();
+    Person.instances["13"] = new Person({
+      personId: 13,
+      name: "Marc Forster"
+    });
+    await Person.saveAll();
+    // the roles of the people, where Quentin Tarantino and Russell Crowe
+    // are both directors and actors
+    for (const personId of [1, 2, 3, 9, 13]) {
+      Director.instances[personId] = new Director( Person.instances[personId]);
+    }
+    await Director.saveAll();
+    for (const personId of [3, 4, 5, 6, 7, 8, 9, 10, 11, 12]) {
+      Actor.instances[personId] = new Actor( Person.instances[personId]);
+    }
+    await Actor.saveAll();
+    TvSeries.instances["1"] = new TvSeries({
+      tvSeriesId: 1,
+      name: "The Loudest Voice",
+      startYear: 2019,
+      network: "Showtime"
+    });
+    await TvSeries.saveAll();
     Movie.instances["1"] = new Movie({
       movieID: "1",
       title: "Pulp Fiction",
       releaseDate: new Date(1994, 5, 12),
-      director: [3],
+      director: 3,
       actor: [3,4,5]
     });
     Movie.instances["2"] = new Movie({
       movieID: "2",
       title: "Star Wars",
       releaseDate: new Date(1999, 8, 19),
-      director: [2],
+      director: 2,
       actor: [6,7]
     });
     Movie.instances["3"] = new Movie({
       movieID: "3",
       title: "Dangerous Liaisons",
       releaseDate: new Date(1988, 12, 16),
-      director: [1],
+      director: 1,
       actor: [8,4]
     });
-    Movie.instances["4"] = new Movie({
+    // the movies of a category are instances of its subtype as well
+    TvSeriesEpisode.instances["4"] = Movie.instances["4"] = new TvSeriesEpisode({
       movieID: "4",
       title: "2015",
       releaseDate: new Date(2019, 6, 30),
-      director: [1],
+      director: 1,
       actor: [9,10,11],
-      category: MovieCategoryEL.TVSERIESEPISODE,
-      episodeNo: 6,
-      tvSeriesName: "The Loudest Voice"    
+      tvSeries: 1,
+      seasonNo: 1,
+      episodeNo: 6
     });
-    Movie.instances["5"] = new Movie({
+    Biography.instances["5"] = Movie.instances["5"] = new Biography({
       movieID: "5",
       title: "A Beautiful Mind",
       releaseDate: new Date(2001, 12, 21),
-      director: [9],
+      director: 9,
       actor: [9,12],
-      category: MovieCategoryEL.BIOGRAPHY,
-      about: "14"
+      about: 14
     });
     Movie.instances["6"] = new Movie({
       movieID: "6",
       title: "Stay",
       releaseDate: new Date(2005, 9, 24),
-      director: [13],
+      director: 13,
       actor: [6,11]
     });
-    Movie.saveAll();
+    await Movie.saveAll();
+    await storageManager.commit();
   } catch (e) {
+    storageManager.rollback();
     console.log( `${e.constructor.name}: ${e.message}`);
   }
 }
 /**
  * Clear data
  */
-function clearData() {
+async function clearData() {
   if (confirm( "Do you really want to delete the entire database?")) {
     try {
-      [Director, Actor, Person, Movie].forEach(Class => {
+      [Director, Actor, Employee, Author, Person, TvSeries, Movie, TvSeriesEpisode,
+          Biography].forEach(Class => {
         Class.instances = {};
       });
       /*
           Director.instances = {};
           Actor.instances = {};
+          Employee.instances = {};
+          Author.instances = {};
           Person.instances = {};
+          TvSeries.instances = {};
           Movie.instances = {};
+          TvSeriesEpisode.instances = {};
+          Biography.instances = {};
       */
-      localStorage["employees"] = localStorage["authors"] = localStorage["people"] = "{}";
-      localStorage["books"] = "{}";
+      await storageManager.clearData();
+      // the recorded operations cannot be undone on an empty database
+      commandHistory.clear();
+      // the queued changes are gone, and the remote records are pulled again
+      syncEngine.saveSettings({lastPulledAt: null});
       console.log("All data cleared.");
     } catch (e) {
       console.log(`${e.constructor.name}: ${e.message}`);
@@ -170,4 +199,28 @@ function clearData() {
   }
 }
 
-export { generateTestData, clearData };
+/**
+ * Select the storage adapter to be used from now on, to which all records
+ * are copied from the current one
+ * @param {string} adapterName  Either "LocalStorage" or "IndexedDB"
+ */
+async function selectStorageAdapter( adapterName) {
+  try {
+    await storageManager.switchAdapter( adapterName);
+    localStorage["storageAdapter"] = storageManager.adapter.name;
+    console.log(`Storage adapter ${storageManager.adapter.name} selected.`);
+  } catch (e) {
+    console.log(`Error when copying the records to ${adapterName}\n` + e);
+  }
+}
+
+/**
+ * Compute what the upgrade of the stored records to the current schema
+ * version would change, without writing anything
+ * @return {Promise<object>}  The migration report
+ */
+async function previewDataMigration() {
+  return storageManager.migrate( true);
+}
+
+export { generateTestData, clearData, selectStorageAdapter, previewDataMigration };
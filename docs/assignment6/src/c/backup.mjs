@@ -0,0 +1,273 @@
+/**
+ * @fileOverview  Controller code for exporting the entire database to a
+ *   versioned JSON bundle and importing it again after validating its records
+ * @author Phong Vu Thanh
+ */
+import Person from "../m/Person.mjs";
+import Actor from "../m/Actor.mjs";
+import Director from "../m/Director.mjs";
+import Employee from "../m/Employee.mjs";
+import Author from "../m/Author.mjs";
+import TvSeries from "../m/TvSeries.mjs";
+import Movie, { MovieCategoryEL } from "../m/Movie.mjs";
+import "../m/TvSeriesEpisode.mjs";
+import "../m/Biography.mjs";
+import { NoConstraintViolation } from "../../lib/errorTypes.mjs";
+import { StorageManager, storageManager } from "../../lib/StorageManager.mjs";
+import { getIdProperty } from "../../lib/properties.mjs";
+
+const BUNDLE_FORMAT = "MovieDB bundle";
+const BUNDLE_VERSION = 5;
+/**
+ * The model classes in the order, in which their records are imported,
+ * such that people come before their roles, and people and TV series before
+ * the movies referring to them
+ */
+const bundleClasses = [Person, Actor, Director, Employee, Author, TvSeries, Movie];
+/**
+ * The model classes, whose instances maps are staged, including the subtypes
+ * of movies, whose records are listed as movies with their category
+ */
+const stagedClasses = () => bundleClasses.concat( Movie.subtypes);
+
+/**
+ * Convert the instances of a model class to bundle records, where
+ * the derived directedMovies and actedInMovies maps are left out, movies
+ * refer to their director and actors by ID, and the roles of a person are
+ * listed by the ID of the person along with their own properties (since bundle
+ * version 2, all people are listed as people, since version 3, a biography
+ * refers to the person it is about by ID, since version 4, a TV series episode
+ * refers to its TV series by ID, and since version 5, employees and authors
+ * are listed)
+ * @param {function} Class
+ * @return {Array<object>}
+ */
+function getBundleRecords( Class) {
+  const objects = Object.values( Class.instances);
+  if (Class === Movie) {
+    return objects.map( function (movie) {
+      const rec = StorageManager.toRecord( movie);
+      rec.director = movie.director ? movie.director.personId : undefined;
+      rec.actor = Object.keys( movie.actor).map( id => parseInt( id));
+      return rec;
+    });
+  }
+  if (Class === TvSeries) return objects.map( tvSeries => StorageManager.toRecord( tvSeries));
+  if (Class !== Person) return objects.map( role => StorageManager.toRecord( role));
+  return objects.map( function (person) {
+    const {personId, name, agent} = StorageManager.toRecord( person);
+    return {personId, name, agent};
+  });
+}
+/**
+ * Create a bundle of all stored records
+ * @return {Promise<object>}
+ */
+async function exportData() {
+  await Person.retrieveAll();
+  await Movie.retrieveAll();
+  const bundle = {format: BUNDLE_FORMAT, version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      enumerations: {MovieCategoryEL: MovieCategoryEL.labels}};
+  for (const Class of bundleClasses) {
+    bundle[Class.tableName] = getBundleRecords( Class);
+  }
+  return bundle;
+}
+
+/**
+ * Run a movie, TV series, person or role record through the check methods of
+ * its class, which are invoked against the instances maps of the records
+ * validated so far
+ * @param {function} Class
+ * @param {object} rec
+ * @return {Array<ConstraintViolation>}
+ */
+function checkRecord( Class, rec) {
+  var results = [];
+  if (Class === Movie) {
+    // with the check methods of the subtype of its category
+    results = Object.values( Movie.validate( rec));
+  } else if (Class === TvSeries) {
+    results = Object.values( TvSeries.validate( rec));
+  } else if (Class !== Person && Person.getRoleProperties( Class).length > 0) {
+    // a role with its own properties, such as the empNo of an employee
+    results = Object.values( Class.validate( rec));
+  } else {
+    results = [Person.checkPersonIdAsId( rec.personId, Class),
+        Person.checkName( rec.name), Person.checkAgent( rec.agent)];
+  }
+  return results.filter( result => !(result instanceof NoConstraintViolation));
+}
+/**
+ * Map the category codes of bundle movies to the codes of MovieCategoryEL
+ * by their labels, which allows importing bundles of other app versions
+ * @return {string}  An error message, if a label is unknown
+ */
+function mapCategoryCode( rec, bundleLabels) {
+  if (!rec.category) return "";
+  const label = bundleLabels[parseInt( rec.category) - 1],
+        index = MovieCategoryEL.labels.indexOf( label);
+  if (index < 0) return `Unknown movie category: ${label || rec.category}`;
+  rec.category = index + 1;
+  return "";
+}
+/**
+ * Map the person, whom a biography of a bundle before version 3 is about,
+ * to the ID of the staged person, if it is given by name
+ */
+function mapAboutRef( rec) {
+  if (!rec.about || Person.instances[rec.about]) return;
+  const person = Object.values( Person.instances).find( person => person.name === rec.about);
+  if (person) rec.about = person.personId;
+}
+/**
+ * Map the TV series name of an episode of a bundle before version 4 to the
+ * ID of a staged TV series with this name, ignoring the case, which is
+ * created if there is none yet, and assign the episode to the first season
+ * @param {object} rec
+ * @param {object} counts  The numbers of valid records per table
+ * @return {string}  An error message, if the TV series cannot be created
+ */
+function mapTvSeriesRef( rec, counts) {
+  if (typeof rec.tvSeriesName !== "string" || !rec.tvSeriesName.trim()) return "";
+  const name = rec.tvSeriesName.trim(),
+        year = Math.max( 1928, new Date( rec.releaseDate).getFullYear() || 1928);
+  var tvSeries = Object.values( TvSeries.instances)
+      .find( tvSeries => tvSeries.name.toLowerCase() === name.toLowerCase());
+  try {
+    if (!tvSeries) {
+      const tvSeriesId = Math.max( 0, ...Object.keys( TvSeries.instances).map( key => parseInt( key))) + 1;
+      tvSeries = TvSeries.instances[tvSeriesId] = new TvSeries({tvSeriesId, name, startYear: year});
+      counts[TvSeries.tableName]++;
+    } else if (year < tvSeries.startYear) {
+      tvSeries.startYear = year;
+    }
+  } catch (e) {
+    return `${e.constructor.name}: ${e.message}`;
+  }
+  rec.tvSeries = tvSeries.tvSeriesId;
+  if (rec.seasonNo === undefined) rec.seasonNo = 1;
+  delete rec.tvSeriesName;
+  return "";
+}
+/**
+ * Assign the agents of staged people, which may come after the people they
+ * represent in a bundle, and unstage the people with an invalid agent
+ * along with their roles
+ * @param {Array<object>} agentRecords  The bundle records of the people
+ * @param {Array<object>} errors  For adding {tableName, key, messages} entries
+ * @param {object} counts  The numbers of valid records per table
+ */
+function assignStagedAgents( agentRecords, errors, counts) {
+  for (const rec of agentRecords) {
+    const key = String( rec.personId);
+    try {
+      Person.instances[key].agent = rec.agent;
+    } catch (e) {
+      errors.push({tableName: Person.tableName, key, messages: [`${e.constructor.name}: ${e.message}`]});
+      for (const Class of [Person].concat( Person.getRoleClasses( key))) {
+        delete Class.instances[key];
+        counts[Class.tableName]--;
+      }
+    }
+  }
+}
+/**
+ * Validate all records of a bundle, creating objects from the valid ones
+ * in staging instances maps, which are only committed by importData
+ * @param {object} bundle
+ * @return {{errors: Array<object>, staged: object, counts: object}}  where
+ *     errors lists {tableName, key, messages} entries for invalid records,
+ *     staged maps class names to the instances maps of the valid records,
+ *     and counts maps table names to their numbers of valid records
+ */
+function validateImportBundle( bundle) {
+  const errors = [], staged = {}, counts = {};
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    errors.push({tableName: "", key: "", messages: ["The file is not a MovieDB bundle!"]});
+    return {errors, staged, counts};
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    errors.push({tableName: "", key: "", messages: [
+        `The bundle version ${bundle.version} is not supported by this app version!`]});
+    return {errors, staged, counts};
+  }
+  const bundleLabels = (bundle.enumerations && bundle.enumerations.MovieCategoryEL) ||
+      MovieCategoryEL.labels;
+  // validate against empty instances maps, since the bundle replaces all data
+  const savedInstances = stagedClasses().map( Class => Class.instances),
+        // the people with agents, which are assigned after staging all people
+        agentRecords = [];
+  for (const Class of stagedClasses()) Class.instances = {};
+  try {
+    for (const Class of bundleClasses) {
+      const keyPath = getIdProperty( Class),
+            isRole = Class.prototype instanceof Person;
+      if (Class === TvSeries) assignStagedAgents( agentRecords, errors, counts);
+      counts[Class.tableName] = 0;
+      for (const bundleRec of bundle[Class.tableName] || []) {
+        const person = isRole && Person.instances[bundleRec.personId],
+              // a role has the name of its person, which version 1 bundles
+              // only list with their roles
+              rec = Class !== Person && !isRole ? bundleRec : person ?
+                  Object.assign( Person.withoutAgent( bundleRec), {name: person.name}) :
+                  Person.withoutAgent( bundleRec),
+              mappingErrors = Class === Movie ? [mapCategoryCode( rec, bundleLabels),
+                  bundle.version < 4 ? mapTvSeriesRef( rec, counts) : ""] : [];
+        if (Class === Movie && bundle.version < 3) mapAboutRef( rec);
+        const messages = checkRecord( Class, rec)
+            .map( violation => `${violation.constructor.name}: ${violation.message}`);
+        messages.push( ...mappingErrors.filter( message => message));
+        if (messages.length === 0) {
+          try {  // the setters run the remaining checks
+            const obj = Class === Movie ? Movie.convertRec2Obj( rec) : new Class( rec);
+            if ((Class === Person || isRole) && !person && bundleRec.agent) {
+              agentRecords.push( bundleRec);
+            }
+            Class.instances[obj[keyPath]] = obj;
+            // a movie of a category is an instance of its subtype as well
+            if (obj.constructor !== Class) obj.constructor.instances[obj[keyPath]] = obj;
+            if (isRole && !person) {
+              Person.instances[obj.personId] = new Person( rec);
+              counts[Person.tableName]++;
+            }
+            counts[Class.tableName]++;
+          } catch (e) {
+            messages.push(`${e.constructor.name}: ${e.message}`);
+          }
+        }
+        if (messages.length > 0) {
+          errors.push({tableName: Class.tableName, key: String( rec[keyPath]), messages});
+        }
+      }
+    }
+    for (const Class of stagedClasses()) staged[Class.name] = Class.instances;
+  } finally {
+    stagedClasses().forEach( (Class, i) => { Class.instances = savedInstances[i]; });
+  }
+  return {errors, staged, counts};
+}
+/**
+ * Replace all data with the validated records of a bundle in a transaction
+ * @param {object} staged  The staging instances maps from validateImportBundle
+ */
+async function importData( staged) {
+  storageManager.beginTransaction( stagedClasses());
+  try {
+    for (const Class of stagedClasses()) Class.instances = staged[Class.name];
+    await Person.saveAll();
+    await Director.saveAll();
+    await Actor.saveAll();
+    await Employee.saveAll();
+    await Author.saveAll();
+    await TvSeries.saveAll();
+    await Movie.saveAll();
+    await storageManager.commit();
+  } catch (e) {
+    storageManager.rollback();
+    throw e;
+  }
+}
+
+export { exportData, validateImportBundle, importData, checkRecord };
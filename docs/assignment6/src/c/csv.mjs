@@ -0,0 +1,201 @@
+/**
+ * @fileOverview  Controller code for exporting movies and people to CSV and
+ *   importing them from CSV rows, whose columns have been mapped to fields
+ * @author Phong Vu Thanh
+ */
+import Person from "../m/Person.mjs";
+import Actor from "../m/Actor.mjs";
+import Director from "../m/Director.mjs";
+import Employee from "../m/Employee.mjs";
+import Author from "../m/Author.mjs";
+import TvSeries from "../m/TvSeries.mjs";
+import Movie, { MovieCategoryEL } from "../m/Movie.mjs";
+import TvSeriesEpisode from "../m/TvSeriesEpisode.mjs";
+import Biography from "../m/Biography.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { stringifyCsv } from "../../lib/csv.mjs";
+import { ConstraintViolation } from "../../lib/errorTypes.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import "../v/messages.mjs";
+import { checkRecord } from "./backup.mjs";
+
+const movieCsvFields = ["movieID", "title", "releaseDate", "directorId", "directorName",
+    "actorIds", "category", "tvSeriesId", "tvSeriesName", "seasonNo", "episodeNo", "about"];
+const personCsvFields = ["personId", "name", "agent", "role"];
+
+/**
+ * Create the CSV text of all movies, where the actor IDs are separated
+ * by semicolons, the category is given by its label, the TV series of an
+ * episode by ID and name, and the person, whom a biography is about, by ID
+ * @return {string}
+ */
+function exportMoviesCsv() {
+  const rows = [movieCsvFields];
+  for (const movie of Object.values( Movie.instances)) {
+    rows.push([movie.movieID, movie.title, movie.releaseDate.toISOString().slice( 0, 10),
+        movie.director ? movie.director.personId : "", movie.director ? movie.director.name : "",
+        Object.keys( movie.actor).join(";"),
+        movie.category ? MovieCategoryEL.labels[movie.category - 1] : "",
+        movie.tvSeries ? movie.tvSeries.tvSeriesId : "", movie.tvSeries ? movie.tvSeries.name : "",
+        movie.seasonNo, movie.episodeNo, movie.about ? movie.about.personId : ""]);
+  }
+  return stringifyCsv( rows);
+}
+/**
+ * Create the CSV text of all people with the names of their roles separated
+ * by semicolons, where the people without an agent come first, such that the
+ * agents are mostly imported before the people they represent
+ * @return {string}
+ */
+function exportPeopleCsv() {
+  const rows = [personCsvFields],
+        people = Object.values( Person.instances)
+            .sort( (p1, p2) => Boolean( p1.agent) - Boolean( p2.agent));
+  for (const person of people) {
+    rows.push([person.personId, person.name, person.agent ? person.agent.personId : "",
+        Person.getRoleClasses( person.personId).map( Subtype => Subtype.name).join(";")]);
+  }
+  return stringifyCsv( rows);
+}
+
+/**
+ * Convert a movie CSV row to a movie record, resolving the director and the
+ * TV series by name if no ID is given, and the person, whom a biography is
+ * about, by name if it is not given by ID
+ * @param {object} row  A map of CSV field names to string values
+ * @param {Array<string>} messages  For adding error messages
+ * @return {object}
+ */
+function convertMovieRow( row, messages) {
+  const rec = {movieID: row.movieID, title: row.title, releaseDate: row.releaseDate,
+      seasonNo: row.seasonNo || undefined, episodeNo: row.episodeNo || undefined,
+      about: row.about || undefined};
+  if (row.directorId) {
+    rec.director = row.directorId;
+    const director = Director.instances[row.directorId];
+    if (!director) {
+      messages.push( i18n.t("csv.noDirectorWithId", {id: row.directorId}));
+    } else if (row.directorName && director.name !== row.directorName) {
+      messages.push( i18n.t("csv.directorNotNamed", {id: row.directorId, name: row.directorName}));
+    }
+  } else if (row.directorName) {
+    const directors = Object.values( Director.instances)
+        .filter( director => director.name === row.directorName);
+    if (directors.length === 1) rec.director = directors[0].personId;
+    else messages.push( i18n.t( directors.length === 0 ? "csv.noDirectorNamed" :
+        "csv.ambiguousDirectorName", {name: row.directorName}));
+  }
+  if (row.tvSeriesId) {
+    rec.tvSeries = row.tvSeriesId;
+    const tvSeries = TvSeries.instances[row.tvSeriesId];
+    if (!tvSeries) {
+      messages.push( i18n.t("csv.noTvSeriesWithId", {id: row.tvSeriesId}));
+    } else if (row.tvSeriesName && tvSeries.name !== row.tvSeriesName) {
+      messages.push( i18n.t("csv.tvSeriesNotNamed", {id: row.tvSeriesId, name: row.tvSeriesName}));
+    }
+  } else if (row.tvSeriesName) {
+    // the names of TV series only differing in case are the same show
+    const tvSeries = Object.values( TvSeries.instances).find( tvSeries =>
+        tvSeries.name.toLowerCase() === row.tvSeriesName.trim().toLowerCase());
+    if (tvSeries) rec.tvSeries = tvSeries.tvSeriesId;
+    else messages.push( i18n.t("csv.noTvSeriesNamed", {name: row.tvSeriesName}));
+  }
+  if (rec.about && !Person.instances[rec.about]) {
+    const people = Object.values( Person.instances).filter( person => person.name === rec.about);
+    if (people.length === 1) rec.about = people[0].personId;
+    else if (people.length > 1) messages.push( i18n.t("csv.ambiguousPersonName", {name: rec.about}));
+  }
+  rec.actor = (row.actorIds || "").split(/[;\s]+/).filter( id => id !== "");
+  for (const id of rec.actor) {
+    if (Person.instances[id] && !Actor.instances[id]) {
+      messages.push( i18n.t("csv.notAnActor", {id}));
+    }
+  }
+  if (row.category) {
+    const index = MovieCategoryEL.labels.findIndex(
+        label => label.toLowerCase() === row.category.trim().toLowerCase());
+    rec.category = index >= 0 ? index + 1 : row.category;
+  }
+  return rec;
+}
+/**
+ * Convert a person CSV row to a person record and determine the subtypes
+ * of its roles from the role column, which lists them separated by
+ * semicolons (where "Person" stands for no role)
+ * @param {object} row  A map of CSV field names to string values
+ * @param {Array<string>} messages  For adding error messages
+ * @return {{Class: function, rec: object, roles: Array<function>}}
+ */
+function convertPersonRow( row, messages) {
+  const rec = {personId: row.personId, name: row.name, agent: row.agent || undefined},
+        roles = [];
+  for (const role of (row.role || "").split(/[;\s]+/).filter( role => role && role !== "Person")) {
+    const Subtype = Person.subtypes.find( Subtype => Subtype.name === role);
+    if (!Subtype) messages.push( i18n.t("csv.unknownRole", {role}));
+    else roles.push( Subtype);
+  }
+  return {Class: Person, rec, roles};
+}
+/**
+ * Translate a constraint violation, or get the message of another error
+ * @param {Error} e
+ * @return {string}
+ */
+function formatError( e) {
+  return e instanceof ConstraintViolation ? i18n.formatViolation( e) : e.message;
+}
+/**
+ * Validate CSV rows one by one and create the valid records in a single
+ * transaction, such that later rows are checked against the earlier ones,
+ * where the errors, due to which a record has not been created, are added
+ * to the messages of its row
+ * @param {Array<object>} rows  Maps of CSV field names to string values
+ * @param {function} convertRow  Returning {Class, rec} and the subtypes of
+ *     the roles of a person
+ * @return {Promise<{imported: number, failures: Array<object>}>}  where
+ *     failures lists the {rowIndex, messages} of the rejected rows
+ */
+async function importRows( rows, convertRow) {
+  const failures = [];
+  var imported = 0;
+  await storageManager.runTransaction([Person, Actor, Director, Employee, Author,
+      TvSeries, Movie, TvSeriesEpisode, Biography], async function () {
+    for (let i=0; i < rows.length; i++) {
+      const messages = [],
+            {Class, rec, roles = []} = convertRow( rows[i], messages);
+      if (Class) {
+        const violations = checkRecord( Class, rec);
+        // the own properties of the roles are checked before creating the
+        // person, which is not created without all of its roles
+        for (const Subtype of roles) {
+          violations.push( ...checkRecord( Subtype, rec).filter( violation =>
+              Person.getRoleProperties( Subtype).includes( violation.property)));
+        }
+        for (const violation of violations) {
+          messages.push( i18n.formatViolation( violation));
+        }
+      }
+      if (messages.length === 0) {
+        const key = Class === Movie ? rec.movieID : parseInt( rec.personId),
+              errors = await Class.add( rec);
+        for (const Subtype of roles) {
+          if (Class.instances[key]) errors.push( ...await Subtype.add({personId: key}));
+        }
+        if (Class.instances[key] && roles.every( Subtype => Subtype.instances[key])) imported++;
+        else if (errors.length > 0) messages.push( ...errors.map( formatError));
+        else messages.push( i18n.t("csv.notCreated"));
+      }
+      if (messages.length > 0) failures.push({rowIndex: i, messages});
+    }
+  });
+  return {imported, failures};
+}
+async function importMovieRows( rows) {
+  return importRows( rows, (row, messages) => ({Class: Movie, rec: convertMovieRow( row, messages)}));
+}
+async function importPersonRows( rows) {
+  return importRows( rows, convertPersonRow);
+}
+
+export { movieCsvFields, personCsvFields, exportMoviesCsv, exportPeopleCsv,
+    importMovieRows, importPersonRows };
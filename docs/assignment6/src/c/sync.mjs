@@ -0,0 +1,54 @@
+/**
+ * @fileOverview  Controller code for synchronizing the local data with a
+ *   remote catalogue and for merging conflicting movie changes
+ * @author Phong Vu Thanh
+ */
+import Movie from "../m/Movie.mjs";
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+
+const SYNC_INTERVAL = 30000;  // milliseconds
+var autoSyncTimer = null;
+
+/**
+ * Synchronize now and then periodically, as well as whenever the browser
+ * gets online again, as long as a sync endpoint has been set
+ */
+function startAutoSync() {
+  if (autoSyncTimer) return;
+  autoSyncTimer = setInterval( () => syncEngine.sync(), SYNC_INTERVAL);
+  window.addEventListener("online", () => syncEngine.sync());
+  syncEngine.sync();
+}
+/**
+ * Set the sync endpoint and the conflict policy, and synchronize with it
+ * @param {{endpoint: string, policy: string}} settings
+ * @return {Promise<boolean>}
+ */
+async function saveSyncSettings({endpoint, policy}) {
+  syncEngine.saveSettings({endpoint, policy});
+  return syncEngine.sync();
+}
+/**
+ * Retrieve the conflicting movie changes waiting for being merged
+ * @return {Promise<Array<object>>}
+ */
+async function retrieveMovieConflicts() {
+  const tableNames = [Movie].concat( Movie.subtypes).map( Class => Class.tableName);
+  return (await syncEngine.retrieveConflicts())
+      .filter( conflict => tableNames.includes( conflict.tableName));
+}
+/**
+ * Resolve a movie conflict with the merged slots, which update the local
+ * movie before it is pushed, or with the remote version of the movie
+ * @param {object} conflict
+ * @param {object} [slots]  The merged slots, if the local movie exists
+ * @param {boolean} [useRemote]
+ */
+async function resolveMovieConflict( conflict, slots, useRemote) {
+  if (!useRemote && slots) await Movie.update( slots);
+  await syncEngine.resolveConflict( conflict.id, Boolean( useRemote));
+  // push the merged movie right away
+  await syncEngine.sync();
+}
+
+export { startAutoSync, saveSyncSettings, retrieveMovieConflicts, resolveMovieConflict };
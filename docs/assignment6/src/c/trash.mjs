@@ -0,0 +1,116 @@
+/**
+ * @fileOverview  Controller code for restoring the records kept in the recycle bin
+ * @author Phong Vu Thanh
+ */
+import Person from "../m/Person.mjs";
+import Actor from "../m/Actor.mjs";
+import Director from "../m/Director.mjs";
+import Employee from "../m/Employee.mjs";
+import Author from "../m/Author.mjs";
+import TvSeries from "../m/TvSeries.mjs";
+import Movie from "../m/Movie.mjs";
+import TvSeriesEpisode from "../m/TvSeriesEpisode.mjs";
+import Biography from "../m/Biography.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { recycleBin } from "../../lib/RecycleBin.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import "../v/messages.mjs";
+
+/**
+ * The model classes of people, i.e., Person and the subtypes of its roles
+ */
+const personClasses = [Person, Actor, Director, Employee, Author];
+/**
+ * The model classes of movies, i.e., Movie and its subtypes
+ */
+const movieClasses = [Movie, TvSeriesEpisode, Biography];
+/**
+ * The model classes of the restorable records in the order, in which they
+ * have to be restored, such that movies come after the people and TV series
+ * they refer to
+ */
+const restorableClasses = personClasses.concat([TvSeries], movieClasses);
+
+/**
+ * Get the IDs of the people referenced by a stored movie record, including
+ * the person a biography is about
+ * @param {object} record
+ * @return {Array<number>}
+ */
+function getReferencedPersonIds( record) {
+  const actorRefs = Array.isArray( record.actor) ? record.actor : Object.values( record.actor || {}),
+        refs = [].concat( record.director ?? [], actorRefs, record.about ?? []);
+  return refs.map( ref => typeof ref === "object" ? ref.personId : parseInt( ref));
+}
+
+/**
+ * Get the ID of the TV series referenced by a stored episode record
+ * @param {object} record
+ * @return {Array<number>}  The ID, if there is one
+ */
+function getReferencedTvSeriesIds( record) {
+  const ref = record.tvSeries;
+  return ref === undefined || ref === null ? [] :
+      [typeof ref === "object" ? ref.tvSeriesId : parseInt( ref)];
+}
+
+/**
+ * Restore deleted records from the recycle bin by creating them again in a
+ * transaction, such that the restored movies appear among the derived
+ * directedMovies and actedInMovies of their people. Deleted people and TV
+ * series, without which a selected movie cannot be restored, are restored
+ * along with it.
+ * @param {Array<string>} ids  The IDs of the recycle bin entries
+ * @return {Promise<Array<string>>}  The error messages of records that
+ *     could not be restored
+ */
+async function restoreDeletedRecords( ids) {
+  const allEntries = await recycleBin.retrieveAll(),
+        entries = ids.map( id => allEntries[id]).filter( entry => entry),
+        restoredEntries = [], errors = [];
+  for (const entry of entries.filter( entry =>
+      movieClasses.some( Class => Class.tableName === entry.tableName))) {
+    // the person and its roles, as far as they have been deleted, and the
+    // TV series of an episode
+    const references = getReferencedPersonIds( entry.record).map( id => [personClasses, id])
+        .concat( getReferencedTvSeriesIds( entry.record).map( id => [[TvSeries], id]));
+    for (const [classes, id] of references) {
+      for (const Class of classes) {
+        if (Class.instances[id]) continue;
+        const referencedEntry = Object.values( allEntries).find( e =>
+            e.tableName === Class.tableName && e.key === String( id));
+        if (referencedEntry && !entries.includes( referencedEntry)) entries.push( referencedEntry);
+      }
+    }
+  }
+  const tableNames = restorableClasses.map( Class => Class.tableName);
+  entries.sort( (e1, e2) => tableNames.indexOf( e1.tableName) - tableNames.indexOf( e2.tableName));
+  try {
+    await storageManager.runTransaction( restorableClasses, async function () {
+      for (const entry of entries) {
+        const Class = restorableClasses.find( Class => Class.tableName === entry.tableName);
+        if (!Class) {
+          errors.push( i18n.t("trash.unknownType", entry));
+        } else if (Class.instances[entry.key]) {
+          errors.push( i18n.t("trash.exists", entry));
+        } else {
+          await Class.add( entry.record);
+          if (Class.instances[entry.key]) {
+            restoredEntries.push( entry);
+          } else {
+            errors.push( i18n.t("trash.invalid", entry));
+          }
+        }
+      }
+    });
+    // the restored records are removed from the recycle bin also by its
+    // change handler, but the caller may list the remaining ones right away
+    await recycleBin.purge( restoredEntries.map( entry => entry.id));
+  } catch (e) {
+    console.log(`Error when restoring deleted records\n` + e);
+    errors.push( i18n.t("trash.failed", {message: e.message}));
+  }
+  return errors;
+}
+
+export { restoreDeletedRecords };
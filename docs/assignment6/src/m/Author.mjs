@@ -0,0 +1,87 @@
+/**
+ * @fileOverview  The model class Author with attribute definitions, (class-level) check methods,
+ *                setter methods, and the special methods saveAll and retrieveAll
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2014 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+import Person from "./Person.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { ConstraintViolation } from "../../lib/errorTypes.mjs";
+
+/**
+ * The class Author
+ * @class
+ */
+class Author extends Person {
+  // using a single record parameter with ES6 function parameter destructuring
+  constructor ({personId, name, agent, biography}) {
+    super({personId, name, agent});  // invoke Person constructor
+    this.biography = biography;
+  }
+}
+/*****************************************************
+ *** Class-level ("static") properties ***************
+ *****************************************************/
+Author.tableName = "authors";
+// the biography of the author
+Author.properties = {
+  biography: {label: "Biography", range: "NonEmptyString", max: 2000}
+};
+/**
+ * The authors are a role of people, whose storage management methods are
+ * shared by all roles, except for updating, which also renames the person
+ */
+Person.defineRole( Author);
+
+/**********************************************************
+ ***  Class-level ("static") storage management methods ***
+ **********************************************************/
+/**
+ *  Update an existing author record, where a changed name is stored with
+ *  the person
+ */
+Author.update = async function ({personId, name, biography}) {
+  const author = Author.instances[personId],
+        person = Person.instances[personId],
+        slots = {};
+  var updatedProperties = [];
+  if (name && author.name !== name) slots.name = name;
+  if (biography && author.biography !== biography) slots.biography = biography;
+  const violations = Object.values( Author.validate( slots, author));
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return;
+  }
+  try {
+    // change and store the author together with the renamed person all or
+    // nothing, such that they are restored if a value is rejected or the
+    // records cannot be stored
+    await storageManager.runTransaction([Person, Author], async function () {
+      if ("biography" in slots) {
+        author.biography = biography;
+        updatedProperties.push("biography");
+      }
+      if ("name" in slots) {
+        person.name = name;
+        updatedProperties.push("name");
+        await storageManager.update( Person.tableName, person);
+      }
+      if (updatedProperties.length > 0) await storageManager.update( Author.tableName, author);
+    });
+  } catch (e) {
+    if (e instanceof ConstraintViolation) console.log(`${e.constructor.name}: ${e.message}`);
+    else console.log(`Error when saving author ${author.name}\n` + e);
+    return;
+  }
+  if (updatedProperties.length > 0) {
+    let ending = updatedProperties.length > 1 ? "ies" : "y";
+    console.log(`Propert${ending} ${updatedProperties.toString()} modified for author ${author.name}`);
+  } else {
+    console.log(`No property value changed for author ${author.name}!`);
+  }
+};
+
+export default Author;
@@ -0,0 +1,133 @@
+/**
+ * @fileOverview  The model class Biography with attribute definitions, (class-level) check methods,
+ *                setter methods, and the special methods saveAll and retrieveAll
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2021 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+import Movie, { MovieCategoryEL } from "./Movie.mjs";
+import "./Person.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+import { defineProperties } from "../../lib/properties.mjs";
+
+/**
+ * The class Biography, whose instances are the movies of the category
+ * Biography
+ * @class
+ */
+class Biography extends Movie {
+  // using a single record parameter with ES6 function parameter destructuring
+  constructor ({movieID, title, releaseDate, director, actor, about}) {
+    super({movieID, title, releaseDate, director, actor,
+        category: MovieCategoryEL.BIOGRAPHY});  // invoke Movie constructor
+    this.about = about;  // a person ID or object reference
+  }
+}
+/*****************************************************
+ *** Class-level ("static") properties ***************
+ *****************************************************/
+// initially an empty collection (in the form of a map)
+Biography.instances = {};
+Biography.category = MovieCategoryEL.BIOGRAPHY;
+Biography.tableName = "biographies";
+/**
+ * The person, whom a biography is about, from which the biographies of people
+ * are derived. A person cannot be deleted while there are biographies about
+ * the person.
+ */
+Biography.properties = {
+  about: {label: "About", refersTo: "Person", onDelete: "RESTRICT"}
+};
+defineProperties( Biography);
+storageManager.defineTable( Biography.tableName, "movieID");
+syncEngine.defineTable( Biography.tableName, {toRemote: Movie.toResource,
+    // the biographies are the movies of their category at the movies
+    // resource, which reference the people they are about by their IDs
+    fromRemote: resource => parseInt( resource.category) === Biography.category ?
+        Movie.toResource( resource) : null,
+    updatableProperties: ["title", "releaseDate", "director", "actor", "about"],
+    references: ["directors", "actors", "people"], manualMerge: true});
+// add Biography to the list of Movie subtypes
+Movie.subtypes.push( Biography);
+
+/**********************************************************
+ ***  Class-level ("static") storage management methods ***
+ **********************************************************/
+/**
+ *  Create a new biography record
+ */
+Biography.add = async function (slots) {
+  return Movie.add( Object.assign( {}, slots, {category: Biography.category}));
+};
+/**
+ *  Update an existing biography record
+ */
+Biography.update = async function (slots) {
+  await Movie.update( slots);
+};
+/**
+ *  Delete an existing biography record
+ */
+Biography.destroy = async function (movieID) {
+  await Movie.destroy( movieID);
+};
+/**
+ *  Load all biography records and convert them to objects, which
+ *  are movies as well
+ */
+Biography.retrieveAll = async function () {
+  var biographies = {};
+  try {
+    biographies = await storageManager.retrieveAll( Biography.tableName);
+  } catch (e) {
+    console.log(`Error when reading from ${storageManager.adapter.name}\n` + e);
+  }
+  for (const key of Object.keys( biographies)) {
+    try {  // convert record to (typed) object
+      const biography = new Biography( biographies[key]);
+      Biography.instances[key] = Movie.instances[key] = biography;
+    } catch (e) {
+      console.log(`${e.constructor.name} while deserializing biography ${key}: ${e.message}`);
+    }
+  }
+  console.log(`${Object.keys( Biography.instances).length} Biography records loaded.`);
+};
+/**
+ *  Save all biography objects as records
+ */
+Biography.saveAll = async function () {
+  try {
+    await storageManager.saveAll( Biography.tableName, Biography.instances);
+    console.log( Object.keys( Biography.instances).length +" biographies saved.");
+  } catch (e) {
+    alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+  }
+};
+
+/**
+ *  Merge the changes of biography records made in another tab into
+ *  Biography.instances and Movie.instances
+ */
+Biography.mergeRemoteChanges = function ({cleared, entries}) {
+  if (cleared) {
+    for (const key of Object.keys( Biography.instances)) delete Movie.instances[key];
+    Biography.instances = {};
+  }
+  for (const {key, record} of entries) {
+    // replace the biography object, which is not referenced by other objects
+    delete Biography.instances[key];
+    delete Movie.instances[key];
+    if (!record) continue;
+    try {
+      const biography = new Biography( record);
+      Biography.instances[key] = Movie.instances[key] = biography;
+    } catch (e) {
+      console.log(`${e.constructor.name} while merging biography ${key}: ${e.message}`);
+    }
+  }
+};
+storageManager.onRemoteChange( Biography.tableName, Biography.mergeRemoteChanges);
+
+export default Biography;
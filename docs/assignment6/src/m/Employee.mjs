@@ -0,0 +1,128 @@
+/**
+ * @fileOverview  The model class Employee with attribute definitions, (class-level) check methods,
+ *                setter methods, and the special methods saveAll and retrieveAll
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2014 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+import Person from "./Person.mjs";
+import { Enumeration } from "../../lib/Enumeration.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { checkProperty } from "../../lib/properties.mjs";
+import { ConstraintViolation, MandatoryValueConstraintViolation } from "../../lib/errorTypes.mjs";
+
+/**
+ * Enumeration type
+ * @global
+ */
+const EmployeeCategoryEL = new Enumeration(["Manager"]);
+
+/**
+ * The class Employee, whose instances may be managers of a department
+ * @class
+ */
+class Employee extends Person {
+  // using a single record parameter with ES6 function parameter destructuring
+  constructor ({personId, name, agent, empNo, category, department}) {
+    super({personId, name, agent});  // invoke Person constructor
+    this.empNo = empNo;
+    // optional properties
+    if (category) this.category = category;  // from EmployeeCategoryEL
+    if (department) this.department = department;
+  }
+  static checkDepartment( d, c) {
+    const cat = parseInt( c),
+          details = {property: "department", value: d, params: {category: cat}};
+    if (cat === EmployeeCategoryEL.MANAGER && !d) {
+      return new MandatoryValueConstraintViolation(
+          "A department must be provided for a manager!", details);
+    } else if (cat !== EmployeeCategoryEL.MANAGER && d) {
+      return new ConstraintViolation("A department must not " +
+          "be provided if the employee is not a manager!",
+          Object.assign( {code: "NOT_APPLICABLE"}, details));
+    }
+    return checkProperty( Employee, "department", d);
+  }
+}
+/*****************************************************
+ *** Class-level ("static") properties ***************
+ *****************************************************/
+Employee.tableName = "employees";
+/**
+ * The properties of employees, where the department is only managed by
+ * employees of the category Manager
+ */
+Employee.properties = {
+  empNo: {label: "Employee number", range: "PositiveInteger", unique: true},
+  category: {label: "Category", range: EmployeeCategoryEL, optional: true},
+  department: {label: "Department", range: "NonEmptyString", max: 120, optional: true,
+      dependsOn: "category"}
+};
+/**
+ * The employees are a role of people, whose storage management methods are
+ * shared by all roles, except for updating, which also renames the person
+ */
+Person.defineRole( Employee);
+
+/**********************************************************
+ ***  Class-level ("static") storage management methods ***
+ **********************************************************/
+/**
+ *  Update an existing employee record, where an empty category unsets the
+ *  category along with the department, and a changed name is stored with
+ *  the person
+ */
+Employee.update = async function ({personId, name, empNo, category, department}) {
+  const employee = Employee.instances[personId],
+        person = Person.instances[personId],
+        slots = {};
+  var updatedProperties = [];
+  if (name && employee.name !== name) slots.name = name;
+  if (empNo && String( employee.empNo) !== String( empNo)) slots.empNo = empNo;
+  if (category && parseInt( category) !== employee.category) {
+    slots.category = category;
+  } else if (category === "" && employee.category !== undefined) {
+    slots.category = undefined;
+    slots.department = undefined;
+  }
+  if (department && employee.department !== department) slots.department = department;
+  const violations = Object.values( Employee.validate( slots, employee));
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return;
+  }
+  try {
+    // change and store the employee together with the renamed person all or
+    // nothing, such that they are restored if a value is rejected or the
+    // records cannot be stored
+    await storageManager.runTransaction([Person, Employee], async function () {
+      // the category is assigned first, since the department depends on it
+      for (const property of ["empNo", "category", "department"]) {
+        if (!(property in slots)) continue;
+        employee[property] = slots[property];
+        updatedProperties.push( property);
+      }
+      if ("name" in slots) {
+        person.name = name;
+        updatedProperties.push("name");
+        await storageManager.update( Person.tableName, person);
+      }
+      if (updatedProperties.length > 0) await storageManager.update( Employee.tableName, employee);
+    });
+  } catch (e) {
+    if (e instanceof ConstraintViolation) console.log(`${e.constructor.name}: ${e.message}`);
+    else console.log(`Error when saving employee ${employee.name}\n` + e);
+    return;
+  }
+  if (updatedProperties.length > 0) {
+    let ending = updatedProperties.length > 1 ? "ies" : "y";
+    console.log(`Propert${ending} ${updatedProperties.toString()} modified for employee ${employee.name}`);
+  } else {
+    console.log(`No property value changed for employee ${employee.name}!`);
+  }
+};
+
+export default Employee;
+export { EmployeeCategoryEL };
@@ -6,14 +6,18 @@
  * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is", 
  * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
  */
-import { cloneObject, isIntegerOrIntegerString } from "../../lib/util.mjs";
-import { ConstraintViolation, FrozenValueConstraintViolation, MandatoryValueConstraintViolation,
-  NoConstraintViolation, PatternConstraintViolation, RangeConstraintViolation,
-  UniquenessConstraintViolation} from "../../lib/errorTypes.mjs";
+import { cloneObject } from "../../lib/util.mjs";
+import { FrozenValueConstraintViolation } from "../../lib/errorTypes.mjs";
 import { Enumeration } from "../../lib/Enumeration.mjs";
-import Person from "./Person.mjs";
-import Director from "./Director.mjs";
-import Actor from "./Actor.mjs";
+import { StorageManager, storageManager } from "../../lib/StorageManager.mjs";
+import "./migrations.mjs";  // upgrades records stored by earlier app versions
+import "../../lib/AuditLog.mjs";  // logs all record changes with their operator
+import "../../lib/RecycleBin.mjs";  // keeps deleted records for being restored
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+import { defineProperties, validateSlots } from "../../lib/properties.mjs";
+// the classes of the people referenced by movies
+import "./Director.mjs";
+import "./Actor.mjs";
 /**
  * Enumeration type
  * @global
@@ -21,303 +25,33 @@ import Actor from "./Actor.mjs";
 const MovieCategoryEL = new Enumeration(["Tvseriesepisode","Biography"]);
 /**
  * Constructor function for the class Movie 
- * including the incomplete disjoint segmentation {TextMovie, Biography}
+ * including the incomplete disjoint segmentation {TvSeriesEpisode, Biography},
+ * whose subclasses are defined in modules of their own
  * @class
  */
 class Movie {
   // using a single record parameter with ES6 function parameter destructuring
-  constructor ({movieID, title, releaseDate, director, actor, category, tvSeriesName, episodeNo, about}) {
+  constructor ({movieID, title, releaseDate, director, actor, category}) {
     this.movieID = movieID;
     this.title = title;
     this.releaseDate = releaseDate;
     this.director = director;
     this.actor = actor;
     // optional properties
-    if (category) this.category = category;  // from MovieCategoryEL
-    if (tvSeriesName) this.tvSeriesName = tvSeriesName;
-    if (episodeNo) this.episodeNo = episodeNo;
-    if (about) this.about = about;
+    if (category) this.category = category;  // from MovieCategoryEL, set by the subclasses
   }
-  get movieID() {
-    return this._movieID;
+  /**
+   * Add an actor, given by its ID or object reference
+   */
+  addPerson( a) {
+    this.actor = Object.keys( this.actor).concat([typeof a !== "object" ? a : a.personId]);
   }
-  static checkMovieID( movieID) {
-    if (!movieID) return new NoConstraintViolation();
-    else if (typeof movieID !== "string" || movieID.trim() === "") {
-      return new RangeConstraintViolation(
-        "The Movie ID must be a non-empty string!");
-    } else {
-      return new NoConstraintViolation();
-    }
-  }
-  static checkMovieIDAsId( movieID) {
-    var validationResult = Movie.checkMovieID( movieID);
-    if ((validationResult instanceof NoConstraintViolation)) {
-      if (!movieID) {
-        validationResult = new MandatoryValueConstraintViolation(
-            "A value for the Movie ID must be provided!");
-      } else if (movieID in Movie.instances) {
-        validationResult = new UniquenessConstraintViolation(
-            "There is already a movie record with this Movie ID!");
-      } else {
-        validationResult = new NoConstraintViolation();
-      }
-    }
-    return validationResult;
-  }
-  set movieID( movieID) {
-    const validationResult = Movie.checkMovieIDAsId( movieID);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._movieID = movieID;
-    } else {
-      throw validationResult;
-    }
-  }
-  get title() {return this._title;}
-  static checkTitle(t) {
-    if (!t) {
-      return new MandatoryValueConstraintViolation("A title must be provided!");
-    } else if (typeof t !== "string" || t.trim() === "") {
-      return new RangeConstraintViolation("The title must be a non-empty string!");
-    } else if (!(/^(?=.{0,120}$).*$/.test(t))) {
-      return new PatternConstraintViolation(
-        'The Title must be fewer 120 characters long!');
-    }
-    else {
-      return new NoConstraintViolation();
-    }
-  }
-  set title(t) {
-    var validationResult = Movie.checkTitle(t);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._title = t;
-    } else {
-      throw validationResult;
-    }
-  }
-  get releaseDate() {return this._releaseDate;}
-  set releaseDate(y) {
-    const validationResult = Movie.checkReleaseDate(y);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._releaseDate = new Date(y);
-    } else {
-      throw validationResult;
-    }
-  }
-
-  static checkReleaseDate(y) {
-    const YEAR_FIRST_MOVIE = new Date(1895, 12, 28);
-    if (!y) {
-      return new MandatoryValueConstraintViolation(
-        "A release date must be provided!");
-    } else {
-      y = new Date(y);
-      if (typeof y.getMonth !== "function"){
-        return new MandatoryValueConstraintViolation("A release date is invalid");
-      }
-      if (y < YEAR_FIRST_MOVIE) {
-        return new IntervalConstraintViolation(
-          `The release date must be after ${YEAR_FIRST_MOVIE}!`);
-      } else {
-        return new NoConstraintViolation();
-      }
-    }
-  }
-  get director() {
-    return this._director;
-  }
-  static checkDirector(director_id) {
-    var validationResult = null;
-    if (!director_id) {
-      validationResult = new NoConstraintViolation();  // optional
-    } else {
-      // invoke foreign key constraint check
-      validationResult = Person.checkPersonIdAsIdRef(director_id);
-    }
-    return validationResult;
-  }
-  set director(p) {
-    if (!p) {
-      if (this._director) {
-        delete this._director.directedMovies[this._movieID];
-        this._director = undefined;
-      }
-    } else {
-      if (Array.isArray(p)) p = p[0];
-      const director_id = (typeof p !== "object") ? p : p.personId;
-      if (this._director) {
-        delete this._director.directedMovies[this._movieID];
-      }
-      this._director = Director.instances[director_id];
-      this._director.directedMovies[this._movieID] = this._movieID;
-      console.log(this._director);
-    }
-  }
-  get actor() {
-    return this._actor;
-  }
-  static checkActor(person_id) {
-    var validationResult = null;
-    if (!person_id) {
-      // person(s) are optional
-      validationResult = new NoConstraintViolation();
-    } else {
-      // invoke foreign key constraint check
-      validationResult = Person.checkPersonIdAsIdRef(person_id);
-    }
-    return validationResult;
-  }
-  addPerson(a) {
-    // a can be an ID reference or an object reference
-    const person_id = (typeof a !== "object") ? parseInt(a) : a.personId;
-    if (person_id) {
-      // add the new actor reference
-      this._actor[person_id] = Actor.instances[person_id];
-      // add the movie reference to the actor
-      this._actor[person_id].actedInMovies[this._movieID] = this.movieID;
-    }
-  }
-  removePerson(a) {
-    // a can be an ID reference or an object reference
-    const person_id = (typeof a !== "object") ? parseInt(a) : a.personId;
-    if (person_id) {
-      // automatically delte the movie reference from the actor
-      delete this._actor[person_id].actedInMovies[this._movieID];
-      // delete the person reference
-      delete this._actor[String(person_id)];
-    }
-  }
-  set actor(a) {
-    this._actor = {};
-    if (Array.isArray(a)) {  // array of IdRefs
-      for (const idRef of a) {
-        this.addPerson(idRef);
-      }
-    } else {  // map of IdRefs to object references
-      for (const idRef of Object.keys(a)) {
-        this.addPerson(a[idRef]);
-      }
-    }
-  }
-  get category() {return this._category;}
-  static checkCategory( c) {
-    if (c === undefined) {
-      return new NoConstraintViolation();  // category is optional
-    } else if (!isIntegerOrIntegerString( c) || parseInt( c) < 1 ||
-        parseInt( c) > MovieCategoryEL.MAX) {
-      return new RangeConstraintViolation(
-          `Invalid value for category: ${c}`);
-    } else {
-      return new NoConstraintViolation();
-    }
-  }
-  set category( c) {
-    var validationResult = null;
-    if (this.category) {  // already set/assigned
-      validationResult = new FrozenValueConstraintViolation(
-          "The category cannot be changed!");
-    } else {
-      validationResult = Movie.checkCategory( c);
-    }
-    if (validationResult instanceof NoConstraintViolation) {
-      this._category = parseInt( c);
-    } else {
-      throw validationResult;
-    }
-  }
-  get tvSeriesName() {return this._tvSeriesName;}
-  static checkTvSeriesName(t) {
-    if (!t) {
-      return new MandatoryValueConstraintViolation("A tvSeriesName must be provided!");
-    } else if (typeof t !== "string" || t.trim() === "") {
-      return new RangeConstraintViolation("The tvSeriesName must be a non-empty string!");
-    }
-    else {
-      return new NoConstraintViolation();
-    }
-  }
-  set tvSeriesName(t) {
-    var validationResult = Movie.checkTvSeriesName(t);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._tvSeriesName = t;
-    } else {
-      throw validationResult;
-    }
-  }
-  get episodeNo() {return this._episodeNo;}
-  static checkEpisodeNo( sA, c) {
-    const cat = parseInt( c);
-    if (cat === MovieCategoryEL.TVSERIESEPISODE && !sA) {
-      return new MandatoryValueConstraintViolation(
-          "An episode number must be provided for a textmovie!");
-    } else if (cat !== MovieCategoryEL.TVSERIESEPISODE && sA) {
-      return new ConstraintViolation("An episode number must not " +
-          "be provided if the movie is not a TV series!");
-    }
-    // check if the episode number is a positive integer
-    else if (sA && (!isIntegerOrIntegerString( sA) || parseInt( sA) < 1)) {
-      return new RangeConstraintViolation(
-          "The episode number must be a positive integer!")
-    } else {
-      return new NoConstraintViolation();
-    }
-  }
-  set episodeNo( v) {
-    const validationResult = Movie.checkEpisodeNo( v, this.category);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._episodeNo = v;
-    } else {
-      throw validationResult;
-    }
-  }
-  get about() {return this._about;}
-  static checkAbout( a, c) {
-    const cat = parseInt( c);
-    //??? if (!cat) cat = MovieCategoryEL.BIOGRAPHY;
-    if (cat === MovieCategoryEL.BIOGRAPHY && !a) {
-      return new MandatoryValueConstraintViolation(
-          "A biography movie record must have an 'about' field!");
-    } else if (cat !== MovieCategoryEL.BIOGRAPHY && a) {
-      return new ConstraintViolation("An 'about' field value must not " +
-          "be provided if the movie is not a biography!");
-    } else if (a && (typeof(a) !== "string" || a.trim() === "")) {
-      return new RangeConstraintViolation(
-          "The 'about' field value must be a non-empty string!");
-    } else {
-      return new NoConstraintViolation();
-    }
-  }
-  set about( v) {
-    const validationResult = Movie.checkAbout( v, this.category);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._about = v;
-    } else {
-      throw validationResult;
-    }
-  }
-  /*********************************************************
-   ***  Other Instance-Level Methods  ***********************
-   **********************************************************/
-  toString() {
-    var movieStr = `Movie{ Movie ID: ${this.movieID}, title: ${this.title}, releaseDate: ${this.releaseDate}, director: ${this.director}, actor: ${this.actor}`;
-    switch (this.category) {
-      case MovieCategoryEL.TVSERIESEPISODE:
-        movieStr += `, textmovie subject area: ${this.episodeNo}`;
-        break;
-      case MovieCategoryEL.BIOGRAPHY:
-        movieStr += `, biography about: ${this.about}`;
-        break;
-    }
-    return movieStr + "}";
-  }
-  /* Convert object to record */
-  toJSON() { // is invoked by JSON.stringify in Movie.saveAll
-    const rec = {};
-    for (const p of Object.keys( this)) {
-      // remove underscore prefix
-      if (p.charAt(0) === "_") rec[p.substr(1)] = this[p];
-    }
-    return rec;
+  /**
+   * Remove an actor, given by its ID or object reference
+   */
+  removePerson( a) {
+    const person_id = String( typeof a !== "object" ? a : a.personId);
+    this.actor = Object.keys( this.actor).filter( id => id !== person_id);
   }
 }
 /***********************************************
@@ -325,88 +59,221 @@ class Movie {
 ************************************************/
 // initially an empty collection (in the form of a map)
 Movie.instances = {};
+Movie.subtypes = [];  // initially an empty collection (in the form of a list)
+Movie.tableName = "movies";
+/**
+ * The properties of movies, from which their check methods, setters,
+ * toString and toJSON are derived. The director and actor references are the
+ * ones, from which the directedMovies and actedInMovies of people are derived.
+ * The category of a movie is the one of its subtype, which defines the
+ * properties of the movies of the category.
+ */
+Movie.properties = {
+  movieID: {label: "Movie ID", range: "NonEmptyString", id: true},
+  title: {label: "Title", range: "NonEmptyString", max: 120},
+  releaseDate: {label: "Release date", range: "Date", min: "1895-12-28"},
+  // a director with movies cannot be deleted, while a deleted actor is
+  // removed from the actors of the movies
+  director: {label: "Director", refersTo: "Director", optional: true, onDelete: "RESTRICT"},
+  actor: {label: "Actors", refersTo: "Actor", multiValued: true, optional: true,
+      onDelete: "SET_NULL"},
+  category: {label: "Category", range: MovieCategoryEL, optional: true, frozen: true}
+};
+/**
+ * Check the slots of a movie with the validate method of its class, which is
+ * the subtype of its category, such that the category of a movie to be
+ * updated cannot be changed, even if it has none
+ * @method
+ * @static
+ * @returns {object}  A map of the names of the properties with invalid
+ *     values to their constraint violations
+ */
+Movie.validate = function (slots, obj) {
+  const Class = obj ? obj.constructor : Movie.getSubtype( slots.category),
+        violations = Class === Movie ? validateSlots( Movie, slots, obj) :
+            Class.validate( slots, obj);
+  if (obj && "category" in slots && (parseInt( slots.category) || undefined) !== obj.category) {
+    violations.category = new FrozenValueConstraintViolation(`"Category" cannot be changed!`,
+        {property: "category", value: slots.category, params: {label: "Category"}});
+  }
+  return violations;
+};
+defineProperties( Movie);
+// the movie IDs are unique among all movies, including those of the subtypes
+const checkMovieIDAsId = Movie.checkMovieIDAsId;
+Movie.checkMovieIDAsId = movieID => checkMovieIDAsId( movieID, Movie);
+storageManager.defineTable( Movie.tableName, "movieID");
+/**
+ * Convert a movie record to its resource representation at the sync
+ * endpoint, in which the director and actors are referenced by their IDs
+ * @param {object} rec
+ * @returns {object}
+ */
+Movie.toResource = function (rec) {
+  const getIdRef = p => typeof p === "object" ? p.personId : parseInt( p),
+        actors = Array.isArray( rec.actor) ? rec.actor : Object.values( rec.actor || {}),
+        resource = {movieID: rec.movieID, title: rec.title, releaseDate: rec.releaseDate,
+            director: rec.director ? getIdRef( rec.director) : null,
+            actor: actors.map( getIdRef).sort( (id1, id2) => id1 - id2)};
+  for (const p of ["category", "seasonNo", "episodeNo"]) {
+    if (rec[p] !== undefined && rec[p] !== null) resource[p] = rec[p];
+  }
+  // the TV series of an episode and the person of a biography by their IDs
+  if (rec.tvSeries) {
+    resource.tvSeries = typeof rec.tvSeries === "object" ? rec.tvSeries.tvSeriesId :
+        parseInt( rec.tvSeries);
+  }
+  if (rec.about) resource.about = getIdRef( rec.about);
+  return resource;
+};
+syncEngine.defineTable( Movie.tableName, {toRemote: Movie.toResource,
+    // a pulled movie record references its director and actors by their
+    // IDs, while the movies of a category are pulled by its subtype
+    fromRemote: resource => resource.category ? null : Movie.toResource( resource),
+    updatableProperties: ["title", "releaseDate", "director", "actor"],
+    references: ["directors", "actors"], manualMerge: true});
 
 /************************************************
 *** Class-level ("static") methods **************
 *************************************************/
 /**
- * Create a new Movie record
+ * Get the class of the movies of a category, i.e., its subtype, or Movie
+ * for the movies without a category
+ * @method
+ * @static
+ * @param {number|string} [category]  A MovieCategoryEL code
+ * @returns {function}
+ */
+Movie.getSubtype = function (category) {
+  return Movie.subtypes.find( Subtype => Subtype.category === parseInt( category)) || Movie;
+};
+/**
+ * Get the category-specific properties of a subtype, i.e., its own properties
+ * except for the derived inverse references
+ * @method
+ * @static
+ * @returns {Array<string>}
+ */
+Movie.getSegmentProperties = function (Subtype) {
+  const decls = Subtype !== Movie &&
+      Object.prototype.hasOwnProperty.call( Subtype, "properties") ? Subtype.properties : {};
+  return Object.keys( decls).filter( property => !decls[property].inverseOf);
+};
+/**
+ * Create a new Movie record, which is an instance of the subtype of its
+ * category and stored in the table of the subtype
  * @method 
  * @static
- * @param {{movieID: string, title: string, releaseDate: number, director: Director, actor: Actor, category: ?number, episodeNo: ?string, about: ?string}} slots - A record of parameters.
+ * @param {{movieID: string, title: string, releaseDate: number, director: Director, actor: Actor, category: ?number}} slots - A record of parameters,
+ *     including the category-specific ones (e.g. episodeNo).
+ * @returns {Promise<Array<Error>>}  The constraint violations or the error,
+ *     due to which the movie has not been created
  */
-Movie.add = function (slots) {
+Movie.add = async function (slots) {
+  const Class = Movie.getSubtype( slots.category),
+        violations = Object.values( Movie.validate( slots));
   var movie = null;
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return violations;
+  }
   try {
-    movie = new Movie( slots);
+    movie = new Class( slots);
   } catch (e) {
     console.log(`${e.constructor.name}: ${e.message}`);
-    movie = null;
+    return [e];
   }
-  if (movie) {
+  try {
     Movie.instances[movie.movieID] = movie;
+    if (Class !== Movie) Class.instances[movie.movieID] = movie;
+    await storageManager.add( Class.tableName, movie);
     console.log(`${movie.toString()} created!`);
+  } catch (e) {
+    console.log(`Error when saving movie ${movie.movieID}\n` + e);
+    return [e];
   }
+  return [];
 };
 /**
  * Update an existing Movie record
  * where the slots argument contains the slots to be updated and performing 
- * the updates with setters makes sure that the new values are validated
+ * the updates with setters makes sure that the new values are validated.
+ * The category cannot be changed, since it determines the class of a movie,
+ * while an empty director unsets the director.
  * @method 
  * @static
- * @param {{movieID: string, title: string, releaseDate: number, category: ?number, episodeNo: ?string, about: ?string}} slots - A record of parameters.
+ * @param {{movieID: string, title: string, releaseDate: number, category: ?number}} slots - A record of parameters,
+ *     including the category-specific ones (e.g. episodeNo).
  */
-Movie.update = function ({movieID, title, releaseDate, director, actor, category, episodeNo, about}) {
+Movie.update = async function ({movieID, title, releaseDate, director, actor, category, ...segmentSlots}) {
   const movie = Movie.instances[movieID],
+        Class = movie.constructor,
+        rec = StorageManager.toRecord( movie),
         objectBeforeUpdate = cloneObject( movie);
   var noConstraintViolated = true, updatedProperties = [];
+  // the category is the one of the class of the movie, which cannot be changed
+  const categoryViolation = category !== undefined &&
+      Movie.validate( {category}, movie).category;
+  if (categoryViolation) {
+    console.log(`${categoryViolation.constructor.name}: ${categoryViolation.message}`);
+    return;
+  }
+  // the changed category-specific slots are checked together, since they
+  // may be constrained jointly (e.g. the numbering of episodes)
+  const segmentChanges = {};
+  for (const property of Movie.getSegmentProperties( Class)) {
+    const value = segmentSlots[property];
+    if (value && String( value) !== String( rec[property])) segmentChanges[property] = value;
+  }
+  const violations = Object.values( Class.validate( segmentChanges, movie));
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return;
+  }
+  // the given values are compared with the record of the movie, that is,
+  // a release date by its day, and the director and actors by their IDs
+  const toDay = date => isNaN( new Date( date)) ? String( date) :
+            new Date( date).toISOString().slice( 0, 10),
+        toIds = refs => (Array.isArray( refs) ? refs : Object.keys( refs)).map( String).sort().join();
   try {
     if (title && movie.title !== title) {
       movie.title = title;
       updatedProperties.push("title");
     }
-    if (releaseDate && movie.releaseDate !== releaseDate) {
+    if (releaseDate && toDay( releaseDate) !== toDay( rec.releaseDate)) {
       movie.releaseDate = releaseDate;
       updatedProperties.push("releaseDate");
     }
-    if (director && movie.director !== director) {
-      movie.director = director;
+    if (director !== undefined && String( director ?? "") !== String( rec.director ?? "")) {
+      movie.director = director || undefined;
       updatedProperties.push("director");
     }
-    if (actor && movie.actor !== actor) {
+    if (actor && toIds( actor) !== toIds( rec.actor || [])) {
       movie.actor = actor;
       updatedProperties.push("actor");
     }
-    if (category) {
-      if (movie.category === undefined) {
-        movie.category = category;
-        updatedProperties.push("category");
-      } else if (category !== movie.category) {
-        throw new FrozenValueConstraintViolation(
-            "The movie category must not be changed!");
-      }
-    } else if (category === "" && "category" in movie) {
-      throw new FrozenValueConstraintViolation(
-          "The movie category must not be unset!");
-    }
-    if (episodeNo && movie.episodeNo !== episodeNo) {
-      movie.episodeNo = episodeNo;
-      updatedProperties.push("episodeNo");
-    }
-    if (about && movie.about !== about) {
-      movie.about = about;
-      updatedProperties.push("about");
+    for (const property of Object.keys( segmentChanges)) {
+      movie[property] = segmentChanges[property];
+      updatedProperties.push( property);
     }
   } catch (e) {
     console.log(`${e.constructor.name}: ${e.message}`);
     noConstraintViolated = false;
     // restore object to its previous state (before updating)
     Movie.instances[movieID] = objectBeforeUpdate;
+    if (Class !== Movie) Class.instances[movieID] = objectBeforeUpdate;
   }
   if (noConstraintViolated) {
     if (updatedProperties.length > 0) {
       let ending = updatedProperties.length > 1 ? "ies" : "y";
       console.log(`Propert${ending} ${updatedProperties.toString()} modified for movie ${movieID}`);
+      try {
+        await storageManager.update( Class.tableName, movie);
+      } catch (e) {
+        console.log(`Error when saving movie ${movieID}\n` + e);
+      }
     } else {
       console.log(`No property value changed for movie ${movie.toString()}!`);
     }
@@ -418,73 +285,110 @@ Movie.update = function ({movieID, title, releaseDate, director, actor, category
  * @static
  * @param {string} movieID - The Movie ID of a movie.
  */
-Movie.destroy = function (movieID) {
-  if (Movie.instances[movieID]) {
-    console.log(`${Movie.instances[movieID].toString()} deleted!`);
+Movie.destroy = async function (movieID) {
+  const movie = Movie.instances[movieID];
+  if (movie) {
+    const Class = movie.constructor;
+    console.log(`${movie.toString()} deleted!`);
     delete Movie.instances[movieID];
+    if (Class !== Movie) delete Class.instances[movieID];
+    try {
+      await storageManager.destroy( Class.tableName, movieID);
+    } catch (e) {
+      console.log(`Error when deleting movie ${movieID}\n` + e);
+    }
   } else {
     console.log(`There is no movie with Movie ID ${movieID} in the database!`);
   }
 };
 /**
- * Load all movie table records and convert them to objects
+ * Load all movie table records and convert them to objects, followed by
+ * the movies of the subtypes, which are loaded from their own tables
  * Precondition: publishers and people must be loaded first
  * @method 
  * @static
  */
-Movie.retrieveAll = function () {
+Movie.retrieveAll = async function () {
   var movies={};
   try {
-    if (!localStorage["movies"]) localStorage.setItem("movies", "{}");
-    else {
-      movies = JSON.parse(localStorage.getItem("movies"));
-      console.log(`${Object.keys(movies).length} movie records loaded.`);
-    }
+    movies = await storageManager.retrieveAll( Movie.tableName);
+    console.log(`${Object.keys(movies).length} movie records loaded.`);
   } catch (e) {
-    alert("Error when reading from Local Storage\n" + e);
+    alert(`Error when reading from ${storageManager.adapter.name}\n` + e);
   }
   for (const movieID of Object.keys( movies)) {
-    Movie.instances[movieID] = Movie.convertRec2Obj( movies[movieID]);
+    const movie = Movie.convertRec2Obj( movies[movieID]);
+    if (movie) Movie.instances[movieID] = movie;
+  }
+  for (const Subtype of Movie.subtypes) {
+    await Subtype.retrieveAll();
   }
 };
 /**
- * Convert movie record to movie object
+ * Convert movie record to movie object, which is an instance of the
+ * subtype of its category
  * @method 
  * @static
- * @param {{movieID: string, title: string, releaseDate: number, category: ?number, episodeNo: ?string, about: ?string}} slots - A record of parameters.
+ * @param {{movieID: string, title: string, releaseDate: number, category: ?number}} slots - A record of parameters.
  * @returns {object}
  */
 Movie.convertRec2Obj = function (movieRow) {
   var movie=null;
   try {
-    movie = new Movie( movieRow);
+    movie = new (Movie.getSubtype( movieRow.category))( movieRow);
   } catch (e) {
     console.log(`${e.constructor.name} while deserializing a movie record: ${e.message}`);
   }
   return movie;
 };
 /**
- * Save all Movie objects as records
+ * Save all Movie objects as records in the tables of their classes, as a
+ * bulk fallback to the record-wise write-through performed by add, update
+ * and destroy
  * @method 
  * @static
  */
-Movie.saveAll = function () {
-  const nmrOfMovies = Object.keys( Movie.instances).length;
-  console.log("Movie.instances:", Movie.instances); // Add this line to check the Movie instances
+Movie.saveAll = async function () {
+  const movies = {};
+  for (const key of Object.keys( Movie.instances)) {
+    if (Movie.instances[key].constructor === Movie) movies[key] = Movie.instances[key];
+  }
   try {
-    localStorage["movies"] = JSON.stringify( Movie.instances);
-    console.log(`${nmrOfMovies} movie records saved.`);
-    console.log(JSON.stringify( Movie.instances));
+    await storageManager.saveAll( Movie.tableName, movies);
+    console.log(`${Object.keys( movies).length} movie records saved.`);
   } catch (e) {
     console.log(e)
-    alert("Error when writing to Local Storage\n" + e);
+    alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+  }
+  for (const Subtype of Movie.subtypes) {
+    await Subtype.saveAll();
   }
 };
 
-Movie.syncMoviesWithLocalStorage = function (movies) {
-  localStorage.setItem("movies", JSON.stringify(movies))
-  console.log(localStorage.getItem("movies"));
+/**
+ * Merge the changes of movie records made in another tab into Movie.instances,
+ * where the movies of the subtypes are merged by the subtypes
+ * @method
+ * @static
+ * @param {{cleared: boolean, entries: Array<{key: string, record: object}>}} changes
+ */
+Movie.mergeRemoteChanges = function ({cleared, entries}) {
+  if (cleared) {
+    for (const key of Object.keys( Movie.instances)) {
+      if (Movie.instances[key].constructor === Movie) delete Movie.instances[key];
+    }
+  }
+  for (const {key, record} of entries) {
+    // replace the movie object, which is not referenced by other objects,
+    // since the movies of people are derived from the movies
+    delete Movie.instances[key];
+    if (record) {
+      const movie = Movie.convertRec2Obj( record);
+      if (movie) Movie.instances[key] = movie;
+    }
+  }
 };
+storageManager.onRemoteChange( Movie.tableName, Movie.mergeRemoteChanges);
 
 export default Movie;
 export { MovieCategoryEL };
@@ -3,10 +3,15 @@
  *                setter methods, and the special methods saveAll and retrieveAll
  * @person Gerd Wagner
  */
-import { cloneObject } from "../../lib/util.mjs";
-import { NoConstraintViolation, MandatoryValueConstraintViolation, RangeConstraintViolation,
-  UniquenessConstraintViolation, ReferentialIntegrityConstraintViolation }
-  from "../../lib/errorTypes.mjs";
+import { StorageManager, storageManager } from "../../lib/StorageManager.mjs";
+import "./migrations.mjs";  // upgrades records stored by earlier app versions
+import "../../lib/AuditLog.mjs";  // logs all record changes with their operator
+import "../../lib/RecycleBin.mjs";  // keeps deleted records for being restored
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+import { defineProperties, getPropertyDeclarations, checkDeletion,
+  applyDeletePolicies } from "../../lib/properties.mjs";
+import { ConstraintViolation, NoConstraintViolation, UniquenessConstraintViolation,
+  ReferentialIntegrityConstraintViolation } from "../../lib/errorTypes.mjs";
 /**
  * Constructor function for the class Person
  * @constructor
@@ -21,237 +26,606 @@ class Person {
     this.name = name;  // string
     //  agent is optional
     if (agent){
-      this.agent = agent;  // number (integer)
+      this.agent = agent;  // a person ID or object reference
     }
   }
-  get personId() {
-    return this._personId;
-  }
-  static checkPersonId(id) {
-    if (!id) {
-      return new NoConstraintViolation();  // may be optional as an IdRef
-    } else {
-      // convert to integer
-      id = parseInt( id);
-      if (isNaN( id) || !Number.isInteger( id) || id < 1) {
-        return new RangeConstraintViolation("The person ID must be a positive integer!");
-      } else {
-        return new NoConstraintViolation();
-      }
-    }
-  }
-  /*
-   Checks ID uniqueness constraint against the direct type of a Person object
-   */
-  static checkPersonIdAsId( id, DirectType) {
-    if (!DirectType) DirectType = Person;  // default
-    id = parseInt( id);
-    if (isNaN(id)) {
-      return new MandatoryValueConstraintViolation(
-          "A positive integer value for the person ID is required!");
-    }
-    let validationResult = Person.checkPersonId( id);
-    if ((validationResult instanceof NoConstraintViolation)) {
-      if (DirectType.instances[id]) {
-        validationResult = new UniquenessConstraintViolation(
-            `There is already a ${DirectType.name} record with this person ID!`);
-      } else {
-        validationResult = new NoConstraintViolation();
-      }
-    }
-    return validationResult;
-  }
-  static checkPersonIdAsIdRef(id) {
-    var validationResult = Person.checkPersonId( id);
-    if ((validationResult instanceof NoConstraintViolation) && id) {
-      if (!Person.instances[id]) {
-        validationResult = new ReferentialIntegrityConstraintViolation(
-            'There is no person record with this person ID!');
-      }
-    }
-    return validationResult;
-  }
-  set personId( id) {
-    // this.constructor may be Person or any category of it
-    var validationResult = Person.checkPersonIdAsId( id, this.constructor);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._personId = parseInt( id);
-    } else {
-      throw validationResult;
-    }
-  }
-  get name() {
-    return this._name;
-  }
-  static checkName(t) {
-    if (!t) {
-      return new MandatoryValueConstraintViolation("A name must be provided!");
-    } else if (typeof t !== "string" || t.trim() === "") {
-      return new RangeConstraintViolation("The name must be a non-empty string!");
-    } else if (!(/^(?=.{0,120}$).*$/.test(t))) {
-      return new PatternConstraintViolation(
-        'The name must be fewer 120 characters long!');
-    }
-    else {
-      return new NoConstraintViolation();
-    }
-  }
-  set name(n) {
-    var validationResult = Person.checkName(n);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._name = n;
-    } else {
-      throw validationResult;
-    }
-  }
-  get agent() {
-    return this._agent;
-  }
-  static checkAgent(id) {
-    if (!id) {
-      return new NoConstraintViolation();
-    } else {
-      // convert to integer
-      id = parseInt( id);
-      if (isNaN( id) || !Number.isInteger( id) || id < 1) {
-        return new RangeConstraintViolation("The person ID must be a positive integer!");
-      } else {
-        return new NoConstraintViolation();
-      }
-    }
-  }
-  set agent( id) {
-    // this.constructor may be Person or any category of it
-    var validationResult = Person.checkAgent( id, this.constructor);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._agent = parseInt( id);  // correct property is _agent, not _personId
-    } else {
-      throw validationResult;
-    }
-  }
-  /* Convert object to string */
-  toString() {
-    return `Person{ persID: ${this.personId}, name: ${this.name} }`;
-  }
-  /* Convert object to row/record */
-  toJSON() {
-    const rec = {};
-    for (const p of Object.keys( this)) {
-      // remove underscore prefix
-      if (p.charAt(0) === "_") rec[p.substr(1)] = this[p];
-    }
-    return rec;
-  }
 }
 /***********************************************
 *** Class-level ("static") properties **********
 ************************************************/
 Person.instances = {}; // initially an empty collection (in the form of a map)
 Person.subtypes = [];  // initially an empty collection (in the form of a list)
+Person.tableName = "people";
+/**
+ * The properties of people, from which their check methods, setters,
+ * toString and toJSON are derived. The agent of a person is another person,
+ * whose represented actors are derived from the people referencing it, and
+ * who is removed from them when deleted. A person, about whom there are
+ * biographies, cannot be deleted.
+ */
+Person.properties = {
+  personId: {label: "Person ID", range: "PositiveInteger", id: true},
+  name: {label: "Name", range: "NonEmptyString", max: 120},
+  agent: {label: "Agent", refersTo: "Person", optional: true, onDelete: "SET_NULL"},
+  representedActors: {label: "Represented actors", refersTo: "Person", multiValued: true,
+      inverseOf: "agent", optional: true},
+  // the biographies about the person, which are derived from the biographies
+  // referencing it, if they are loaded
+  biographies: {label: "Biographies", refersTo: "Biography", multiValued: true,
+      inverseOf: "about", optional: true}
+};
+defineProperties( Person);
+/**
+ * The roles of a person, i.e., its instances of subtypes, share the name and
+ * the agent of the person, which is stored in the people table along with
+ * all other people, while the records of a role only keep the person ID and
+ * the role-specific properties. The copies kept by a role object are only
+ * used as long as there is no person with its ID, e.g., when a role is
+ * created for a new person.
+ */
+for (const property of ["name", "agent"]) {
+  const {get, set} = Object.getOwnPropertyDescriptor( Person.prototype, property);
+  Object.defineProperty( Person.prototype, property, {
+    configurable: true,
+    get: function () {
+      const person = this.constructor !== Person && Person.instances[this.personId];
+      return person ? person[property] : get.call( this);
+    },
+    set
+  });
+}
+storageManager.defineTable( Person.tableName, "personId");
+/**
+ * Convert a person record to its resource representation at the sync
+ * endpoint, where the associations of subtypes are derived from the movies,
+ * and a person without an agent has a null agent for unsetting it remotely
+ */
+Person.toResource = function ({personId, name, agent}) {
+  return {personId, name, agent: agent || null};
+};
+syncEngine.defineTable( Person.tableName, {toRemote: Person.toResource,
+    // the people resource lists all people, whose roles are listed by the
+    // resources of the subtypes
+    fromRemote: Person.toResource,
+    updatableProperties: ["name", "agent"]});
 
 /*********************************************************
 *** Class-level ("static") storage management methods ****
 **********************************************************/
 /**
- *  Create a new Person row
+ *  Create a new Person row, resolving to the constraint violations or the
+ *  error, due to which the person has not been created
  */
-Person.add = function (slots) {
+Person.add = async function (slots) {
+  const violations = Object.values( Person.validate( slots));
   var person = null;
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return violations;
+  }
   try {
     person = new Person( slots);
   } catch (e) {
     console.log(`${e.constructor.name + ": " + e.message}`);
-    person = null;
+    return [e];
   }
-  if (person) {
-    Person.instances[person.personId] = person;
+  Person.instances[person.personId] = person;
+  try {
+    await storageManager.add( Person.tableName, person);
     console.log(`Saved: ${person.name}`);
+  } catch (e) {
+    console.log(`Error when saving person ${person.name}\n` + e);
+    return [e];
   }
+  return [];
 };
 /**
- *  Update an existing Person record
+ *  Add a role to a person by creating an instance of a subtype, which shares
+ *  the name and agent of the person, where a new person is created along
+ *  with its role
+ * @param {function} Subtype  A subtype of Person, e.g. Actor
+ * @param {object} slots  The slots of the role, including the name and agent
+ *     of a new person
+ * @return {Promise<Array<Error>>}  The constraint violations or the error,
+ *     due to which the role has not been added
  */
-Person.update = function ({personId, name}) {
-  const person = Person.instances[personId],
-        objectBeforeUpdate = cloneObject( person);
-  var noConstraintViolated = true, ending = "", updatedProperties = [];
+Person.addRole = async function (Subtype, slots) {
+  const person = Person.instances[slots.personId];
+  if (person) {
+    slots = Object.assign( {}, slots, {name: person.name,
+        agent: person.agent ? person.agent.personId : undefined});
+  }
+  const violations = Object.values( Subtype.validate( slots));
+  var role = null;
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return violations;
+  }
   try {
-    if (name && person.name !== name) {
-      person.name = name;
-      updatedProperties.push("name");
-    }
+    role = new Subtype( slots);
+  } catch (e) {
+    console.log(`${e.constructor.name + ": " + e.message}`);
+    return [e];
+  }
+  try {
+    // store the role together with a new person all or nothing
+    await storageManager.runTransaction([Person, Subtype], async function () {
+      if (!person) {
+        Person.instances[role.personId] = new Person( slots);
+        await storageManager.add( Person.tableName, Person.instances[role.personId]);
+      }
+      Subtype.instances[role.personId] = role;
+      await storageManager.add( Subtype.tableName, role);
+    });
+    console.log(`Saved: ${role.name} as ${Subtype.name}`);
   } catch (e) {
-    console.log(`${e.constructor.name}: ${e.message}`);
-    noConstraintViolated = false;
-    // restore object to its state before updating
-    Person.instances[personId] = objectBeforeUpdate;
+    console.log(`Error when saving ${Subtype.name} ${role.name}\n` + e);
+    return [e];
+  }
+  return [];
+};
+/**
+ *  Update an existing Person record, where an empty agent unsets the agent,
+ *  and the represented actors are the people made to refer to the person as
+ *  their agent
+ */
+Person.update = async function ({personId, name, agent, representedActors}) {
+  const person = Person.instances[personId];
+  var ending = "", updatedProperties = [];
+  try {
+    // change and store the person together with its changed clients all or
+    // nothing, such that they are restored if a value is rejected or the
+    // records cannot be stored
+    await storageManager.runTransaction([Person], async function () {
+      var changedClients = [];
+      if (name && person.name !== name) {
+        person.name = name;
+        updatedProperties.push("name");
+      }
+      if (agent !== undefined &&
+          String( agent) !== String( person.agent ? person.agent.personId : "")) {
+        person.agent = agent;
+        updatedProperties.push("agent");
+      }
+      if (representedActors) {
+        const clientsBefore = person.representedActors;
+        person.representedActors = representedActors;
+        // the people, whose agent has been assigned or unset
+        const clientsAfter = person.representedActors;
+        changedClients = Object.values( clientsBefore).filter( p => !clientsAfter[p.personId])
+            .concat( Object.values( clientsAfter).filter( p => !clientsBefore[p.personId]));
+        if (changedClients.length > 0) updatedProperties.push("representedActors");
+      }
+      if (updatedProperties.length === 0) return;
+      await storageManager.update( Person.tableName, person);
+      for (const client of changedClients) {
+        await storageManager.update( Person.tableName, client);
+      }
+    });
+  } catch (e) {
+    if (e instanceof ConstraintViolation) console.log(`${e.constructor.name}: ${e.message}`);
+    else console.log(`Error when saving person ${name}\n` + e);
+    return;
+  }
+  if (updatedProperties.length > 0) {
+    ending = updatedProperties.length > 1 ? "ies" : "y";
+    console.log(`Propert${ending} ${updatedProperties.toString()} modified for person ${name}`);
+  } else {
+    console.log(`No property value changed for person ${name}!`);
+  }
+};
+/**
+ *  Get the objects representing a person in its roles, i.e., the person
+ *  itself and its instances of subtypes, which share its ID
+ */
+Person.getRoles = function (personId) {
+  const roles = [Person.instances[personId]].concat(
+      Person.subtypes.map( Subtype => Subtype.instances[personId]));
+  return [...new Set( roles)].filter( role => role);
+};
+/**
+ *  Get the subtypes, of which a person has an instance, i.e., its roles
+ * @return {Array<function>}
+ */
+Person.getRoleClasses = function (personId) {
+  return Person.subtypes.filter( Subtype => Subtype.instances[personId]);
+};
+/**
+ *  Get the role-specific properties of a subtype, i.e., its own properties
+ *  except for the derived inverse references
+ * @return {Array<string>}
+ */
+Person.getRoleProperties = function (Subtype) {
+  const decls = Object.prototype.hasOwnProperty.call( Subtype, "properties") ?
+      Subtype.properties : {};
+  return Object.keys( decls).filter( property => !decls[property].inverseOf);
+};
+/**
+ *  Get the derived inverse reference properties of a subtype (e.g. the
+ *  actedInMovies of actors)
+ * @return {Array<string>}
+ */
+Person.getRoleReferenceProperties = function (Subtype) {
+  const decls = Object.prototype.hasOwnProperty.call( Subtype, "properties") ?
+      Subtype.properties : {};
+  return Object.keys( decls).filter( property => decls[property].inverseOf);
+};
+/**
+ *  Get the slots for creating the object of a stored role record, which
+ *  takes the name of its person, while the agent is the one of the person
+ * @param {object} rec  A role record
+ * @return {object}
+ */
+Person.getRoleObjectSlots = function (rec) {
+  const person = Person.instances[rec.personId];
+  return Object.assign( {}, rec, {name: person ? person.name : rec.name, agent: undefined});
+};
+/**
+ *  Define a subtype of Person as a role of people, whose records only keep
+ *  the person ID and the role-specific properties, and define the storage
+ *  management methods shared by all roles, which a subtype may replace by
+ *  its own ones (e.g. update)
+ * @param {function} Subtype  A subtype of Person with its tableName and
+ *     properties map
+ * @param {object} [options]
+ * @param {function} [options.referencingClasses]  A function returning the
+ *     classes of the objects referencing a role (e.g. Movie), which are
+ *     changed by its delete policies and by updating its derived inverse
+ *     references, and which are only imported after the role class
+ * @param {boolean} [options.sync]  Whether the role is synchronized as a
+ *     resource of its own listing the people in this role
+ */
+Person.defineRole = function (Subtype, {referencingClasses = () => [], sync = false} = {}) {
+  const typeName = Subtype.name.toLowerCase();  // e.g. "actor" in messages
+  // initially an empty collection (in the form of a map)
+  Subtype.instances = {};
+  // the name and agent are stored with the person
+  Subtype.prototype.toJSON = function () {
+    const rec = Person.prototype.toJSON.call( this);
+    delete rec.name;
+    delete rec.agent;
+    return rec;
+  };
+  defineProperties( Subtype);
+  storageManager.defineTable( Subtype.tableName, "personId");
+  if (sync) {
+    syncEngine.defineTable( Subtype.tableName, {toRemote: ({personId}) => ({personId}),
+        fromRemote: resource => resource.role === Subtype.name ? {personId: resource.personId} : null,
+        // the name and agent are updated at the people resource
+        updatableProperties: [], references: [Person.tableName]});
   }
-  if (noConstraintViolated) {
+  // add the subtype to the list of Person subtypes
+  Person.subtypes.push( Subtype);
+  /**
+   *  Create a new role record, adding the role to an existing person or
+   *  creating a new person with this role
+   */
+  Subtype.add = async function (slots) {
+    return Person.addRole( Subtype, slots);
+  };
+  /**
+   *  Update the derived inverse references of a role (e.g. the movies of an
+   *  actor) by updating the objects referencing it
+   */
+  Subtype.update = async function (slots) {
+    const role = Subtype.instances[slots.personId];
+    var updatedProperties = [];
+    try {
+      // change and store the role together with the changed objects all or
+      // nothing, such that they are restored if a value is rejected or the
+      // records cannot be stored
+      await storageManager.runTransaction([Subtype].concat( referencingClasses()), async function () {
+        const changedObjects = [];
+        for (const property of Person.getRoleReferenceProperties( Subtype)) {
+          if (!slots[property]) continue;
+          const objectsBefore = role[property];
+          role[property] = slots[property];
+          // the objects, whose references to the role have been added or removed
+          const objectsAfter = role[property],
+                changed = Object.keys( objectsBefore).filter( id => !objectsAfter[id])
+                    .map( id => objectsBefore[id]).concat( Object.keys( objectsAfter)
+                    .filter( id => !objectsBefore[id]).map( id => objectsAfter[id]));
+          if (changed.length > 0) {
+            changedObjects.push( ...changed);
+            updatedProperties.push( property);
+          }
+        }
+        if (updatedProperties.length === 0) return;
+        await storageManager.update( Subtype.tableName, role);
+        for (const obj of changedObjects) {
+          await storageManager.update( obj.constructor.tableName, obj);
+        }
+      });
+    } catch (e) {
+      if (e instanceof ConstraintViolation) console.log(`${e.constructor.name}: ${e.message}`);
+      else console.log(`Error when saving ${typeName} ${role.name}\n` + e);
+      return;
+    }
     if (updatedProperties.length > 0) {
-      ending = updatedProperties.length > 1 ? "ies" : "y";
-      console.log(`Propert${ending} ${updatedProperties.toString()} modified for person ${name}`);
+      let ending = updatedProperties.length > 1 ? "ies" : "y";
+      console.log(`Propert${ending} ${updatedProperties.toString()} modified for ${typeName} ${role.name}`);
     } else {
-      console.log(`No property value changed for person ${name}!`);
+      console.log(`No property value changed for ${typeName} ${role.name}!`);
+    }
+  };
+  /**
+   *  Delete an existing role record, while the person keeps its other roles
+   */
+  Subtype.destroy = async function (personId) {
+    const role = Subtype.instances[personId];
+    try {
+      // delete the role and apply the delete policies of the records
+      // referencing it all or nothing
+      await storageManager.runTransaction([Person, Subtype].concat( referencingClasses()), async function () {
+        await applyDeletePolicies( role);
+        delete Subtype.instances[personId];
+        await storageManager.destroy( Subtype.tableName, role.personId);
+      });
+      console.log(`${Subtype.name} ${role.name} deleted.`);
+    } catch (e) {
+      console.log(`Error when deleting ${typeName} ${role.name}\n` + e);
+    }
+  };
+  /**
+   *  Retrieve all role objects as records, which is invoked by
+   *  Person.retrieveAll after loading all people
+   * @return {Promise<object>}  The role records
+   */
+  Subtype.retrieveAll = async function () {
+    var records = {};
+    try {
+      records = await storageManager.retrieveAll( Subtype.tableName);
+    } catch (e) {
+      console.log(`Error when reading from ${storageManager.adapter.name}\n` + e);
     }
+    for (const key of Object.keys( records)) {
+      try {  // convert record to (typed) object
+        Subtype.instances[key] = new Subtype( Person.getRoleObjectSlots( records[key]));
+      } catch (e) {
+        console.log(`${e.constructor.name} while deserializing ${typeName} ${key}: ${e.message}`);
+      }
+    }
+    console.log(`${Object.keys( Subtype.instances).length} ${Subtype.name} records loaded.`);
+    return records;
+  };
+  /**
+   *  Save all role objects as records
+   */
+  Subtype.saveAll = async function () {
+    try {
+      await storageManager.saveAll( Subtype.tableName, Subtype.instances);
+      console.log(`${Object.keys( Subtype.instances).length} ${Subtype.tableName} saved.`);
+    } catch (e) {
+      alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+    }
+  };
+  /**
+   *  Merge the changes of role records made in another tab into the
+   *  instances map, updating existing objects in place since they may be
+   *  referenced (e.g. by movies)
+   */
+  Subtype.mergeRemoteChanges = function ({cleared, entries}) {
+    if (cleared) Subtype.instances = {};
+    for (const {key, record} of entries) {
+      try {
+        if (!record) {
+          delete Subtype.instances[key];
+        } else if (Subtype.instances[key]) {
+          for (const property of Person.getRoleProperties( Subtype)) {
+            Subtype.instances[key][property] = record[property];
+          }
+        } else {
+          Subtype.instances[key] = new Subtype( Person.getRoleObjectSlots( record));
+        }
+      } catch (e) {
+        console.log(`${e.constructor.name} while merging ${typeName} ${key}: ${e.message}`);
+      }
+    }
+  };
+  storageManager.onRemoteChange( Subtype.tableName, Subtype.mergeRemoteChanges);
+};
+/**
+ *  Get the slots of the new role of a person changing its role, where the
+ *  role-specific properties of the new role, which the current role has,
+ *  too, are carried over unless given
+ * @param {Person} oldRole  The person itself or its current role
+ * @param {function} To  The subtype of the new role
+ * @param {object} slots  The given role-specific slots of the new role
+ * @return {object}
+ */
+Person.getChangedRoleSlots = function (oldRole, To, slots) {
+  const person = Person.instances[oldRole.personId],
+        oldDecls = getPropertyDeclarations( oldRole.constructor),
+        oldRec = StorageManager.toRecord( oldRole),
+        roleSlots = {personId: person.personId, name: person.name,
+            agent: person.agent ? person.agent.personId : undefined};
+  for (const property of Person.getRoleProperties( To)) {
+    if (property in slots) roleSlots[property] = slots[property];
+    else if (oldDecls[property] && oldRec[property] !== undefined) roleSlots[property] = oldRec[property];
+  }
+  return roleSlots;
+};
+/**
+ *  Check a change of the role of a person from a subtype or Person (i.e.,
+ *  no role) to another one: the person must have the current role, but not
+ *  yet the new one, whose slots are checked with the check methods of its
+ *  subtype, and the current role must not be referenced by a property with
+ *  the delete policy RESTRICT
+ * @param {number|string} personId
+ * @param {function} From  Person or the subtype of the current role
+ * @param {function} To  Person or the subtype of the new role
+ * @param {object} [slots]  The role-specific slots of the new role
+ * @return {object}  A map of the names of the properties with invalid values
+ *     (fromRole and toRole for the roles) to their constraint violations
+ */
+Person.validateRoleChange = function (personId, From, To, slots = {}) {
+  const oldRole = From === Person ? Person.instances[personId] : From.instances[personId],
+        violations = {};
+  if (!Person.instances[personId] || !oldRole) {
+    violations.fromRole = new ReferentialIntegrityConstraintViolation(
+        `The person ${personId} is not a ${From.name}!`,
+        {property: "fromRole", value: From.name, params: {label: "Current role", type: From.name, id: personId}});
+    return violations;
+  }
+  if (From === To || (To !== Person && To.instances[personId])) {
+    violations.toRole = new UniquenessConstraintViolation(
+        `The person ${personId} is already a ${To.name}!`,
+        {property: "toRole", value: To.name, params: {label: "New role", type: To.name}});
+  } else if (To !== Person) {
+    Object.assign( violations, To.validate( Person.getChangedRoleSlots( oldRole, To, slots)));
+  }
+  if (From !== Person) {
+    const validationResult = checkDeletion( oldRole);
+    if (!(validationResult instanceof NoConstraintViolation)) violations.fromRole = validationResult;
   }
+  return violations;
 };
 /**
- *  Delete an existing person record
+ *  Change the role of a person from a subtype or Person (i.e., no role) to
+ *  another one, keeping the person with its ID and other roles, carrying
+ *  over the compatible role-specific properties, and applying the delete
+ *  policies of the records referencing the current role (e.g., movies lose
+ *  an actor), all or nothing
+ * @param {number|string} personId
+ * @param {function} From  Person or the subtype of the current role
+ * @param {function} To  Person or the subtype of the new role
+ * @param {object} [slots]  The role-specific slots of the new role
  */
-Person.destroy = function (personId) {
+Person.changeRole = async function (personId, From, To, slots = {}) {
+  const violations = Object.values( Person.validateRoleChange( personId, From, To, slots)),
+        person = Person.instances[personId];
+  var newRole = null;
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return;
+  }
+  const oldRole = From === Person ? person : From.instances[personId];
+  try {
+    if (To !== Person) newRole = new To( Person.getChangedRoleSlots( oldRole, To, slots));
+  } catch (e) {
+    console.log(`${e.constructor.name + ": " + e.message}`);
+    return;
+  }
+  try {
+    await storageManager.runTransaction([Person].concat( Person.subtypes), async function () {
+      if (From !== Person) {
+        await applyDeletePolicies( oldRole);
+        delete From.instances[personId];
+        await storageManager.destroy( From.tableName, person.personId);
+      }
+      if (newRole) {
+        To.instances[personId] = newRole;
+        await storageManager.add( To.tableName, newRole);
+      }
+    });
+    console.log(`Role of ${person.name} changed from ${From.name} to ${To.name}.`);
+  } catch (e) {
+    console.log(`Error when changing the role of ${person.name}\n` + e);
+  }
+};
+/**
+ *  Delete an existing person record in all its roles, applying the delete
+ *  policies of the records referencing one of them
+ */
+Person.destroy = async function (personId) {
   const person = Person.instances[personId];
-  delete Person.instances[personId];
-  // also delete this person from subtype populations
-  for (const Subtype of Person.subtypes) {
-    if (personId in Subtype.instances) delete Subtype.instances[personId];
+  try {
+    await storageManager.runTransaction([Person].concat( Person.subtypes), async function () {
+      await applyDeletePolicies( ...Person.getRoles( personId));
+      delete Person.instances[personId];
+      await storageManager.destroy( Person.tableName, person.personId);
+      // also delete this person from subtype populations
+      for (const Subtype of Person.subtypes) {
+        if (personId in Subtype.instances) {
+          delete Subtype.instances[personId];
+          await storageManager.destroy( Subtype.tableName, person.personId);
+        }
+      }
+    });
+    console.log(`Person ${person.name} deleted.`);
+  } catch (e) {
+    console.log(`Error when deleting person ${person.name}\n` + e);
   }
-  console.log(`Person ${person.name} deleted.`);
 };
 /**
  *  Retrieve all Person objects as records
  * @method
  * @static
  */
-Person.retrieveAll = function () {
+Person.retrieveAll = async function () {
   var people = {};
-  if (!localStorage["people"]) localStorage["people"] = "{}";
   try {
-    people = JSON.parse( localStorage["people"]);
+    people = await storageManager.retrieveAll( Person.tableName);
   } catch (e) {
-    console.log("Error when reading from Local Storage\n" + e);
+    console.log(`Error when reading from ${storageManager.adapter.name}\n` + e);
   }
   for (const key of Object.keys( people)) {
     try {  // convert record to (typed) object
-      Person.instances[key] = new Person( people[key]);
+      Person.instances[key] = new Person( Person.withoutAgent( people[key]));
     } catch (e) {
       console.log(`${e.constructor.name} while deserializing person ${key}: ${e.message}`);
     }
   }
-  // add all instances of all subtypes to Person.instances
+  // load the roles of the people, which share their name and agent
   for (const Subtype of Person.subtypes) {
-    Subtype.retrieveAll();
-    for (const key of Object.keys( Subtype.instances)) {
-      Person.instances[key] = Subtype.instances[key];
+    await Subtype.retrieveAll();
+  }
+  // assign the agents only now, since an agent may be loaded after the
+  // people it represents
+  for (const key of Object.keys( people)) {
+    if (!people[key].agent || !Person.instances[key]) continue;
+    try {
+      Person.instances[key].agent = people[key].agent;
+    } catch (e) {
+      console.log(`${e.constructor.name} while deserializing the agent of ${key}: ${e.message}`);
     }
   }
   console.log(`${Object.keys( Person.instances).length} Person records loaded.`);
 };
 /**
- *  Save all person objects in an entity table (a map of entity records)
+ *  Get a copy of a person record without its agent, which is assigned after
+ *  loading all people
  */
-Person.saveAll = function () {
-  const people = {};
-  for (const key of Object.keys( Person.instances)) {
-    const pers = Person.instances[key];
-    // save only direct instances (no authors, no employees)
-    if (pers.constructor === Person) people[key] = pers;
-  }
+Person.withoutAgent = function (rec) {
+  return Object.assign( {}, rec, {agent: undefined});
+};
+/**
+ *  Save all person objects in an entity table (a map of entity records),
+ *  while their roles are saved by their subtypes
+ */
+Person.saveAll = async function () {
   try {
-    localStorage["people"] = JSON.stringify( people);
-    console.log(`${Object.keys( people).length} people saved.`);
+    await storageManager.saveAll( Person.tableName, Person.instances);
+    console.log(`${Object.keys( Person.instances).length} people saved.`);
   } catch (e) {
-    alert("Error when writing to Local Storage\n" + e);
+    alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+  }
+};
+
+/**
+ *  Merge the changes of person records made in another tab into Person.instances,
+ *  updating existing objects in place since they may be referenced by movies
+ */
+Person.mergeRemoteChanges = function ({cleared, entries}) {
+  if (cleared) Person.instances = {};
+  for (const {key, record} of entries) {
+    try {
+      if (!record) {
+        delete Person.instances[key];
+      } else if (Person.instances[key]) {
+        Person.instances[key].name = record.name;
+        Person.instances[key].agent = record.agent;
+      } else {
+        Person.instances[key] = new Person( record);
+      }
+    } catch (e) {
+      console.log(`${e.constructor.name} while merging person ${key}: ${e.message}`);
+    }
   }
 };
+storageManager.onRemoteChange( Person.tableName, Person.mergeRemoteChanges);
 
 export default Person;
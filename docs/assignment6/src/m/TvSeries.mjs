@@ -0,0 +1,291 @@
+/**
+ * @fileOverview  The model class TvSeries with attribute definitions, (class-level) check methods,
+ *                setter methods, and the special methods saveAll and retrieveAll
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2021 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+import { cloneObject } from "../../lib/util.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import "./migrations.mjs";  // upgrades records stored by earlier app versions
+import "../../lib/AuditLog.mjs";  // logs all record changes with their operator
+import "../../lib/RecycleBin.mjs";  // keeps deleted records for being restored
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+import { defineProperties, checkProperty, validateSlots,
+  applyDeletePolicies } from "../../lib/properties.mjs";
+import { NoConstraintViolation, IntervalConstraintViolation,
+  UniquenessConstraintViolation } from "../../lib/errorTypes.mjs";
+
+/**
+ * The class TvSeries, whose instances are the TV series referenced by
+ * their episodes
+ * @class
+ */
+class TvSeries {
+  // using a single record parameter with ES6 function parameter destructuring
+  constructor ({tvSeriesId, name, startYear, endYear, network}) {
+    this.tvSeriesId = tvSeriesId;  // number (integer)
+    this.name = name;  // string
+    this.startYear = startYear;  // number (integer)
+    // optional properties
+    if (endYear) this.endYear = endYear;  // number (integer)
+    if (network) this.network = network;  // string
+  }
+  static checkEndYear( endYear, startYear) {
+    const validationResult = checkProperty( TvSeries, "endYear", endYear);
+    if (validationResult instanceof NoConstraintViolation && endYear &&
+        parseInt( endYear) < parseInt( startYear)) {
+      return new IntervalConstraintViolation(
+          `"End year" must be at least ${startYear}!`,
+          {property: "endYear", value: endYear, params: {label: "End year", min: startYear}});
+    }
+    return validationResult;
+  }
+  /**
+   * Get the seasons of the TV series up to its last season with their
+   * episodes ordered by season and episode number, where the numbers of the
+   * missing episodes of a season (up to its last episode) and the numbers
+   * shared by several episodes are flagged
+   * @return {Array<{seasonNo: number, episodes: Array<object>,
+   *     missingEpisodeNos: Array<number>, duplicateEpisodeNos: Array<number>}>}
+   *     where a missing season has no episodes
+   */
+  getSeasons() {
+    const episodesBySeason = {};
+    for (const episode of Object.values( this.episodes)) {
+      if (!episodesBySeason[episode.seasonNo]) episodesBySeason[episode.seasonNo] = [];
+      episodesBySeason[episode.seasonNo].push( episode);
+    }
+    const lastSeasonNo = Math.max( 0, ...Object.keys( episodesBySeason).map( n => parseInt( n))),
+          seasons = [];
+    for (let seasonNo = 1; seasonNo <= lastSeasonNo; seasonNo++) {
+      const episodes = (episodesBySeason[seasonNo] || []).sort( (e1, e2) =>
+              e1.episodeNo - e2.episodeNo || e1.releaseDate - e2.releaseDate),
+            episodeNos = episodes.map( episode => episode.episodeNo),
+            missingEpisodeNos = [];
+      for (let episodeNo = 1; episodeNo <= Math.max( 0, ...episodeNos); episodeNo++) {
+        if (!episodeNos.includes( episodeNo)) missingEpisodeNos.push( episodeNo);
+      }
+      seasons.push({seasonNo, episodes, missingEpisodeNos, duplicateEpisodeNos: [...new Set(
+          episodeNos.filter( (episodeNo, i) => episodeNos.indexOf( episodeNo) !== i))]});
+    }
+    return seasons;
+  }
+}
+/*****************************************************
+ *** Class-level ("static") properties ***************
+ *****************************************************/
+// initially an empty collection (in the form of a map)
+TvSeries.instances = {};
+TvSeries.tableName = "tvSeries";
+/**
+ * The properties of TV series, where the episodes are derived from the
+ * episodes referencing a TV series, if they are loaded. A TV series with
+ * episodes cannot be deleted.
+ */
+TvSeries.properties = {
+  tvSeriesId: {label: "TV series ID", range: "PositiveInteger", id: true},
+  name: {label: "Name", range: "NonEmptyString", max: 120, unique: true},
+  startYear: {label: "Start year", range: "PositiveInteger", min: 1928},
+  endYear: {label: "End year", range: "PositiveInteger", optional: true,
+      dependsOn: "startYear"},
+  network: {label: "Network", range: "NonEmptyString", max: 120, optional: true},
+  episodes: {label: "Episodes", refersTo: "TvSeriesEpisode", multiValued: true,
+      inverseOf: "tvSeries", optional: true}
+};
+/**
+ * Check the slots of a TV series, where its name must not only differ from
+ * the names of the other TV series, but also when ignoring the case and the
+ * surrounding whitespace, since it is the same show then
+ * @method
+ * @static
+ * @returns {object}  A map of the names of the properties with invalid
+ *     values to their constraint violations
+ */
+TvSeries.validate = function (slots, obj) {
+  const violations = validateSlots( TvSeries, slots, obj),
+        normalize = name => String( name).trim().toLowerCase();
+  if (!violations.name && "name" in slots && Object.values( TvSeries.instances).some(
+      other => other !== obj && normalize( other.name) === normalize( slots.name))) {
+    violations.name = new UniquenessConstraintViolation(
+        "There is already a TvSeries record with this Name!",
+        {property: "name", value: slots.name, params: {label: "Name", type: "TvSeries"}});
+  }
+  return violations;
+};
+defineProperties( TvSeries);
+storageManager.defineTable( TvSeries.tableName, "tvSeriesId");
+/**
+ * Convert a TV series record to its resource representation at the sync
+ * endpoint, where the episodes are derived from the movies
+ */
+TvSeries.toResource = function ({tvSeriesId, name, startYear, endYear, network}) {
+  const resource = {tvSeriesId, name, startYear};
+  if (endYear) resource.endYear = endYear;
+  if (network) resource.network = network;
+  return resource;
+};
+syncEngine.defineTable( TvSeries.tableName, {toRemote: TvSeries.toResource,
+    fromRemote: TvSeries.toResource,
+    updatableProperties: ["name", "startYear", "endYear", "network"]});
+
+/**********************************************************
+ ***  Class-level ("static") storage management methods ***
+ **********************************************************/
+/**
+ *  Create a new TV series record
+ * @returns {Promise<Array<Error>>}  The constraint violations or the error,
+ *     due to which the TV series has not been created
+ */
+TvSeries.add = async function (slots) {
+  const violations = Object.values( TvSeries.validate( slots));
+  var tvSeries = null;
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return violations;
+  }
+  try {
+    tvSeries = new TvSeries( slots);
+  } catch (e) {
+    console.log(`${e.constructor.name}: ${e.message}`);
+    return [e];
+  }
+  TvSeries.instances[tvSeries.tvSeriesId] = tvSeries;
+  try {
+    await storageManager.add( TvSeries.tableName, tvSeries);
+    console.log(`Saved: ${tvSeries.name}`);
+  } catch (e) {
+    console.log(`Error when saving TV series ${tvSeries.name}\n` + e);
+    return [e];
+  }
+  return [];
+};
+/**
+ *  Update an existing TV series record, where an empty end year or network
+ *  unsets it
+ */
+TvSeries.update = async function ({tvSeriesId, name, startYear, endYear, network}) {
+  const tvSeries = TvSeries.instances[tvSeriesId],
+        objectBeforeUpdate = cloneObject( tvSeries),
+        slots = {};
+  var noConstraintViolated = true, updatedProperties = [];
+  if (name && tvSeries.name !== name) slots.name = name;
+  if (startYear && String( tvSeries.startYear) !== String( startYear)) slots.startYear = startYear;
+  for (const [property, value] of [["endYear", endYear], ["network", network]]) {
+    if (value && String( tvSeries[property]) !== String( value)) {
+      slots[property] = value;
+    } else if (value === "" && tvSeries[property] !== undefined) {
+      slots[property] = undefined;
+    }
+  }
+  const violations = Object.values( TvSeries.validate( slots, tvSeries));
+  if (violations.length > 0) {
+    // report all constraint violations at once
+    for (const e of violations) console.log(`${e.constructor.name}: ${e.message}`);
+    return;
+  }
+  try {
+    // the start year is assigned first, since the end year depends on it
+    for (const property of ["name", "startYear", "endYear", "network"]) {
+      if (!(property in slots)) continue;
+      tvSeries[property] = slots[property];
+      updatedProperties.push( property);
+    }
+  } catch (e) {
+    console.log(`${e.constructor.name}: ${e.message}`);
+    noConstraintViolated = false;
+    // restore object to its state before updating
+    TvSeries.instances[tvSeriesId] = objectBeforeUpdate;
+  }
+  if (noConstraintViolated) {
+    if (updatedProperties.length > 0) {
+      let ending = updatedProperties.length > 1 ? "ies" : "y";
+      console.log(`Propert${ending} ${updatedProperties.toString()} modified for TV series ${tvSeries.name}`);
+      try {
+        await storageManager.update( TvSeries.tableName, tvSeries);
+      } catch (e) {
+        console.log(`Error when saving TV series ${tvSeries.name}\n` + e);
+      }
+    } else {
+      console.log(`No property value changed for TV series ${tvSeries.name}!`);
+    }
+  }
+};
+/**
+ *  Delete an existing TV series record, which is not possible while it has
+ *  episodes
+ */
+TvSeries.destroy = async function (tvSeriesId) {
+  const tvSeries = TvSeries.instances[tvSeriesId];
+  try {
+    await storageManager.runTransaction([TvSeries], async function () {
+      await applyDeletePolicies( tvSeries);
+      delete TvSeries.instances[tvSeriesId];
+      await storageManager.destroy( TvSeries.tableName, tvSeries.tvSeriesId);
+    });
+    console.log(`TV series ${tvSeries.name} deleted.`);
+  } catch (e) {
+    console.log(`Error when deleting TV series ${tvSeries.name}\n` + e);
+  }
+};
+/**
+ *  Retrieve all TV series objects as records
+ */
+TvSeries.retrieveAll = async function () {
+  var tvSeries = {};
+  try {
+    tvSeries = await storageManager.retrieveAll( TvSeries.tableName);
+  } catch (e) {
+    console.log(`Error when reading from ${storageManager.adapter.name}\n` + e);
+  }
+  for (const key of Object.keys( tvSeries)) {
+    try {  // convert record to (typed) object
+      TvSeries.instances[key] = new TvSeries( tvSeries[key]);
+    } catch (e) {
+      console.log(`${e.constructor.name} while deserializing TV series ${key}: ${e.message}`);
+    }
+  }
+  console.log(`${Object.keys( TvSeries.instances).length} TvSeries records loaded.`);
+};
+/**
+ *  Save all TV series objects as records
+ */
+TvSeries.saveAll = async function () {
+  try {
+    await storageManager.saveAll( TvSeries.tableName, TvSeries.instances);
+    console.log( Object.keys( TvSeries.instances).length +" TV series saved.");
+  } catch (e) {
+    alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+  }
+};
+
+/**
+ *  Merge the changes of TV series records made in another tab into
+ *  TvSeries.instances, updating existing objects in place since they may be
+ *  referenced by episodes
+ */
+TvSeries.mergeRemoteChanges = function ({cleared, entries}) {
+  if (cleared) TvSeries.instances = {};
+  for (const {key, record} of entries) {
+    try {
+      if (!record) {
+        delete TvSeries.instances[key];
+      } else if (TvSeries.instances[key]) {
+        const tvSeries = TvSeries.instances[key];
+        tvSeries.name = record.name;
+        tvSeries.startYear = record.startYear;
+        tvSeries.endYear = record.endYear;
+        tvSeries.network = record.network;
+      } else {
+        TvSeries.instances[key] = new TvSeries( record);
+      }
+    } catch (e) {
+      console.log(`${e.constructor.name} while merging TV series ${key}: ${e.message}`);
+    }
+  }
+};
+storageManager.onRemoteChange( TvSeries.tableName, TvSeries.mergeRemoteChanges);
+
+export default TvSeries;
@@ -0,0 +1,165 @@
+/**
+ * @fileOverview  The model class TvSeriesEpisode with attribute definitions, (class-level) check methods,
+ *                setter methods, and the special methods saveAll and retrieveAll
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2021 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+import Movie, { MovieCategoryEL } from "./Movie.mjs";
+import TvSeries from "./TvSeries.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { syncEngine } from "../../lib/SyncEngine.mjs";
+import { defineProperties, validateSlots } from "../../lib/properties.mjs";
+import { UniquenessConstraintViolation } from "../../lib/errorTypes.mjs";
+
+/**
+ * The class TvSeriesEpisode, whose instances are the movies of the category
+ * TvSeriesEpisode, which are numbered per season of their TV series
+ * @class
+ */
+class TvSeriesEpisode extends Movie {
+  // using a single record parameter with ES6 function parameter destructuring
+  constructor ({movieID, title, releaseDate, director, actor, tvSeries, seasonNo, episodeNo}) {
+    super({movieID, title, releaseDate, director, actor,
+        category: MovieCategoryEL.TVSERIESEPISODE});  // invoke Movie constructor
+    this.tvSeries = tvSeries;  // a TV series ID or object reference
+    this.seasonNo = seasonNo;
+    this.episodeNo = episodeNo;
+  }
+}
+/*****************************************************
+ *** Class-level ("static") properties ***************
+ *****************************************************/
+// initially an empty collection (in the form of a map)
+TvSeriesEpisode.instances = {};
+TvSeriesEpisode.category = MovieCategoryEL.TVSERIESEPISODE;
+TvSeriesEpisode.tableName = "tvSeriesEpisodes";
+/**
+ * The properties of TV series episodes, where a TV series with episodes
+ * cannot be deleted
+ */
+TvSeriesEpisode.properties = {
+  tvSeries: {label: "TV series", refersTo: "TvSeries", onDelete: "RESTRICT"},
+  seasonNo: {label: "Season number", range: "PositiveInteger"},
+  episodeNo: {label: "Episode number", range: "PositiveInteger"}
+};
+/**
+ * Check the slots of an episode, whose season and episode numbers must not
+ * be the ones of another episode of the same TV series
+ * @method
+ * @static
+ * @returns {object}  A map of the names of the properties with invalid
+ *     values to their constraint violations
+ */
+TvSeriesEpisode.validate = function (slots, obj) {
+  const violations = validateSlots( TvSeriesEpisode, slots, obj),
+        numbering = ["tvSeries", "seasonNo", "episodeNo"],
+        get = property => obj && !(property in slots) ? obj[property] : slots[property],
+        // the TV series may be given by its ID or object reference
+        getKey = (tvSeries, seasonNo, episodeNo) => [tvSeries && typeof tvSeries === "object" ?
+            tvSeries.tvSeriesId : tvSeries, seasonNo, episodeNo].map( v => parseInt( v)).join("/"),
+        key = getKey( ...numbering.map( get)),
+        [tvSeriesId, seasonNo, episodeNo] = key.split("/");
+  if ((!obj || numbering.some( p => p in slots)) && !numbering.some( p => violations[p]) &&
+      Object.values( TvSeriesEpisode.instances).some( other => other !== obj &&
+          getKey( other.tvSeries, other.seasonNo, other.episodeNo) === key)) {
+    violations.episodeNo = new UniquenessConstraintViolation(`There is already an episode ` +
+        `${episodeNo} of season ${seasonNo} of the TV series ${tvSeriesId}!`,
+        {code: "UNIQUENESS_PER_SEASON", property: "episodeNo", value: get("episodeNo"),
+            params: {label: "Episode number", type: "TvSeriesEpisode", seasonNo}});
+  }
+  return violations;
+};
+defineProperties( TvSeriesEpisode);
+storageManager.defineTable( TvSeriesEpisode.tableName, "movieID");
+syncEngine.defineTable( TvSeriesEpisode.tableName, {toRemote: Movie.toResource,
+    // the episodes are the movies of their category at the movies resource
+    fromRemote: resource => parseInt( resource.category) === TvSeriesEpisode.category ?
+        Movie.toResource( resource) : null,
+    updatableProperties: ["title", "releaseDate", "director", "actor", "tvSeries", "seasonNo",
+        "episodeNo"],
+    references: ["directors", "actors", "tvSeries"], manualMerge: true});
+// add TvSeriesEpisode to the list of Movie subtypes
+Movie.subtypes.push( TvSeriesEpisode);
+
+/**********************************************************
+ ***  Class-level ("static") storage management methods ***
+ **********************************************************/
+/**
+ *  Create a new TV series episode record
+ */
+TvSeriesEpisode.add = async function (slots) {
+  return Movie.add( Object.assign( {}, slots, {category: TvSeriesEpisode.category}));
+};
+/**
+ *  Update an existing TV series episode record
+ */
+TvSeriesEpisode.update = async function (slots) {
+  await Movie.update( slots);
+};
+/**
+ *  Delete an existing TV series episode record
+ */
+TvSeriesEpisode.destroy = async function (movieID) {
+  await Movie.destroy( movieID);
+};
+/**
+ *  Load all TV series episode records and convert them to objects, which
+ *  are movies as well, after loading the TV series they reference
+ */
+TvSeriesEpisode.retrieveAll = async function () {
+  var episodes = {};
+  await TvSeries.retrieveAll();
+  try {
+    episodes = await storageManager.retrieveAll( TvSeriesEpisode.tableName);
+  } catch (e) {
+    console.log(`Error when reading from ${storageManager.adapter.name}\n` + e);
+  }
+  for (const key of Object.keys( episodes)) {
+    try {  // convert record to (typed) object
+      const episode = new TvSeriesEpisode( episodes[key]);
+      TvSeriesEpisode.instances[key] = Movie.instances[key] = episode;
+    } catch (e) {
+      console.log(`${e.constructor.name} while deserializing TV series episode ${key}: ${e.message}`);
+    }
+  }
+  console.log(`${Object.keys( TvSeriesEpisode.instances).length} TvSeriesEpisode records loaded.`);
+};
+/**
+ *  Save all TV series episode objects as records
+ */
+TvSeriesEpisode.saveAll = async function () {
+  try {
+    await storageManager.saveAll( TvSeriesEpisode.tableName, TvSeriesEpisode.instances);
+    console.log( Object.keys( TvSeriesEpisode.instances).length +" TV series episodes saved.");
+  } catch (e) {
+    alert(`Error when writing to ${storageManager.adapter.name}\n` + e);
+  }
+};
+
+/**
+ *  Merge the changes of TV series episode records made in another tab into
+ *  TvSeriesEpisode.instances and Movie.instances
+ */
+TvSeriesEpisode.mergeRemoteChanges = function ({cleared, entries}) {
+  if (cleared) {
+    for (const key of Object.keys( TvSeriesEpisode.instances)) delete Movie.instances[key];
+    TvSeriesEpisode.instances = {};
+  }
+  for (const {key, record} of entries) {
+    // replace the episode object, which is not referenced by other objects
+    delete TvSeriesEpisode.instances[key];
+    delete Movie.instances[key];
+    if (!record) continue;
+    try {
+      const episode = new TvSeriesEpisode( record);
+      TvSeriesEpisode.instances[key] = Movie.instances[key] = episode;
+    } catch (e) {
+      console.log(`${e.constructor.name} while merging TV series episode ${key}: ${e.message}`);
+    }
+  }
+};
+storageManager.onRemoteChange( TvSeriesEpisode.tableName, TvSeriesEpisode.mergeRemoteChanges);
+
+export default TvSeriesEpisode;
@@ -0,0 +1,256 @@
+/**
+ * @fileOverview  Defines the schema version of the stored movie and person
+ *   records, and the migration steps upgrading records stored by the earlier
+ *   generations of the app: assignment4 (version 1), assignment5 (version 2)
+ *   assignment6 before deriving records from property declarations (version 3),
+ *   before deriving the movies of people from the movies (version 4),
+ *   before keeping all people in the people table (version 5), before
+ *   keeping the movies of a category in the table of its subtype (version 6),
+ *   before managing TV series as records of their own (version 7) and
+ *   before storing the name and agent of people only with the person (version 8)
+ * @author Phong Vu Thanh
+ */
+import { storageManager } from "../../lib/StorageManager.mjs";
+
+/**
+ * Detect the schema version of records stored without a version stamp,
+ * where empty storage has no version to be upgraded from
+ * @param {function} readTable  An async function retrieving a table
+ * @return {Promise<number|null>}
+ */
+async function detectSchemaVersion( readTable) {
+  const movies = Object.values( await readTable("movies")),
+        persons = await readTable("persons"),
+        people = await readTable("people"),
+        actors = await readTable("actors"),
+        directors = await readTable("directors");
+  if ([movies, persons, people, actors, directors].every(
+      table => Object.keys( table).length === 0)) {
+    return null;
+  } else if (movies.some( m => "directorIdRefs" in m || "actorIdRefs" in m)) {
+    return 2;
+  } else if (Object.keys( persons).length > 0 || (Object.keys( directors).length === 0 &&
+      movies.some( m => m.director !== undefined && typeof m.director !== "object"))) {
+    // since version 4, movies reference their director by ID, too
+    return 1;
+  } else {
+    return 3;
+  }
+}
+storageManager.defineSchemaVersion( 9, detectSchemaVersion);
+
+/**
+ * assignment4 stores the director of a movie as a person ID and its actors
+ * as a list of person IDs, while assignment5 expects ID reference lists
+ */
+storageManager.registerMigration({
+  version: 2,
+  description: "store the director and actors of a movie as ID reference lists",
+  tableNames: ["movies"],
+  migrate( tables) {
+    for (const movie of Object.values( tables.movies)) {
+      if ("director" in movie) {
+        movie.directorIdRefs = movie.director ? [String( movie.director)] : [];
+        delete movie.director;
+      }
+      if ("actor" in movie) {
+        movie.actorIdRefs = (movie.actor || []).map( id => String( id));
+        delete movie.actor;
+      }
+    }
+  }
+});
+/**
+ * assignment6 expects director and actor ID references in the director and
+ * actor slots, and keeps directors and actors in tables of their own
+ */
+storageManager.registerMigration({
+  version: 3,
+  description: "split persons into people, actors and directors",
+  tableNames: ["movies", "persons", "people", "actors", "directors"],
+  migrate( tables) {
+    const directedMovies = {}, actedInMovies = {};
+    for (const movie of Object.values( tables.movies)) {
+      movie.director = (movie.directorIdRefs || []).map( id => parseInt( id));
+      movie.actor = (movie.actorIdRefs || []).map( id => parseInt( id));
+      delete movie.directorIdRefs;
+      delete movie.actorIdRefs;
+      for (const id of movie.director) {
+        if (!directedMovies[id]) directedMovies[id] = {};
+        directedMovies[id][movie.movieID] = movie.movieID;
+      }
+      for (const id of movie.actor) {
+        if (!actedInMovies[id]) actedInMovies[id] = {};
+        actedInMovies[id][movie.movieID] = movie.movieID;
+      }
+    }
+    for (const key of Object.keys( tables.persons)) {
+      const personId = parseInt( tables.persons[key].personId),
+            name = tables.persons[key].name;
+      if (directedMovies[personId]) {
+        tables.directors[key] = {personId, name, directedMovies: directedMovies[personId]};
+      }
+      if (actedInMovies[personId]) {
+        tables.actors[key] = {personId, name, actedInMovies: actedInMovies[personId]};
+      }
+      if (!directedMovies[personId] && !actedInMovies[personId]) {
+        tables.people[key] = {personId, name};
+      }
+    }
+    tables.persons = null;
+  }
+});
+
+/**
+ * Movies used to embed their director and actor records, and the movie maps
+ * of directors and actors were stored as maps, while the records derived from
+ * the property declarations reference them by ID lists
+ */
+storageManager.registerMigration({
+  version: 4,
+  description: "store movie references as person IDs and movie maps as ID lists",
+  tableNames: ["movies", "actors", "directors"],
+  migrate( tables) {
+    const getIdRef = ref => typeof ref === "object" ? ref.personId : parseInt( ref);
+    for (const movie of Object.values( tables.movies)) {
+      const director = Array.isArray( movie.director) ? movie.director[0] : movie.director,
+            actors = Array.isArray( movie.actor) ? movie.actor : Object.values( movie.actor || {});
+      if (director) movie.director = getIdRef( director);
+      else delete movie.director;
+      movie.actor = actors.map( getIdRef);
+    }
+    const getIdRefs = map => Array.isArray( map) ? map : Object.keys( map || {});
+    for (const actor of Object.values( tables.actors)) {
+      actor.actedInMovies = getIdRefs( actor.actedInMovies);
+    }
+    for (const director of Object.values( tables.directors)) {
+      director.directedMovies = getIdRefs( director.directedMovies);
+    }
+  }
+});
+
+/**
+ * The movies of actors and directors are derived from the director and actor
+ * references of the movies, instead of being stored along with them
+ */
+storageManager.registerMigration({
+  version: 5,
+  description: "derive the movies of actors and directors instead of storing them",
+  tableNames: ["actors", "directors"],
+  migrate( tables) {
+    for (const actor of Object.values( tables.actors)) delete actor.actedInMovies;
+    for (const director of Object.values( tables.directors)) delete director.directedMovies;
+  }
+});
+
+/**
+ * All people are kept in the people table, while the actors and directors
+ * tables only keep their roles, such that a person may have several roles
+ */
+storageManager.registerMigration({
+  version: 6,
+  description: "keep all people in the people table along with their roles",
+  tableNames: ["people", "actors", "directors"],
+  migrate( tables) {
+    for (const rec of Object.values( tables.actors).concat( Object.values( tables.directors))) {
+      if (!tables.people[rec.personId]) {
+        tables.people[rec.personId] = {personId: rec.personId, name: rec.name};
+        if (rec.agent) tables.people[rec.personId].agent = rec.agent;
+      }
+    }
+  }
+});
+
+/**
+ * The movies of the categories TvSeriesEpisode (1) and Biography (2) are
+ * kept in the tables of their subtypes, and a biography refers to the person
+ * it is about by ID instead of by a free text, which is resolved as a person
+ * ID or name. A biography about nobody of that name cannot be loaded anymore,
+ * so it is listed as unmigrated for being entered again by the user.
+ */
+storageManager.registerMigration({
+  version: 7,
+  description: "keep TV series episodes and biographies in tables of their own",
+  tableNames: ["movies", "people", "tvSeriesEpisodes", "biographies"],
+  migrate( tables) {
+    const subtypeTables = {1: tables.tvSeriesEpisodes, 2: tables.biographies},
+          unmigrated = [];
+    for (const key of Object.keys( tables.movies)) {
+      const movie = tables.movies[key],
+            subtypeTable = subtypeTables[parseInt( movie.category)];
+      if (!subtypeTable) continue;
+      if (movie.about !== undefined && !tables.people[movie.about]) {
+        const person = Object.values( tables.people).find( person => person.name === movie.about);
+        if (person) movie.about = person.personId;
+      } else if (movie.about !== undefined) {
+        movie.about = parseInt( movie.about);
+      }
+      if (subtypeTable === tables.biographies && !tables.people[movie.about]) {
+        unmigrated.push({tableName: "movies", key, record: movie,
+            reason: `There is no person "${movie.about ?? ""}", whom the biography is about`});
+      } else {
+        subtypeTable[key] = movie;
+      }
+      delete tables.movies[key];
+    }
+    return unmigrated;
+  }
+});
+/**
+ * TV series episodes referenced their TV series by its name, such that a
+ * name spelled in different ways made different shows. The TV series are
+ * created from the names, which only differ in case and surrounding
+ * whitespace, and start in the year of their first episode, which are all
+ * assigned to the first season.
+ */
+storageManager.registerMigration({
+  version: 8,
+  description: "reference the TV series of episodes as records of their own",
+  tableNames: ["tvSeriesEpisodes", "tvSeries"],
+  migrate( tables) {
+    const tvSeriesByName = {};
+    var tvSeriesId = Math.max( 0, ...Object.keys( tables.tvSeries).map( key => parseInt( key)));
+    for (const tvSeries of Object.values( tables.tvSeries)) {
+      tvSeriesByName[tvSeries.name.trim().toLowerCase()] = tvSeries;
+    }
+    for (const episode of Object.values( tables.tvSeriesEpisodes)) {
+      if (typeof episode.tvSeriesName !== "string" || !episode.tvSeriesName.trim()) continue;
+      const name = episode.tvSeriesName.trim(),
+            year = Math.max( 1928, new Date( episode.releaseDate).getFullYear() || 1928);
+      var tvSeries = tvSeriesByName[name.toLowerCase()];
+      if (!tvSeries) {
+        tvSeriesId += 1;
+        tvSeries = tvSeriesByName[name.toLowerCase()] = {tvSeriesId, name, startYear: year};
+        tables.tvSeries[tvSeriesId] = tvSeries;
+      } else if (year < tvSeries.startYear) {
+        tvSeries.startYear = year;
+      }
+      episode.tvSeries = tvSeries.tvSeriesId;
+      if (episode.seasonNo === undefined) episode.seasonNo = 1;
+      delete episode.tvSeriesName;
+    }
+  }
+});
+/**
+ * The roles of people kept copies of the name and agent of their person,
+ * which were not updated along with the person. A role without a person
+ * (which could not be created by the app) is made a person, otherwise the
+ * person's name and agent are kept.
+ */
+storageManager.registerMigration({
+  version: 9,
+  description: "store the name and agent of people only with the person",
+  tableNames: ["people", "actors", "directors", "employees", "authors"],
+  migrate( tables) {
+    for (const roleTable of [tables.actors, tables.directors, tables.employees, tables.authors]) {
+      for (const rec of Object.values( roleTable)) {
+        if (!tables.people[rec.personId] && rec.name !== undefined) {
+          tables.people[rec.personId] = {personId: rec.personId, name: rec.name};
+          if (rec.agent) tables.people[rec.personId].agent = rec.agent;
+        }
+        delete rec.name;
+        delete rec.agent;
+      }
+    }
+  }
+});
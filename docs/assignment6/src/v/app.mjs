@@ -2,6 +2,12 @@
  * @fileOverview  Contains various view functions for managing books
  * @author Gerd Wagner
  */
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { commandHistory } from "../../lib/CommandHistory.mjs";
+import { parseCsv, stringifyCsv } from "../../lib/csv.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import "./messages.mjs";
+
 /**
  *  Undisplay all form fields classified with a Book segment name
  *  from BookCategoryEL.labels
@@ -29,4 +35,313 @@ function displaySegmentFields( domNode, segmentNames, segmentIndex) {
   }
 }
 
-export { undisplayAllSegmentFields, displaySegmentFields };
+/**
+ *  Translate the page into the chosen locale and add a locale switcher to
+ *  the navigation menu of its header, which reloads the page in the newly
+ *  chosen locale
+ */
+function setupLocaleSwitcher() {
+  const navListEl = document.querySelector("header nav ul"),
+        selectEl = document.createElement("select");
+  document.documentElement.lang = i18n.locale;
+  i18n.translateElements();
+  if (!navListEl) return;
+  selectEl.id = "locale";
+  selectEl.title = i18n.t("locale.label");
+  for (const locale of i18n.getLocales()) {
+    selectEl.add( new Option( i18n.t(`locale.${locale}`), locale));
+  }
+  selectEl.value = i18n.locale;
+  selectEl.addEventListener("change", function () {
+    i18n.locale = selectEl.value;
+    location.reload();
+  });
+  navListEl.appendChild( document.createElement("li")).appendChild( selectEl);
+}
+
+/**
+ *  Mark all invalid fields of a form at once, by setting the messages of
+ *  their constraint violations as their custom validity, while the other
+ *  validated fields are marked valid
+ * @param {HTMLFormElement} formEl
+ * @param {object} violations  A map of property names to constraint violations,
+ *     as returned by the validate methods of the model classes
+ * @param {Array<string>} fieldNames  The names of the validated form fields
+ * @return {boolean}  Whether all fields are valid
+ */
+function showConstraintViolations( formEl, violations, fieldNames) {
+  for (const fieldName of fieldNames) {
+    const fieldEl = formEl[fieldName],
+          message = violations[fieldName] ? i18n.formatViolation( violations[fieldName]) : "";
+    fieldEl.setCustomValidity( message);
+    fieldEl.title = message;
+  }
+  // show the message of the first invalid field
+  return formEl.reportValidity() && Object.keys( violations).length === 0;
+}
+
+/**
+ *  Render the impact of deleting a record on the records referencing it as
+ *  list items, one per reference property (e.g. "3 movies will lose this actor")
+ * @param {HTMLElement} listEl
+ * @param {Array<object>} impacts  The impacts returned by getDeleteImpact
+ * @return {boolean}  Whether the record can be deleted, which is not the case
+ *     while it is referenced by a property with the delete policy RESTRICT
+ */
+function renderDeleteImpact( listEl, impacts) {
+  listEl.innerHTML = "";
+  for (const {Class, property, onDelete, objects} of impacts) {
+    const count = Object.keys( objects).length,
+          itemEl = document.createElement("li");
+    itemEl.textContent = i18n.plural(`deleteImpact.${onDelete}`, count, {
+      type: i18n.plural(`type.${Class.name}`, count),
+      role: i18n.t(`deleteImpact.${Class.name}.${property}`)
+    });
+    itemEl.className = onDelete.toLowerCase();
+    listEl.appendChild( itemEl);
+  }
+  if (impacts.length === 0) {
+    listEl.appendChild( document.createElement("li")).textContent = i18n.t("deleteImpact.none");
+  }
+  return !impacts.some( impact => impact.onDelete === "RESTRICT");
+}
+
+/**
+ *  Handle the beforeunload event: since all records are written through on
+ *  add, update and destroy, only those that could not be written yet have to
+ *  be flushed, and the user is asked to stay on the page while they are dirty
+ */
+function handleBeforeUnloadEvent( e) {
+  if (storageManager.countDirty() > 0) {
+    storageManager.flush();
+    e.preventDefault();
+    e.returnValue = "";
+  }
+}
+
+/**
+ *  Set up the Undo and Redo buttons of a management page together with the
+ *  keyboard shortcuts Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z). The undone or
+ *  redone record changes are delivered to the remote change handlers,
+ *  which refresh the views.
+ */
+function setupUndoRedoButtons() {
+  const undoButton = document.getElementById("Undo"),
+        redoButton = document.getElementById("Redo");
+  // describe an entry of the history by its first change, like its label
+  function describe({changes}) {
+    const {tableName, key, before, after} = changes[0],
+          operation = !before ? "add" : !after ? "delete" : "update",
+          command = i18n.t(`command.${operation}`, {tableName, key});
+    return changes.length > 1 ? i18n.plural("command.more", changes.length - 1, {command}) : command;
+  }
+  function refreshButtons() {
+    undoButton.disabled = !commandHistory.canUndo();
+    undoButton.title = commandHistory.canUndo() ? i18n.t("command.undo",
+        {command: describe( commandHistory.undoStack[commandHistory.undoStack.length-1])}) : "";
+    redoButton.disabled = !commandHistory.canRedo();
+    redoButton.title = commandHistory.canRedo() ? i18n.t("command.redo",
+        {command: describe( commandHistory.redoStack[commandHistory.redoStack.length-1])}) : "";
+  }
+  async function handleCommand( command) {
+    try {
+      await command.call( commandHistory);
+    } catch (e) {
+      alert(`Error when applying the command history\n` + e);
+    }
+  }
+  undoButton.addEventListener("click", () => handleCommand( commandHistory.undo));
+  redoButton.addEventListener("click", () => handleCommand( commandHistory.redo));
+  document.addEventListener("keydown", function (e) {
+    if (!e.ctrlKey && !e.metaKey) return;
+    // keep the text editing undo of input fields
+    if (e.target.matches("input, textarea")) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      handleCommand( commandHistory.undo);
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      handleCommand( commandHistory.redo);
+    }
+  });
+  // the history may also be changed on other pages
+  window.addEventListener("storage", function (e) {
+    if (e.key === commandHistory.storageKey) {
+      commandHistory.load();
+      refreshButtons();
+    }
+  });
+  commandHistory.onUpdate( refreshButtons);
+  // reread the history with the schema version of the loaded model classes
+  commandHistory.load();
+  refreshButtons();
+}
+
+/**
+ *  Register the service worker, which makes the app work offline, and show
+ *  a notice with a reload button when a new version of the app has been
+ *  installed and is waiting for the pages to be reloaded
+ */
+function setupServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  function showUpdateNotice( worker) {
+    if (document.querySelector("div.update-notice")) return;
+    const noticeEl = document.createElement("div"),
+          reloadButton = document.createElement("button");
+    noticeEl.className = "update-notice";
+    reloadButton.type = "button";
+    reloadButton.textContent = i18n.t("update.reload");
+    reloadButton.addEventListener("click", () => worker.postMessage({type: "SKIP_WAITING"}));
+    noticeEl.append( i18n.t("update.notice") + " ", reloadButton);
+    document.body.prepend( noticeEl);
+  }
+  // a first service worker takes control without reloading
+  const hadController = Boolean( navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener("controllerchange", function () {
+    if (hadController) location.reload();
+  });
+  navigator.serviceWorker.register("sw.js").then( function (registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdateNotice( registration.waiting);
+    }
+    registration.addEventListener("updatefound", function () {
+      const worker = registration.installing;
+      worker.addEventListener("statechange", function () {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          showUpdateNotice( worker);
+        }
+      });
+    });
+  }).catch( e => console.log("Error when registering the service worker\n" + e));
+}
+
+/**
+ *  Render the audit log entries of a record as table rows, one row per
+ *  changed property
+ */
+function renderChangeHistory( tableBodyEl, entries) {
+  tableBodyEl.innerHTML = "";
+  for (const entry of entries) {
+    const changes = entry.changes.length > 0 ? entry.changes : [{}];
+    for (let i=0; i < changes.length; i++) {
+      const row = tableBodyEl.insertRow();
+      row.insertCell().textContent = i === 0 ? i18n.formatDateTime( entry.timestamp) : "";
+      row.insertCell().textContent = i === 0 ? entry.operator : "";
+      row.insertCell().textContent = i === 0 ? entry.operation : "";
+      row.insertCell().textContent = changes[i].property || "";
+      row.insertCell().textContent = formatLoggedValue( changes[i].oldValue);
+      row.insertCell().textContent = formatLoggedValue( changes[i].newValue);
+    }
+  }
+  if (entries.length === 0) {
+    tableBodyEl.insertRow().insertCell().textContent = i18n.t("history.empty");
+  }
+}
+/**
+ *  Format a logged property value, showing referenced people by their names
+ */
+function formatLoggedValue( value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value !== "object") return String( value);
+  if ("name" in value) return value.name;
+  const values = Object.values( value);
+  if (values.length > 0 && values.every( v => v && typeof v === "object" && "name" in v)) {
+    return values.map( v => v.name).join(", ");
+  }
+  return JSON.stringify( value);
+}
+
+/**
+ *  Offer a text as a file download, whose object URL is only revoked after
+ *  the browser has started the download
+ */
+function downloadFile( text, fileName, type) {
+  const linkEl = document.createElement("a");
+  linkEl.href = URL.createObjectURL( new Blob([text], {type}));
+  linkEl.download = fileName;
+  linkEl.click();
+  setTimeout( () => URL.revokeObjectURL( linkEl.href), 1000);
+}
+/**
+ *  Set up a CSV export/import section: the columns of a chosen CSV file are
+ *  mapped to the given fields (preselecting columns with the same name),
+ *  and the rows rejected by the import can be downloaded as an error CSV
+ *  with an additional "errors" column
+ *  @param {{sectionEl: HTMLElement, fields: Array<string>, fileName: string,
+ *      exportCsv: function, importRows: function}} params  where importRows
+ *      is invoked with a list of maps of field names to values
+ */
+function setupCsvSection({sectionEl, fields, fileName, exportCsv, importRows}) {
+  const formEl = sectionEl.querySelector("form"),
+        mappingEl = formEl.querySelector("div.column-mapping"),
+        reportEl = sectionEl.querySelector("ul.import-report"),
+        downloadErrorsButton = sectionEl.querySelector("button.download-errors");
+  var header = [], dataRows = [], errorCsv = "";
+  sectionEl.querySelector("button.export-csv").addEventListener("click", function () {
+    downloadFile( exportCsv(), fileName, "text/csv");
+  });
+  formEl.csvFile.addEventListener("change", async function () {
+    const file = formEl.csvFile.files[0];
+    mappingEl.innerHTML = "";
+    reportEl.innerHTML = "";
+    downloadErrorsButton.style.display = "none";
+    if (!file) return;
+    try {
+      [header = [], ...dataRows] = parseCsv( await file.text());
+    } catch (e) {
+      const errorEl = document.createElement("li");
+      errorEl.textContent = e.message;
+      reportEl.appendChild( errorEl);
+      return;
+    }
+    // the column mapping step
+    for (const field of fields) {
+      const labelEl = document.createElement("label"),
+            selectEl = document.createElement("select");
+      selectEl.name = field;
+      selectEl.add( new Option( i18n.t("csv.none"), ""));
+      header.forEach( (column, i) => selectEl.add( new Option( column, String( i))));
+      const index = header.findIndex( column => column.trim().toLowerCase() === field.toLowerCase());
+      if (index >= 0) selectEl.value = String( index);
+      labelEl.append(`${field}: `, selectEl);
+      mappingEl.appendChild( labelEl);
+    }
+  });
+  formEl["import"].addEventListener("click", async function () {
+    if (dataRows.length === 0) return;
+    const mapping = {};
+    for (const selectEl of mappingEl.querySelectorAll("select")) {
+      if (selectEl.value !== "") mapping[selectEl.name] = parseInt( selectEl.value);
+    }
+    const rows = dataRows.map( function (dataRow) {
+      const row = {};
+      for (const field of Object.keys( mapping)) row[field] = (dataRow[mapping[field]] || "").trim();
+      return row;
+    });
+    reportEl.innerHTML = "";
+    try {
+      const {imported, failures} = await importRows( rows);
+      const summaryEl = document.createElement("li");
+      summaryEl.textContent = i18n.t("csv.report", {imported, rejected: failures.length});
+      reportEl.appendChild( summaryEl);
+      for (const {rowIndex, messages} of failures) {
+        const errorEl = document.createElement("li");
+        errorEl.textContent = i18n.t("csv.row", {rowNo: rowIndex + 2, messages: messages.join("; ")});
+        reportEl.appendChild( errorEl);
+      }
+      errorCsv = stringifyCsv([header.concat(["errors"])].concat( failures.map(
+          ({rowIndex, messages}) => dataRows[rowIndex].concat([messages.join("; ")]))));
+      downloadErrorsButton.style.display = failures.length > 0 ? "inline" : "none";
+    } catch (e) {
+      alert(`Error when importing the CSV rows\n` + e);
+    }
+  });
+  downloadErrorsButton.addEventListener("click", function () {
+    downloadFile( errorCsv, fileName.replace(/\.csv$/, "-errors.csv"), "text/csv");
+  });
+}
+
+export { undisplayAllSegmentFields, displaySegmentFields, handleBeforeUnloadEvent,
+    setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher, renderChangeHistory, setupCsvSection,
+    showConstraintViolations, renderDeleteImpact, downloadFile };
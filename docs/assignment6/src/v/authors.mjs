@@ -10,12 +10,15 @@
  ***************************************************************/
 import Author from "../m/Author.mjs";
 import Person from "../m/Person.mjs";
+import { handleBeforeUnloadEvent,
+    setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher } from "./app.mjs";
 import { fillSelectWithOptions } from "../../lib/util.mjs";
 
 /***************************************************************
  Load data
  ***************************************************************/
-Author.retrieveAll();
+// load the people with their roles, whose names are those of the people
+await Person.retrieveAll();
 
 /***************************************************************
  Set up general, use-case-independent UI elements
@@ -31,10 +34,13 @@ for (const frm of document.querySelectorAll("section > form")) {
     frm.reset();
   });
 }
-// save data when leaving the page
-window.addEventListener("beforeunload", function () {
-  Author.saveAll();
-});
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// set up the Undo/Redo buttons and keyboard shortcuts
+setupUndoRedoButtons();
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
 
 /**********************************************
  * Use case Retrieve/List Authors
@@ -83,7 +89,7 @@ createFormEl["commit"].addEventListener("click", function () {
   };
   // check all input fields and show error messages
   createFormEl.personId.setCustomValidity(
-    Person.checkPersonIdAsId( slots.personId).message, Author);
+    Person.checkPersonIdAsId( slots.personId, Author).message);
   /* SIMPLIFIED CODE: no before-submit validation of name */
   // save the input data only if all form fields are valid
   if (createFormEl.checkValidity()) Author.add( slots);
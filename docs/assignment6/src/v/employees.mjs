@@ -10,13 +10,15 @@
  ***************************************************************/
 import Employee, { EmployeeCategoryEL } from "../m/Employee.mjs";
 import Person from "../m/Person.mjs";
-import { displaySegmentFields, undisplayAllSegmentFields } from "./app.mjs"
+import { displaySegmentFields, undisplayAllSegmentFields, handleBeforeUnloadEvent,
+    setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher } from "./app.mjs"
 import { fillSelectWithOptions } from "../../lib/util.mjs";
 
 /***************************************************************
  Load data
  ***************************************************************/
-Employee.retrieveAll();
+// load the people with their roles, whose names are those of the people
+await Person.retrieveAll();
 
 /***************************************************************
  Set up general, use-case-independent UI elements
@@ -32,10 +34,13 @@ for (const frm of document.querySelectorAll("section > form")) {
     frm.reset();
   });
 }
-// save data when leaving the page
-window.addEventListener("beforeunload", function () {
-  Employee.saveAll();
-});
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// set up the Undo/Redo buttons and keyboard shortcuts
+setupUndoRedoButtons();
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
 
 /**********************************************
  * Use case List Employees
@@ -98,7 +103,7 @@ createFormEl["commit"].addEventListener("click", function () {
   }
   // check all input fields and show error messages
   createFormEl.personId.setCustomValidity(
-    Person.checkPersonIdAsId( slots.personId).message, Employee);
+    Person.checkPersonIdAsId( slots.personId, Employee).message);
   /* SIMPLIFIED CODE: no before-submit validation of name */
   // save the input data only if all form fields are valid
   if (createFormEl.checkValidity()) Employee.add( slots);
@@ -158,6 +163,9 @@ updateFormEl["commit"].addEventListener("click", function () {
       updateFormEl.department.setCustomValidity(
         Employee.checkDepartment( updateFormEl.department.value, slots.category).message);
     }
+  } else {
+    // unset the category along with the department
+    slots.category = "";
   }
   // check all property constraints
   /*SIMPLIFIED CODE: no before-save validation of name */
@@ -0,0 +1,494 @@
+/**
+ * @fileOverview  The English and German message catalogues of the app,
+ *   containing the texts of the pages, the labels of the properties and
+ *   enumerations, and the constraint violation messages keyed by their code
+ * @author Phong Vu Thanh
+ */
+import { i18n } from "../../lib/i18n.mjs";
+
+i18n.addMessages("en", {
+  // the names of the locales in the locale switcher
+  "locale.label": "Language",
+  "locale.en": "English",
+  "locale.de": "Deutsch",
+  // the texts of the pages, marked up with data-i18n attributes
+  "app.subtitle": "Plain JS Subtyping App",
+  "app.title": "Public Library",
+  "button.backToMainMenu": "Back to Main menu",
+  "button.backToMenu": "Back to menu",
+  "button.delete": "Delete",
+  "button.import": "Import",
+  "button.redo": "Redo",
+  "button.redoShortcut": "Redo (Ctrl+Y)",
+  "button.save": "Save",
+  "button.saveChanges": "Save changes",
+  "button.undo": "Undo",
+  "button.undoShortcut": "Undo (Ctrl+Z)",
+  "csv.downloadErrors": "Download the rejected rows as CSV",
+  "csv.file": "CSV file",
+  "data.commitImport": "Import the valid records",
+  "data.export": "Export data",
+  "data.import": "Import data",
+  "data.operator": "Operator",
+  "data.previewMigration": "Preview data migration",
+  "data.storage": "Storage",
+  "field.actorIds": "Actor IDs",
+  "field.actorIdsPlaceholder": "e.g. 3, 4, 5",
+  "field.representedActorIds": "Represented actor IDs",
+  "field.directorId": "Director ID",
+  "field.aboutId": "About (person ID)",
+  "field.tvSeriesId": "TV series ID",
+  "history.newValue": "New value",
+  "history.oldValue": "Old value",
+  "history.operation": "Operation",
+  "history.operator": "Operator",
+  "history.property": "Property",
+  "history.time": "Time",
+  "movie.create": "Create a new movie record",
+  "movie.csv": "Export/import movies as CSV",
+  "movie.csvTitle": "Export and import movies as CSV",
+  "movie.delete": "Delete a movie record",
+  "movie.exportCsv": "Export all movies as CSV",
+  "movie.history": "Show the change history of a movie record",
+  "movie.historyTitle": "Change history of a movie record",
+  "movie.list": "Retrieve/list all movie records",
+  "movie.listTitle": "List all movies",
+  "movie.manage": "Manage movie data",
+  "movie.mergeMenu": "Merge conflicting sync changes",
+  "movie.mergeTitle": "Merge a movie changed both here and remotely",
+  "movie.remote": "Remote",
+  "movie.saveMerged": "Save merged movie",
+  "movie.select": "Select movie",
+  "movie.selectConflict": "Select conflict",
+  "movie.update": "Update a movie record",
+  "movie.useRemote": "Take remote movie",
+  "movie.useRemoteValue": "Use remote value",
+  "nav.authors": "Authors",
+  "nav.employees": "Employees",
+  "nav.movies": "Movies",
+  "nav.people": "People",
+  "nav.trash": "Trash",
+  "nav.tvSeries": "TV series",
+  "person.add": "Add a new person",
+  "person.changeRole": "Change the role of a person",
+  "person.create": "Create a new person record",
+  "person.csv": "Export/import people as CSV",
+  "person.csvTitle": "Export and import people as CSV",
+  "person.delete": "Delete a person record",
+  "person.exportCsv": "Export all people as CSV",
+  "person.history": "Show the change history of a person record",
+  "person.historyTitle": "Change history of a person record",
+  "person.list": "Retrieve/list all person records",
+  "person.listTitle": "List all people",
+  "person.manage": "Manage people",
+  "person.roles": "Role(s)",
+  "person.select": "Select person",
+  "person.update": "Update a person record",
+  "sync.conflicts": "Sync conflicts",
+  "sync.endpoint": "Sync endpoint",
+  "sync.lastWriterWins": "Last writer wins",
+  "sync.manual": "Merge movies manually",
+  "sync.now": "Synchronize now",
+  "trash.deletedAt": "Deleted at",
+  "trash.deletedBy": "Deleted by",
+  "trash.details": "Details",
+  "trash.emptyTrash": "Empty trash",
+  "trash.id": "ID",
+  "trash.intro": "Records deleted together (e.g., a director with the movies directed by them) are selected together. Restoring a movie also restores the deleted people it refers to.",
+  "trash.menu": "Restore deleted records",
+  "trash.nameOrTitle": "Name/Title",
+  "trash.purge": "Purge selected records",
+  "trash.restore": "Restore selected records",
+  "trash.title": "Deleted records",
+  "trash.type": "Type",
+  "tvSeries.create": "Create a new TV series record",
+  "tvSeries.delete": "Delete a TV series record",
+  "tvSeries.episodes": "Show the seasons and episodes of a TV series",
+  "tvSeries.episodesTitle": "Seasons and episodes of a TV series",
+  "tvSeries.list": "Retrieve/list all TV series records",
+  "tvSeries.listTitle": "List all TV series",
+  "tvSeries.manage": "Manage TV series data",
+  "tvSeries.remark": "Remark",
+  "tvSeries.select": "Select TV series",
+  "tvSeries.update": "Update a TV series record",
+  "property.about": "About",
+  "property.representedActors": "Represented actors",
+  "property.biographies": "Biographies",
+  "property.actor": "Actors",
+  "property.agent": "Agent",
+  "property.biography": "Biography",
+  "property.category": "Category",
+  "property.department": "Department",
+  "property.director": "Director",
+  "property.empNo": "Employee number",
+  "property.endYear": "End year",
+  "property.episodeNo": "Episode number",
+  "property.episodes": "Episodes",
+  "property.fromRole": "Current role",
+  "property.movieID": "Movie ID",
+  "property.name": "Name",
+  "property.network": "Network",
+  "property.personId": "Person ID",
+  "property.releaseDate": "Release date",
+  "property.seasonNo": "Season number",
+  "property.startYear": "Start year",
+  "property.title": "Title",
+  "property.toRole": "New role",
+  "property.tvSeries": "TV series",
+  "property.tvSeriesId": "TV series ID",
+  // the labels of the enumerations
+  "MovieCategoryEL.Tvseriesepisode": "TV series episode",
+  "MovieCategoryEL.Biography": "Biography",
+  "role.Actor": "Actor",
+  "role.Agent": "Agent",
+  "role.Author": "Author",
+  "role.Director": "Director",
+  "role.Employee": "Employee",
+  "role.Person": "Person (no role)",
+  // the texts of the views
+  "movie.biographyAbout": "Biography about {about}",
+  "movie.confirmDelete": "Do you really want to delete this movie?",
+  "movie.deletedElsewhere": "The movie {id} has been deleted in another tab!",
+  "movie.changedElsewhere": "The movie {id} has been changed in another tab. Do you want to reload it into the form?",
+  "person.confirmDelete": "Do you really want to delete this person?",
+  "person.deletedElsewhere": "The person {id} has been deleted in another tab!",
+  "person.changedElsewhere": "The person {id} has been changed in another tab. Do you want to reload it into the form?",
+  "tvSeries.confirmDelete": "Do you really want to delete this TV series?",
+  "tvSeries.deletedElsewhere": "The TV series {id} has been deleted in another tab!",
+  "tvSeries.changedElsewhere": "The TV series {id} has been changed in another tab. Do you want to reload it into the form?",
+  "tvSeries.duplicateEpisode": "Duplicate episode number",
+  "tvSeries.missingEpisode": "Missing episode",
+  "tvSeries.missingSeason": "Missing season",
+  "tvSeries.noEpisodes": "The TV series has no episodes.",
+  "history.empty": "No changes have been logged.",
+  "command.add": "add {tableName} {key}",
+  "command.delete": "delete {tableName} {key}",
+  "command.update": "update {tableName} {key}",
+  "command.more.one": "{command} (and {count} more record)",
+  "command.more.other": "{command} (and {count} more records)",
+  "command.redo": "Redo {command} (Ctrl+Y)",
+  "command.undo": "Undo {command} (Ctrl+Z)",
+  "csv.ambiguousDirectorName": "The director name {name} is ambiguous!",
+  "csv.ambiguousPersonName": "The person name {name} is ambiguous!",
+  "csv.directorNotNamed": "The director {id} is not named {name}!",
+  "csv.noDirectorNamed": "There is no director named {name}!",
+  "csv.noDirectorWithId": "There is no director with the ID {id}!",
+  "csv.none": "(none)",
+  "csv.notAnActor": "The person {id} is not an actor!",
+  "csv.notCreated": "The record could not be created!",
+  "csv.noTvSeriesNamed": "There is no TV series named {name}!",
+  "csv.noTvSeriesWithId": "There is no TV series with the ID {id}!",
+  "csv.report": "{imported} rows imported, {rejected} rows rejected",
+  "csv.row": "Row {rowNo}: {messages}",
+  "csv.tvSeriesNotNamed": "The TV series {id} is not named {name}!",
+  "csv.unknownRole": "Unknown role: {role}",
+  "data.confirmImport": "Do you really want to replace all data with the imported records?",
+  "data.imported": "The records have been imported.",
+  "data.importSummary": "{valid} valid records ({counts}), {invalid} invalid records",
+  "data.invalidJson": "Invalid JSON: {message}",
+  "data.skipped": "The {count} invalid records are skipped.",
+  "migration.current": "The stored data has the current schema version {version}.",
+  "migration.step": "Version {version}: {description}",
+  "migration.unmigrated": "not migrated, since: {reason}",
+  "sync.error": "Not synchronized: {error}",
+  "sync.lastSynced": "Last synchronized at {time}.",
+  "sync.off": "Synchronization is off.",
+  "sync.status": "{pending} changes waiting for being pushed, {conflicts} conflicts to be merged, {rejected} changes rejected.",
+  "trash.confirmEmpty": "Do you really want to delete all records in the trash for good?",
+  "trash.confirmPurge.one": "Do you really want to delete {count} record for good?",
+  "trash.confirmPurge.other": "Do you really want to delete {count} records for good?",
+  "trash.deletedAlong.one": "deleted along with {count} other record",
+  "trash.deletedAlong.other": "deleted along with {count} other records",
+  "trash.exists": "{tableName} record {key}: a record with this ID exists already",
+  "trash.expiry": "Deleted records are kept for {days} days.",
+  "trash.failed": "The records could not be restored: {message}",
+  "trash.invalid": "{tableName} record {key}: invalid record (see the console)",
+  "trash.isEmpty": "The trash is empty.",
+  "trash.unknownType": "{tableName} record {key}: unknown record type",
+  "update.notice": "A new version of the app is available.",
+  "update.reload": "Reload",
+  // the impact of deleting a record on the records referencing it
+  "deleteImpact.CASCADE.one": "{count} {type} will be deleted along with {role}.",
+  "deleteImpact.CASCADE.other": "{count} {type} will be deleted along with {role}.",
+  "deleteImpact.RESTRICT.one": "{count} {type} refers to {role}, which therefore cannot be deleted.",
+  "deleteImpact.RESTRICT.other": "{count} {type} refer to {role}, which therefore cannot be deleted.",
+  "deleteImpact.SET_NULL.one": "{count} {type} will lose {role}.",
+  "deleteImpact.SET_NULL.other": "{count} {type} will lose {role}.",
+  "deleteImpact.none": "No other records are affected by the deletion.",
+  "type.Biography.one": "biography",
+  "type.Biography.other": "biographies",
+  "type.Movie.one": "movie",
+  "type.Movie.other": "movies",
+  "type.Person.one": "person",
+  "type.Person.other": "people",
+  "type.TvSeriesEpisode.one": "TV series episode",
+  "type.TvSeriesEpisode.other": "TV series episodes",
+  // the deleted record in the role, in which it is referenced
+  "deleteImpact.Biography.about": "this person",
+  "deleteImpact.Movie.actor": "this actor",
+  "deleteImpact.Movie.director": "this director",
+  "deleteImpact.Person.agent": "this agent",
+  "deleteImpact.TvSeriesEpisode.tvSeries": "this TV series",
+  // the constraint violations
+  "CONSTRAINT": "The value of \"{label}\" is invalid!",
+  "MANDATORY_VALUE": "A value for \"{label}\" must be provided!",
+  "MANDATORY_VALUE:category": "A value for \"{label}\" must be provided for this category!",
+  "NOT_APPLICABLE": "A value for \"{label}\" must not be provided for this category!",
+  "RANGE:String": "\"{label}\" must be a string!",
+  "RANGE:NonEmptyString": "\"{label}\" must be a non-empty string!",
+  "RANGE:Integer": "\"{label}\" must be an integer!",
+  "RANGE:PositiveInteger": "\"{label}\" must be a positive integer!",
+  "RANGE:Date": "\"{label}\" must be a valid date!",
+  "RANGE:Enumeration": "Invalid value for \"{label}\": {value}",
+  "RANGE:List": "\"{label}\" must be a list of IDs!",
+  "STRING_LENGTH:max": "\"{label}\" must not be longer than {max} characters!",
+  "STRING_LENGTH:min": "\"{label}\" must be at least {min} characters long!",
+  "INTERVAL:max": "\"{label}\" must be at most {max}!",
+  "INTERVAL:min": "\"{label}\" must be at least {min}!",
+  "PATTERN": "\"{label}\" does not have the required format!",
+  "UNIQUENESS": "There is already a record with this {label}!",
+  "UNIQUENESS_PER_SEASON": "There is already an episode {value} of season {seasonNo} of this TV series!",
+  "REFERENTIAL_INTEGRITY": "There is no record with the ID {id} for \"{label}\"!",
+  "REFERENTIAL_INTEGRITY:count": "The record {id} cannot be deleted, since {count} records refer to it as \"{label}\"!",
+  "FROZEN_VALUE": "\"{label}\" cannot be changed!"
+});
+
+i18n.addMessages("de", {
+  "locale.label": "Sprache",
+  "locale.en": "English",
+  "locale.de": "Deutsch",
+  "app.subtitle": "Plain-JS-Subtyping-App",
+  "app.title": "Öffentliche Bibliothek",
+  "button.backToMainMenu": "Zurück zum Hauptmenü",
+  "button.backToMenu": "Zurück zum Menü",
+  "button.delete": "Löschen",
+  "button.import": "Importieren",
+  "button.redo": "Wiederholen",
+  "button.redoShortcut": "Wiederholen (Strg+Y)",
+  "button.save": "Speichern",
+  "button.saveChanges": "Änderungen speichern",
+  "button.undo": "Rückgängig",
+  "button.undoShortcut": "Rückgängig (Strg+Z)",
+  "csv.downloadErrors": "Abgelehnte Zeilen als CSV herunterladen",
+  "csv.file": "CSV-Datei",
+  "data.commitImport": "Gültige Datensätze importieren",
+  "data.export": "Daten exportieren",
+  "data.import": "Daten importieren",
+  "data.operator": "Bearbeiter",
+  "data.previewMigration": "Datenmigration in der Vorschau anzeigen",
+  "data.storage": "Speicher",
+  "field.actorIds": "Darsteller-IDs",
+  "field.actorIdsPlaceholder": "z. B. 3, 4, 5",
+  "field.representedActorIds": "IDs der vertretenen Darsteller",
+  "field.directorId": "Regisseur-ID",
+  "field.aboutId": "Über (Personen-ID)",
+  "field.tvSeriesId": "TV-Serien-ID",
+  "history.newValue": "Neuer Wert",
+  "history.oldValue": "Alter Wert",
+  "history.operation": "Operation",
+  "history.operator": "Bearbeiter",
+  "history.property": "Eigenschaft",
+  "history.time": "Zeit",
+  "movie.create": "Neuen Film anlegen",
+  "movie.csv": "Filme als CSV exportieren/importieren",
+  "movie.csvTitle": "Filme als CSV exportieren und importieren",
+  "movie.delete": "Film löschen",
+  "movie.exportCsv": "Alle Filme als CSV exportieren",
+  "movie.history": "Änderungshistorie eines Films anzeigen",
+  "movie.historyTitle": "Änderungshistorie eines Films",
+  "movie.list": "Alle Filme abrufen/auflisten",
+  "movie.listTitle": "Alle Filme",
+  "movie.manage": "Filmdaten verwalten",
+  "movie.mergeMenu": "Widersprüchliche Synchronisierungsänderungen zusammenführen",
+  "movie.mergeTitle": "Einen hier und entfernt geänderten Film zusammenführen",
+  "movie.remote": "Entfernt",
+  "movie.saveMerged": "Zusammengeführten Film speichern",
+  "movie.select": "Film auswählen",
+  "movie.selectConflict": "Konflikt auswählen",
+  "movie.update": "Film bearbeiten",
+  "movie.useRemote": "Entfernten Film übernehmen",
+  "movie.useRemoteValue": "Entfernten Wert übernehmen",
+  "nav.authors": "Autoren",
+  "nav.employees": "Mitarbeiter",
+  "nav.movies": "Filme",
+  "nav.people": "Personen",
+  "nav.trash": "Papierkorb",
+  "nav.tvSeries": "TV-Serien",
+  "person.add": "Neue Person hinzufügen",
+  "person.changeRole": "Rolle einer Person ändern",
+  "person.create": "Neue Person anlegen",
+  "person.csv": "Personen als CSV exportieren/importieren",
+  "person.csvTitle": "Personen als CSV exportieren und importieren",
+  "person.delete": "Person löschen",
+  "person.exportCsv": "Alle Personen als CSV exportieren",
+  "person.history": "Änderungshistorie einer Person anzeigen",
+  "person.historyTitle": "Änderungshistorie einer Person",
+  "person.list": "Alle Personen abrufen/auflisten",
+  "person.listTitle": "Alle Personen",
+  "person.manage": "Personen verwalten",
+  "person.roles": "Rolle(n)",
+  "person.select": "Person auswählen",
+  "person.update": "Person bearbeiten",
+  "sync.conflicts": "Synchronisierungskonflikte",
+  "sync.endpoint": "Synchronisierungs-Endpunkt",
+  "sync.lastWriterWins": "Letzte Änderung gewinnt",
+  "sync.manual": "Filme manuell zusammenführen",
+  "sync.now": "Jetzt synchronisieren",
+  "trash.deletedAt": "Gelöscht am",
+  "trash.deletedBy": "Gelöscht von",
+  "trash.details": "Details",
+  "trash.emptyTrash": "Papierkorb leeren",
+  "trash.id": "ID",
+  "trash.intro": "Zusammen gelöschte Datensätze (z. B. ein Regisseur mit seinen Filmen) werden zusammen ausgewählt. Beim Wiederherstellen eines Films werden auch die gelöschten Personen wiederhergestellt, auf die er verweist.",
+  "trash.menu": "Gelöschte Datensätze wiederherstellen",
+  "trash.nameOrTitle": "Name/Titel",
+  "trash.purge": "Ausgewählte Datensätze endgültig löschen",
+  "trash.restore": "Ausgewählte Datensätze wiederherstellen",
+  "trash.title": "Gelöschte Datensätze",
+  "trash.type": "Typ",
+  "tvSeries.create": "Neue TV-Serie anlegen",
+  "tvSeries.delete": "TV-Serie löschen",
+  "tvSeries.episodes": "Staffeln und Episoden einer TV-Serie anzeigen",
+  "tvSeries.episodesTitle": "Staffeln und Episoden einer TV-Serie",
+  "tvSeries.list": "Alle TV-Serien abrufen/auflisten",
+  "tvSeries.listTitle": "Alle TV-Serien",
+  "tvSeries.manage": "TV-Serien verwalten",
+  "tvSeries.remark": "Hinweis",
+  "tvSeries.select": "TV-Serie auswählen",
+  "tvSeries.update": "TV-Serie bearbeiten",
+  "property.about": "Über",
+  "property.representedActors": "Vertretene Darsteller",
+  "property.biographies": "Biografien",
+  "property.actor": "Darsteller",
+  "property.agent": "Agent",
+  "property.biography": "Biografie",
+  "property.category": "Kategorie",
+  "property.department": "Abteilung",
+  "property.director": "Regisseur",
+  "property.empNo": "Personalnummer",
+  "property.endYear": "Endjahr",
+  "property.episodeNo": "Episodennummer",
+  "property.episodes": "Episoden",
+  "property.fromRole": "Bisherige Rolle",
+  "property.movieID": "Film-ID",
+  "property.name": "Name",
+  "property.network": "Sender",
+  "property.personId": "Personen-ID",
+  "property.releaseDate": "Erscheinungsdatum",
+  "property.seasonNo": "Staffelnummer",
+  "property.startYear": "Startjahr",
+  "property.title": "Titel",
+  "property.toRole": "Neue Rolle",
+  "property.tvSeries": "TV-Serie",
+  "property.tvSeriesId": "TV-Serien-ID",
+  "MovieCategoryEL.Tvseriesepisode": "TV-Serien-Episode",
+  "MovieCategoryEL.Biography": "Biografie",
+  "role.Actor": "Darsteller",
+  "role.Agent": "Agent",
+  "role.Author": "Autor",
+  "role.Director": "Regisseur",
+  "role.Employee": "Mitarbeiter",
+  "role.Person": "Person (ohne Rolle)",
+  "movie.biographyAbout": "Biografie über {about}",
+  "movie.confirmDelete": "Wollen Sie diesen Film wirklich löschen?",
+  "movie.deletedElsewhere": "Der Film {id} wurde in einem anderen Tab gelöscht!",
+  "movie.changedElsewhere": "Der Film {id} wurde in einem anderen Tab geändert. Wollen Sie ihn neu in das Formular laden?",
+  "person.confirmDelete": "Wollen Sie diese Person wirklich löschen?",
+  "person.deletedElsewhere": "Die Person {id} wurde in einem anderen Tab gelöscht!",
+  "person.changedElsewhere": "Die Person {id} wurde in einem anderen Tab geändert. Wollen Sie sie neu in das Formular laden?",
+  "tvSeries.confirmDelete": "Wollen Sie diese TV-Serie wirklich löschen?",
+  "tvSeries.deletedElsewhere": "Die TV-Serie {id} wurde in einem anderen Tab gelöscht!",
+  "tvSeries.changedElsewhere": "Die TV-Serie {id} wurde in einem anderen Tab geändert. Wollen Sie sie neu in das Formular laden?",
+  "tvSeries.duplicateEpisode": "Doppelte Episodennummer",
+  "tvSeries.missingEpisode": "Fehlende Episode",
+  "tvSeries.missingSeason": "Fehlende Staffel",
+  "tvSeries.noEpisodes": "Die TV-Serie hat keine Episoden.",
+  "history.empty": "Es wurden keine Änderungen protokolliert.",
+  "command.add": "Hinzufügen von {tableName} {key}",
+  "command.delete": "Löschen von {tableName} {key}",
+  "command.update": "Ändern von {tableName} {key}",
+  "command.more.one": "{command} (und {count} weiterer Datensatz)",
+  "command.more.other": "{command} (und {count} weitere Datensätze)",
+  "command.redo": "{command} wiederholen (Strg+Y)",
+  "command.undo": "{command} rückgängig machen (Strg+Z)",
+  "csv.ambiguousDirectorName": "Der Regisseurname {name} ist nicht eindeutig!",
+  "csv.ambiguousPersonName": "Der Personenname {name} ist nicht eindeutig!",
+  "csv.directorNotNamed": "Der Regisseur {id} heißt nicht {name}!",
+  "csv.noDirectorNamed": "Es gibt keinen Regisseur namens {name}!",
+  "csv.noDirectorWithId": "Es gibt keinen Regisseur mit der ID {id}!",
+  "csv.none": "(keine)",
+  "csv.notAnActor": "Die Person {id} ist kein Darsteller!",
+  "csv.notCreated": "Der Datensatz konnte nicht angelegt werden!",
+  "csv.noTvSeriesNamed": "Es gibt keine TV-Serie namens {name}!",
+  "csv.noTvSeriesWithId": "Es gibt keine TV-Serie mit der ID {id}!",
+  "csv.report": "{imported} Zeilen importiert, {rejected} Zeilen abgelehnt",
+  "csv.row": "Zeile {rowNo}: {messages}",
+  "csv.tvSeriesNotNamed": "Die TV-Serie {id} heißt nicht {name}!",
+  "csv.unknownRole": "Unbekannte Rolle: {role}",
+  "data.confirmImport": "Wollen Sie wirklich alle Daten durch die importierten Datensätze ersetzen?",
+  "data.imported": "Die Datensätze wurden importiert.",
+  "data.importSummary": "{valid} gültige Datensätze ({counts}), {invalid} ungültige Datensätze",
+  "data.invalidJson": "Ungültiges JSON: {message}",
+  "data.skipped": "Die {count} ungültigen Datensätze werden übersprungen.",
+  "migration.current": "Die gespeicherten Daten haben die aktuelle Schemaversion {version}.",
+  "migration.step": "Version {version}: {description}",
+  "migration.unmigrated": "nicht migriert, da: {reason}",
+  "sync.error": "Nicht synchronisiert: {error}",
+  "sync.lastSynced": "Zuletzt synchronisiert am {time}.",
+  "sync.off": "Die Synchronisierung ist ausgeschaltet.",
+  "sync.status": "{pending} Änderungen warten auf die Übertragung, {conflicts} Konflikte sind zusammenzuführen, {rejected} Änderungen wurden abgelehnt.",
+  "trash.confirmEmpty": "Wollen Sie alle Datensätze im Papierkorb wirklich endgültig löschen?",
+  "trash.confirmPurge.one": "Wollen Sie {count} Datensatz wirklich endgültig löschen?",
+  "trash.confirmPurge.other": "Wollen Sie {count} Datensätze wirklich endgültig löschen?",
+  "trash.deletedAlong.one": "zusammen mit {count} anderen Datensatz gelöscht",
+  "trash.deletedAlong.other": "zusammen mit {count} anderen Datensätzen gelöscht",
+  "trash.exists": "{tableName}-Datensatz {key}: Es gibt bereits einen Datensatz mit dieser ID",
+  "trash.expiry": "Gelöschte Datensätze werden {days} Tage lang aufbewahrt.",
+  "trash.failed": "Die Datensätze konnten nicht wiederhergestellt werden: {message}",
+  "trash.invalid": "{tableName}-Datensatz {key}: ungültiger Datensatz (siehe Konsole)",
+  "trash.isEmpty": "Der Papierkorb ist leer.",
+  "trash.unknownType": "{tableName}-Datensatz {key}: unbekannter Datensatztyp",
+  "update.notice": "Eine neue Version der App ist verfügbar.",
+  "update.reload": "Neu laden",
+  "deleteImpact.CASCADE.one": "{count} {type} wird ebenfalls gelöscht.",
+  "deleteImpact.CASCADE.other": "{count} {type} werden ebenfalls gelöscht.",
+  "deleteImpact.RESTRICT.one": "{count} {type} verweist auf {role}, daher kann der Datensatz nicht gelöscht werden.",
+  "deleteImpact.RESTRICT.other": "{count} {type} verweisen auf {role}, daher kann der Datensatz nicht gelöscht werden.",
+  "deleteImpact.SET_NULL.one": "{count} {type} verliert {role}.",
+  "deleteImpact.SET_NULL.other": "{count} {type} verlieren {role}.",
+  "deleteImpact.none": "Die Löschung betrifft keine anderen Datensätze.",
+  "type.Biography.one": "Biografie",
+  "type.Biography.other": "Biografien",
+  "type.Movie.one": "Film",
+  "type.Movie.other": "Filme",
+  "type.Person.one": "Person",
+  "type.Person.other": "Personen",
+  "type.TvSeriesEpisode.one": "TV-Serien-Episode",
+  "type.TvSeriesEpisode.other": "TV-Serien-Episoden",
+  "deleteImpact.Biography.about": "diese Person",
+  "deleteImpact.Movie.actor": "diesen Darsteller",
+  "deleteImpact.Movie.director": "diesen Regisseur",
+  "deleteImpact.Person.agent": "diesen Agenten",
+  "deleteImpact.TvSeriesEpisode.tvSeries": "diese TV-Serie",
+  "CONSTRAINT": "Der Wert von „{label}“ ist ungültig!",
+  "MANDATORY_VALUE": "Ein Wert für „{label}“ muss angegeben werden!",
+  "MANDATORY_VALUE:category": "Ein Wert für „{label}“ muss für diese Kategorie angegeben werden!",
+  "NOT_APPLICABLE": "Ein Wert für „{label}“ darf für diese Kategorie nicht angegeben werden!",
+  "RANGE:String": "„{label}“ muss eine Zeichenkette sein!",
+  "RANGE:NonEmptyString": "„{label}“ muss eine nicht leere Zeichenkette sein!",
+  "RANGE:Integer": "„{label}“ muss eine ganze Zahl sein!",
+  "RANGE:PositiveInteger": "„{label}“ muss eine positive ganze Zahl sein!",
+  "RANGE:Date": "„{label}“ muss ein gültiges Datum sein!",
+  "RANGE:Enumeration": "Ungültiger Wert für „{label}“: {value}",
+  "RANGE:List": "„{label}“ muss eine Liste von IDs sein!",
+  "STRING_LENGTH:max": "„{label}“ darf höchstens {max} Zeichen lang sein!",
+  "STRING_LENGTH:min": "„{label}“ muss mindestens {min} Zeichen lang sein!",
+  "INTERVAL:max": "„{label}“ darf höchstens {max} sein!",
+  "INTERVAL:min": "„{label}“ muss mindestens {min} sein!",
+  "PATTERN": "„{label}“ hat nicht das erforderliche Format!",
+  "UNIQUENESS": "Es gibt bereits einen Datensatz mit dieser {label}!",
+  "UNIQUENESS_PER_SEASON": "Es gibt bereits eine Episode {value} der Staffel {seasonNo} dieser TV-Serie!",
+  "REFERENTIAL_INTEGRITY": "Es gibt keinen Datensatz mit der ID {id} für „{label}“!",
+  "REFERENTIAL_INTEGRITY:count": "Der Datensatz {id} kann nicht gelöscht werden, da {count} Datensätze als „{label}“ auf ihn verweisen!",
+  "FROZEN_VALUE": "„{label}“ kann nicht geändert werden!"
+});
@@ -9,13 +9,25 @@
  Import classes, datatypes and utility procedures
  ***************************************************************/
 import Movie, { MovieCategoryEL } from "../m/Movie.mjs";
-import { displaySegmentFields, undisplayAllSegmentFields } from "./app.mjs"
+import "../m/TvSeriesEpisode.mjs";
+import "../m/Biography.mjs";
+import Person from "../m/Person.mjs";
+import { displaySegmentFields, undisplayAllSegmentFields, handleBeforeUnloadEvent,
+    setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher, renderChangeHistory, setupCsvSection,
+    showConstraintViolations } from "./app.mjs"
 import { fillSelectWithOptions } from "../../lib/util.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import { auditLog } from "../../lib/AuditLog.mjs";
+import { movieCsvFields, exportMoviesCsv, importMovieRows } from "../c/csv.mjs";
+import { startAutoSync, retrieveMovieConflicts, resolveMovieConflict } from "../c/sync.mjs";
 
 /***************************************************************
  Load data
  ***************************************************************/
-Movie.retrieveAll();
+// movies refer to directors and actors, which have to be loaded first
+await Person.retrieveAll();
+await Movie.retrieveAll();
 
 /***************************************************************
  Set up general, use-case-independent UI elements
@@ -34,16 +46,33 @@ for (const frm of document.querySelectorAll("section > form")) {
     frm.reset();
   });
 }
-// save data when leaving the page
-window.addEventListener("beforeunload", function () {
-  Movie.saveAll();
-});
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// set up the Undo/Redo buttons and keyboard shortcuts
+setupUndoRedoButtons();
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
+// synchronize with the remote catalogue, if a sync endpoint has been set
+startAutoSync();
 
 /**********************************************
  * Use case Retrieve/List Movies
 **********************************************/
 document.getElementById("RetrieveAndListAll")
     .addEventListener("click", function () {
+  renderMovieTable();
+  document.getElementById("Movie-M").style.display = "none";
+  document.getElementById("Movie-R").style.display = "block";
+});
+/**
+ * The labels of the movie categories in the chosen locale
+ */
+const categoryLabels = i18n.getEnumLabels("MovieCategoryEL", MovieCategoryEL);
+/**
+ * Populate the view table with the data of all movies
+ */
+function renderMovieTable() {
   const tableBodyEl = document.querySelector("section#Movie-R > table > tbody");
   // reset view table (drop its previous contents)
   tableBodyEl.innerHTML = "";
@@ -53,28 +82,69 @@ document.getElementById("RetrieveAndListAll")
     const row = tableBodyEl.insertRow();
     row.insertCell().textContent = movie.movieID;
     row.insertCell().textContent = movie.title;
-    row.insertCell().textContent = movie.releaseDate;
-    row.insertCell().textContent = movie.Director[0].name;
-    row.insertCell().textContent = movie.Actor.map( a => a.name).join(", ");
-    if (movie.category) {
-      switch (movie.category) {
-      case MovieCategoryEL.TVSERIESEPISODE:
-        row.insertCell().textContent = movie.episodeNo;
-        row.insertCell().textContent = movie.tvSeriesName;
-        break;
-      case MovieCategoryEL.BIOGRAPHY:
-        row.insertCell().textContent = "Biography about " + movie.about;
-        break;
-      }
-    }
+    row.insertCell().textContent = i18n.formatDate( movie.releaseDate);
+    row.insertCell().textContent = movie.director ? movie.director.name : "";
+    row.insertCell().textContent = Object.values( movie.actor).map( a => a.name).join(", ");
+    // one cell per column, the category-specific ones remaining empty
+    row.insertCell().textContent = movie.category ?
+        categoryLabels[movie.category - 1] : "";
+    row.insertCell().textContent = movie.category === MovieCategoryEL.TVSERIESEPISODE ?
+        movie.tvSeries.name : "";
+    row.insertCell().textContent = movie.category === MovieCategoryEL.TVSERIESEPISODE ?
+        movie.seasonNo : "";
+    row.insertCell().textContent = movie.category === MovieCategoryEL.TVSERIESEPISODE ?
+        movie.episodeNo : "";
+    row.insertCell().textContent = movie.category === MovieCategoryEL.BIOGRAPHY ?
+        i18n.t("movie.biographyAbout", {about: movie.about.name}) : "";
   }
-  document.getElementById("Movie-M").style.display = "none";
-  document.getElementById("Movie-R").style.display = "block";
-});
+}
 
 /**********************************************
  * Use case Create Movie
 **********************************************/
+/**
+ * The form fields of movies, which are validated together
+ */
+const movieFields = ["movieID", "title", "releaseDate", "director", "actor",
+    "category", "tvSeries", "seasonNo", "episodeNo", "about"];
+/**
+ * Get the movie slots from the fields of a create or update form, where
+ * the segment fields are only taken for the properties of the subtype of
+ * the selected category
+ * @param {HTMLFormElement} formEl
+ * @return {object}
+ */
+function getMovieSlots( formEl) {
+  const slots = {
+    movieID: formEl.movieID.value,
+    title: formEl.title.value,
+    releaseDate: formEl.releaseDate.value,
+    director: formEl.director.value,
+    actor: formEl.actor.value.split(/[,;\s]+/).filter( id => id !== "")
+  };
+  if (formEl.category.value) {
+    // enum literal indexes start with 1
+    slots.category = parseInt( formEl.category.value) + 1;
+    for (const property of Movie.getSegmentProperties( Movie.getSubtype( slots.category))) {
+      slots[property] = formEl[property].value;
+    }
+  }
+  return slots;
+}
+/**
+ * Validate a single field responsively, together with the fields depending on it
+ * @param {HTMLFormElement} formEl
+ * @param {object} [movie]  The movie to be updated
+ */
+function handleMovieFieldInput( formEl, movie) {
+  const violations = Movie.validate( getMovieSlots( formEl), movie);
+  for (const fieldName of movieFields) {
+    const fieldEl = formEl[fieldName],
+          message = violations[fieldName] ? i18n.formatViolation( violations[fieldName]) : "";
+    // empty fields are only marked when the form is submitted
+    fieldEl.setCustomValidity( fieldEl.value ? message : "");
+  }
+}
 const createFormEl = document.querySelector("section#Movie-C > form"),
       createCategorySelectEl = createFormEl.category;
 //----- set up event handler for menu item "Create" -----------
@@ -83,58 +153,22 @@ document.getElementById("Create").addEventListener("click", function () {
   document.getElementById("Movie-C").style.display = "block";
   undisplayAllSegmentFields( createFormEl, MovieCategoryEL.labels);
   createFormEl.reset();
+  showConstraintViolations( createFormEl, {}, movieFields);
 });
 // set up event handlers for responsive constraint validation
-createFormEl.movieID.addEventListener("input", function () {
-  createFormEl.movieID.setCustomValidity(
-    Movie.checkIsbnAsId( createFormEl.movieID.value).message);
-});
-createFormEl.subjectArea.addEventListener("input", function () {
-  createFormEl.subjectArea.setCustomValidity(
-    Movie.checkSubjectArea( createFormEl.subjectArea.value,
-      parseInt( createFormEl.category.value) + 1).message);
-});
-createFormEl.about.addEventListener("input", function () {
-  createFormEl.about.setCustomValidity(
-    Movie.checkAbout( createFormEl.about.value,
-      parseInt( createFormEl.category.value) + 1).message);
-});
-/* SIMPLIFIED CODE: no responsive validation of title */
+for (const fieldName of movieFields) {
+  createFormEl[fieldName].addEventListener("input", () => handleMovieFieldInput( createFormEl));
+}
 
 // set up the movie category selection list
-fillSelectWithOptions( createCategorySelectEl, MovieCategoryEL.labels);
+fillSelectWithOptions( createCategorySelectEl, categoryLabels);
 createCategorySelectEl.addEventListener("change", handleCategorySelectChangeEvent);
 
 // handle Save button click events
 createFormEl["commit"].addEventListener("click", function () {
-  const categoryStr = createFormEl.category.value;
-  const slots = {
-    movieID: createFormEl.movieID.value,
-    title: createFormEl.title.value,
-    releaseDate: createFormEl.releaseDate.value
-  };
-  if (categoryStr) {
-    // enum literal indexes start with 1
-    slots.category = parseInt( categoryStr) + 1;
-    switch (slots.category) {
-    case MovieCategoryEL.TEXTBOOK:
-      slots.subjectArea = createFormEl.subjectArea.value;
-      createFormEl.subjectArea.setCustomValidity(
-        Movie.checkSubjectArea( createFormEl.subjectArea.value, slots.category).message);
-      break;
-    case MovieCategoryEL.BIOGRAPHY:
-      slots.about = createFormEl.about.value;
-      createFormEl.about.setCustomValidity(
-        Movie.checkAbout( createFormEl.about.value, slots.category).message);
-      break;
-    }
-  }
-  // check all input fields and show error messages
-  createFormEl.movieID.setCustomValidity(
-      Movie.checkIsbnAsId( slots.movieID).message);
-  /* Incomplete code: no on-submit validation of "title" and "releaseDate" */
-  // save the input data only if all form fields are valid
-  if (createFormEl.checkValidity()) {
+  const slots = getMovieSlots( createFormEl);
+  // check all input fields and show all error messages at once
+  if (showConstraintViolations( createFormEl, Movie.validate( slots), movieFields)) {
     Movie.add( slots);
     // un-render all segment/category-specific fields
     undisplayAllSegmentFields( createFormEl, MovieCategoryEL.labels);
@@ -158,55 +192,27 @@ document.getElementById("Update").addEventListener("click", function () {
   document.getElementById("Movie-M").style.display = "none";
   document.getElementById("Movie-U").style.display = "block";
   updateFormEl.reset();
+  showConstraintViolations( updateFormEl, {}, movieFields);
 });
 updateSelectMovieEl.addEventListener("change", handleMovieSelectChangeEvent);
 // set up the movie category selection list
-fillSelectWithOptions( updateSelectCategoryEl, MovieCategoryEL.labels);
+fillSelectWithOptions( updateSelectCategoryEl, categoryLabels);
 updateSelectCategoryEl.addEventListener("change", handleCategorySelectChangeEvent);
 
-/* Incomplete code: no responsive validation of "title" and "releaseDate" */
-// responsive validation of form fields for segment properties
-updateFormEl.subjectArea.addEventListener("input", function () {
-  updateFormEl.subjectArea.setCustomValidity(
-      Movie.checkSubjectArea( updateFormEl.subjectArea.value,
-          parseInt( updateFormEl.category.value) + 1).message);
-});
-updateFormEl.about.addEventListener("input", function () {
-  updateFormEl.about.setCustomValidity(
-      Movie.checkAbout( updateFormEl.about.value,
-          parseInt( updateFormEl.category.value) + 1).message);
-});
+// responsive validation of the form fields
+for (const fieldName of movieFields) {
+  updateFormEl[fieldName].addEventListener("input", () => handleMovieFieldInput(
+      updateFormEl, Movie.instances[updateSelectMovieEl.value]));
+}
 
 // handle Save button click events
 updateFormEl["commit"].addEventListener("click", function () {
-  const categoryStr = updateFormEl.category.value;
   const movieIdRef = updateSelectMovieEl.value;
   if (!movieIdRef) return;
-  var slots = {
-    movieID: updateFormEl.movieID.value,
-    title: updateFormEl.title.value,
-    releaseDate: updateFormEl.releaseDate.value
-  };
-  if (categoryStr) {
-    slots.category = parseInt( categoryStr) + 1;
-    switch (slots.category) {
-    case MovieCategoryEL.TEXTBOOK:
-      slots.subjectArea = updateFormEl.subjectArea.value;
-      updateFormEl.subjectArea.setCustomValidity(
-        Movie.checkSubjectArea( slots.subjectArea, slots.category).message);
-      break;
-    case MovieCategoryEL.BIOGRAPHY:
-      slots.about = updateFormEl.about.value;
-      updateFormEl.about.setCustomValidity(
-          Movie.checkAbout( slots.about, slots.category).message);
-      break;
-    }
-  }
-  // check all input fields and show error messages
-  updateFormEl.movieID.setCustomValidity( Movie.checkIsbn( slots.movieID).message);
-  /* Incomplete code: no on-submit validation of "title" and "releaseDate" */
-  // save the input data only if all form fields are valid
-  if (createFormEl.checkValidity()) {
+  const slots = getMovieSlots( updateFormEl);
+  // check all input fields and show all error messages at once
+  if (showConstraintViolations( updateFormEl,
+      Movie.validate( slots, Movie.instances[movieIdRef]), movieFields)) {
     Movie.update( slots);
     // un-render all segment/category-specific fields
     undisplayAllSegmentFields( updateFormEl, MovieCategoryEL.labels);
@@ -220,32 +226,27 @@ updateFormEl["commit"].addEventListener("click", function () {
  */
 function handleMovieSelectChangeEvent () {
   const movieID = updateFormEl.selectMovie.value;
+  showConstraintViolations( updateFormEl, {}, movieFields);
   if (movieID) {
     const movie = Movie.instances[movieID];
     updateFormEl.movieID.value = movie.movieID;
     updateFormEl.title.value = movie.title;
-    updateFormEl.releaseDate.value = movie.releaseDate;
+    updateFormEl.releaseDate.value = movie.releaseDate.toISOString().slice( 0, 10);
+    updateFormEl.director.value = movie.director ? movie.director.personId : "";
+    updateFormEl.actor.value = Object.keys( movie.actor).join(", ");
+    updateFormEl.tvSeries.value = movie.tvSeries ? movie.tvSeries.tvSeriesId : "";
+    updateFormEl.seasonNo.value = movie.seasonNo || "";
+    updateFormEl.episodeNo.value = movie.episodeNo || "";
+    updateFormEl.about.value = movie.about ? movie.about.personId : "";
+    // disable category selection (the category is the one of the class of
+    // the movie, which cannot be changed)
+    updateFormEl.category.disabled = "disabled";
     if (movie.category) {
       updateFormEl.category.selectedIndex = movie.category;
-      // disable category selection (category is frozen)
-      updateFormEl.category.disabled = "disabled";
       // show category-dependent fields
       displaySegmentFields( updateFormEl, MovieCategoryEL.labels, movie.category);
-      switch (movie.category) {
-      case MovieCategoryEL.TEXTBOOK:
-        updateFormEl.subjectArea.value = movie.subjectArea;
-        updateFormEl.about.value = "";
-        break;
-      case MovieCategoryEL.BIOGRAPHY:
-        updateFormEl.about.value = movie.about;
-        updateFormEl.subjectArea.value = "";
-        break;
-      }
     } else {  // movie has no value for category
       updateFormEl.category.value = "";
-      updateFormEl.category.disabled = "";   // enable category selection
-      updateFormEl.subjectArea.value = "";
-      updateFormEl.about.value = "";
       undisplayAllSegmentFields( updateFormEl, MovieCategoryEL.labels);
     }
   } else {
@@ -273,13 +274,143 @@ document.getElementById("Delete").addEventListener("click", function () {
 deleteFormEl["commit"].addEventListener("click", function () {
   const movieIdRef = delSelMovieEl.value;
   if (!movieIdRef) return;
-  if (confirm("Do you really want to delete this movie?")) {
+  if (confirm( i18n.t("movie.confirmDelete"))) {
     Movie.destroy( movieIdRef);
     delSelMovieEl.remove( delSelMovieEl.selectedIndex);
   }
 });
 
 
+/**********************************************
+ * Use case Show Movie Change History
+ **********************************************/
+const historyFormEl = document.querySelector("section#Movie-H > form");
+const histSelMovieEl = historyFormEl.selectMovie;
+document.getElementById("History").addEventListener("click", function () {
+  histSelMovieEl.innerHTML = "";
+  fillSelectWithOptions( histSelMovieEl, Movie.instances,
+      "movieID", {displayProp:"title"});
+  document.querySelector("section#Movie-H > table > tbody").innerHTML = "";
+  document.getElementById("Movie-M").style.display = "none";
+  document.getElementById("Movie-H").style.display = "block";
+  historyFormEl.reset();
+});
+histSelMovieEl.addEventListener("change", async function () {
+  const tableBodyEl = document.querySelector("section#Movie-H > table > tbody");
+  if (!histSelMovieEl.value) {
+    tableBodyEl.innerHTML = "";
+    return;
+  }
+  // a movie of a category is stored in the table of its subtype
+  renderChangeHistory( tableBodyEl, await auditLog.retrieveRecordHistory(
+      [Movie].concat( Movie.subtypes).map( Class => Class.tableName), histSelMovieEl.value));
+});
+
+
+/**********************************************
+ * Use case Export/Import Movies as CSV
+**********************************************/
+document.getElementById("CSV").addEventListener("click", function () {
+  document.getElementById("Movie-M").style.display = "none";
+  document.getElementById("Movie-CSV").style.display = "block";
+});
+setupCsvSection({sectionEl: document.getElementById("Movie-CSV"), fields: movieCsvFields,
+    fileName: "movies.csv", exportCsv: exportMoviesCsv, importRows: importMovieRows});
+
+/**********************************************
+ * Use case Merge Conflicting Sync Changes
+ **********************************************/
+const mergeFormEl = document.querySelector("section#Movie-Merge > form"),
+      mergeSelectConflictEl = mergeFormEl.selectConflict,
+      mergeFields = ["title", "releaseDate", "director", "actor", "tvSeries", "seasonNo",
+          "episodeNo", "about"];
+var conflicts = {};  // a map of conflict IDs to conflicts
+document.getElementById("Merge").addEventListener("click", async function () {
+  await refreshConflictSelectionList();
+  document.getElementById("Movie-M").style.display = "none";
+  document.getElementById("Movie-Merge").style.display = "block";
+  mergeFormEl.reset();
+});
+async function refreshConflictSelectionList() {
+  conflicts = {};
+  for (const conflict of await retrieveMovieConflicts()) {
+    const {title} = conflict.local || conflict.remote;
+    conflicts[conflict.id] = Object.assign( {title: `${conflict.key}: ${title}`}, conflict);
+  }
+  fillSelectWithOptions( mergeSelectConflictEl, conflicts, "id", {displayProp: "title"});
+}
+/**
+ * Convert a movie record to the values of the merge form fields
+ * @param {object} rec  A movie record, or null for a deleted movie
+ * @return {object}
+ */
+function getMergeFieldValues( rec) {
+  const values = {};
+  if (!rec) return values;
+  const resource = Movie.toResource( rec);
+  for (const field of mergeFields) values[field] = resource[field] ?? "";
+  values.releaseDate = String( values.releaseDate).slice( 0, 10);
+  values.director = values.director || "";
+  values.actor = values.actor.join(", ");
+  return values;
+}
+/**
+ * When a conflict is selected, fill the form with the local version of
+ * the movie and show the remote value next to each field
+ */
+mergeSelectConflictEl.addEventListener("change", function () {
+  const conflict = conflicts[mergeSelectConflictEl.value],
+        infoEl = mergeFormEl.querySelector("p.merge-info");
+  if (!conflict) {
+    mergeFormEl.reset();
+    infoEl.textContent = "";
+    return;
+  }
+  const local = getMergeFieldValues( conflict.local),
+        remote = getMergeFieldValues( conflict.remote);
+  mergeFormEl.movieID.value = conflict.key;
+  infoEl.textContent = !conflict.local ? "The movie has been deleted here." :
+      !conflict.remote ? "The movie has been deleted remotely." :
+      `The movie has been changed remotely at ${i18n.formatDateTime( conflict.remoteModifiedAt)}.`;
+  for (const field of mergeFields) {
+    mergeFormEl[field].value = local[field] ?? "";
+    mergeFormEl[field].disabled = !conflict.local;
+    mergeFormEl[field + "Remote"].value = conflict.remote ? remote[field] : "(deleted)";
+  }
+});
+for (const btn of mergeFormEl.querySelectorAll("button.use-remote")) {
+  btn.addEventListener("click", function () {
+    const conflict = conflicts[mergeSelectConflictEl.value];
+    if (conflict && conflict.local && conflict.remote) {
+      mergeFormEl[btn.value].value = getMergeFieldValues( conflict.remote)[btn.value];
+    }
+  });
+}
+// push the merged movie, or keep the local deletion
+mergeFormEl["commit"].addEventListener("click", async function () {
+  const conflict = conflicts[mergeSelectConflictEl.value];
+  if (!conflict) return;
+  var slots = null;
+  if (conflict.local) {
+    slots = {movieID: conflict.key, title: mergeFormEl.title.value,
+        releaseDate: mergeFormEl.releaseDate.value,
+        director: mergeFormEl.director.value,
+        actor: mergeFormEl.actor.value.split(/[,;\s]+/).filter( id => id !== "")};
+    for (const field of ["tvSeries", "seasonNo", "episodeNo", "about"]) {
+      if (mergeFormEl[field].value) slots[field] = mergeFormEl[field].value;
+    }
+  }
+  await resolveMovieConflict( conflict, slots);
+  await refreshConflictSelectionList();
+});
+mergeFormEl["useRemote"].addEventListener("click", async function () {
+  const conflict = conflicts[mergeSelectConflictEl.value];
+  if (!conflict) return;
+  await resolveMovieConflict( conflict, null, true);
+  mergeFormEl.reset();
+  await refreshConflictSelectionList();
+});
+
 /**********************************************
  * Refresh the Manage Movies Data UI
  **********************************************/
@@ -290,6 +421,9 @@ function refreshManageDataUI() {
   document.getElementById("Movie-C").style.display = "none";
   document.getElementById("Movie-U").style.display = "none";
   document.getElementById("Movie-D").style.display = "none";
+  document.getElementById("Movie-H").style.display = "none";
+  document.getElementById("Movie-CSV").style.display = "none";
+  document.getElementById("Movie-Merge").style.display = "none";
 }
 
 /**
@@ -308,5 +442,44 @@ function handleCategorySelectChangeEvent (e) {
   }
 }
 
+/**********************************************
+ * Keep the UI in sync with changes made in other tabs or by undo/redo
+ **********************************************/
+/**
+ * Refresh the movie listing and selection lists, and the update form if its
+ * movie has been changed
+ */
+function handleRemoteMovieChanges({cleared, entries, local}) {
+  const editedMovieID = updateSelectMovieEl.value;
+  // refresh the open view table and the selection lists
+  if (document.getElementById("Movie-R").style.display === "block") renderMovieTable();
+  refreshMovieSelectionList( updateSelectMovieEl);
+  refreshMovieSelectionList( delSelMovieEl);
+  if (!editedMovieID || !(cleared || entries.some( entry => String( entry.key) === editedMovieID))) return;
+  if (local) {  // undone or redone on this page
+    if (Movie.instances[editedMovieID]) handleMovieSelectChangeEvent();
+    else updateFormEl.reset();
+  } else {  // warn if the movie being edited has been changed elsewhere
+    if (!Movie.instances[editedMovieID]) {
+      alert( i18n.t("movie.deletedElsewhere", {id: editedMovieID}));
+      updateFormEl.reset();
+    } else if (confirm( i18n.t("movie.changedElsewhere", {id: editedMovieID}))) {
+      handleMovieSelectChangeEvent();
+    }
+  }
+}
+// the movies of a category are stored in the table of its subtype
+for (const Class of [Movie].concat( Movie.subtypes)) {
+  storageManager.onRemoteChange( Class.tableName, handleRemoteMovieChanges);
+}
+/**
+ * Re-populate a movie selection list, keeping its selected movie
+ */
+function refreshMovieSelectionList( selectEl) {
+  const movieID = selectEl.value;
+  fillSelectWithOptions( selectEl, Movie.instances, "movieID", {displayProp:"title"});
+  if (movieID in Movie.instances) selectEl.value = movieID;
+}
+
 // Set up Manage Movies UI
 refreshManageDataUI();
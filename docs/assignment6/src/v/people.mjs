@@ -9,14 +9,33 @@
  Import classes, datatypes and utility procedures
  ***************************************************************/
 import Person from "../m/Person.mjs";
+import Actor from "../m/Actor.mjs";
+import Director from "../m/Director.mjs";
 import Employee from "../m/Employee.mjs";
 import Author from "../m/Author.mjs";
+import Movie from "../m/Movie.mjs";
+import "../m/TvSeriesEpisode.mjs";
+import "../m/Biography.mjs";
+import { handleBeforeUnloadEvent,
+    setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher, renderChangeHistory, setupCsvSection,
+    showConstraintViolations, renderDeleteImpact } from "./app.mjs";
 import { fillSelectWithOptions } from "../../lib/util.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import { auditLog } from "../../lib/AuditLog.mjs";
+import { getDeleteImpact, checkDeletion } from "../../lib/properties.mjs";
+import { NoConstraintViolation } from "../../lib/errorTypes.mjs";
+import { Enumeration } from "../../lib/Enumeration.mjs";
+import { personCsvFields, exportPeopleCsv, importPersonRows } from "../c/csv.mjs";
+import { startAutoSync } from "../c/sync.mjs";
 
 /***************************************************************
  Load data
  ***************************************************************/
-Person.retrieveAll();
+await Person.retrieveAll();
+// load the movies, whose references to people are taken into account when
+// deleting people (e.g. the biographies about them)
+await Movie.retrieveAll();
 
 /***************************************************************
  Set up general, use-case-independent UI elements
@@ -32,20 +51,29 @@ for (const frm of document.querySelectorAll("section > form")) {
     frm.reset();
   });
 }
-// save data when leaving the page
-window.addEventListener("beforeunload", function () {
-  Person.saveAll();
-  // save all subtypes for persisting changes of supertype attributes
-  for (const Subtype of Person.subtypes) {
-    Subtype.saveAll();
-  }
-});
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// set up the Undo/Redo buttons and keyboard shortcuts
+setupUndoRedoButtons();
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
+// synchronize with the remote catalogue, if a sync endpoint has been set
+startAutoSync();
 
 /**********************************************
  * Use case Retrieve/List All people
 **********************************************/
 document.getElementById("RetrieveAndListAll")
     .addEventListener("click", function () {
+  renderPersonTable();
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-R").style.display = "block";
+});
+/**
+ * Populate the view table with the data of all people
+ */
+function renderPersonTable() {
   const tableBodyEl = document.querySelector("section#Person-R > table > tbody");
   // reset view table (drop its previous contents)
   tableBodyEl.innerHTML = "";
@@ -56,14 +84,155 @@ document.getElementById("RetrieveAndListAll")
     const roles = [];
     row.insertCell().textContent = person.personId;
     row.insertCell().textContent = person.name;
-    for (const Subtype of Person.subtypes) {
-      if (person.personId in Subtype.instances) roles.push( Subtype.name);
+    for (const Subtype of Person.getRoleClasses( person.personId)) {
+      roles.push( i18n.t(`role.${Subtype.name}`, {}, Subtype.name));
     }
+    // an agent is a person representing actors
+    if (Object.keys( person.representedActors).length > 0) roles.push( i18n.t("role.Agent"));
     row.insertCell().textContent = roles.toString();
+    row.insertCell().textContent = person.agent ? person.agent.name : "";
+    row.insertCell().textContent = Object.values( person.representedActors)
+        .map( client => client.name).join(", ");
+    // the titles of the biographies about the person
+    row.insertCell().textContent = Object.values( person.biographies)
+        .map( biography => biography.title).join(", ");
   }
-  document.getElementById("Person-M").style.display = "none";
-  document.getElementById("Person-R").style.display = "block";
-});
+}
+/**
+ * Fill an agent selection list with all people except the given one
+ * @param {HTMLSelectElement} selectEl
+ * @param {Person} [person]  The person, whose agent is selected
+ */
+function fillAgentSelectionList( selectEl, person) {
+  const agents = Object.assign( {}, Person.instances);
+  if (person) delete agents[person.personId];
+  fillSelectWithOptions( selectEl, agents, "personId", {displayProp:"name"});
+  selectEl.value = person && person.agent ? String( person.agent.personId) : "";
+}
+/**
+ * Render a checkbox for each role, i.e., each subtype of Person, named
+ * "role.<Subtype>", followed by the fields of the role-specific properties
+ * named "<Subtype>.<property>"
+ * @param {HTMLFieldSetElement} fieldsetEl
+ * @param {Person} [person]  The person, whose roles are checked and filled in
+ */
+function renderRoleFields( fieldsetEl, person) {
+  for (const divEl of fieldsetEl.querySelectorAll("div")) divEl.remove();
+  for (const Subtype of Person.subtypes) {
+    const role = person ? Subtype.instances[person.personId] : undefined,
+          divEl = fieldsetEl.appendChild( document.createElement("div")),
+          labelEl = divEl.appendChild( document.createElement("label")),
+          checkboxEl = document.createElement("input");
+    divEl.className = "field";
+    checkboxEl.type = "checkbox";
+    checkboxEl.name = `role.${Subtype.name}`;
+    checkboxEl.checked = Boolean( role);
+    labelEl.append( checkboxEl, " " + i18n.t(`role.${Subtype.name}`, {}, Subtype.name));
+    renderRolePropertyFields( divEl, Subtype, role);
+  }
+}
+/**
+ * Render the fields of the role-specific properties of a subtype of Person,
+ * named "<Subtype>.<property>"
+ * @param {HTMLElement} containerEl
+ * @param {function} Subtype
+ * @param {object} [values]  The role or the slots, whose values are filled in
+ */
+function renderRolePropertyFields( containerEl, Subtype, values) {
+  for (const property of Person.getRoleProperties( Subtype)) {
+    const decl = Subtype.properties[property],
+          isEnum = decl.range instanceof Enumeration,
+          fieldEl = document.createElement( isEnum ? "select" : "input");
+    fieldEl.name = `${Subtype.name}.${property}`;
+    containerEl.appendChild( document.createElement("label")).append(
+        i18n.t(`property.${property}`, {}, decl.label || property) + ": ", fieldEl);
+    if (isEnum) {
+      fillSelectWithOptions( fieldEl, decl.range.labels);
+      fieldEl.value = values && values[property] ? String( values[property] - 1) : "";
+    } else {
+      fieldEl.type = "text";
+      fieldEl.value = values && values[property] !== undefined ? values[property] : "";
+    }
+  }
+}
+/**
+ * Get the slots of the role-specific properties of a subtype of Person
+ * from their fields in a form (see renderRolePropertyFields)
+ * @param {HTMLFormElement} formEl
+ * @param {function} Subtype
+ * @return {object}
+ */
+function getRoleSlots( formEl, Subtype) {
+  const slots = {};
+  for (const property of Person.getRoleProperties( Subtype)) {
+    const fieldEl = formEl[`${Subtype.name}.${property}`];
+    if (Subtype.properties[property].range instanceof Enumeration) {
+      slots[property] = fieldEl.value ? parseInt( fieldEl.value) + 1 : "";
+    } else {
+      slots[property] = fieldEl.value;
+    }
+  }
+  return slots;
+}
+/**
+ * Get the roles of a person to be added, updated or removed according to the
+ * role checkboxes and fields of a form, and check them: the slots of added
+ * roles are validated together with the slots of the person, and removed
+ * roles must not be referenced by a property with the delete policy RESTRICT
+ * @param {HTMLFormElement} formEl
+ * @param {object} personSlots  The slots of the person from the form
+ * @param {Person} [person]  The person to be updated
+ * @return {{added: Array, updated: Array, removed: Array<function>,
+ *     violations: object, fieldNames: Array<string>}}  where added and
+ *     updated list [Subtype, slots] pairs, and violations maps the names
+ *     of the checked fields to their constraint violations
+ */
+function getRoleChanges( formEl, personSlots, person) {
+  const changes = {added: [], updated: [], removed: [], violations: {}, fieldNames: []};
+  for (const Subtype of Person.subtypes) {
+    const role = person ? Subtype.instances[person.personId] : undefined,
+          checkboxName = `role.${Subtype.name}`,
+          properties = Person.getRoleProperties( Subtype),
+          slots = formEl[checkboxName].checked ? getRoleSlots( formEl, Subtype) : {};
+    let violations = {};
+    changes.fieldNames.push( checkboxName);
+    if (formEl[checkboxName].checked) {
+      changes.fieldNames.push( ...properties.map( property => `${Subtype.name}.${property}`));
+      if (!role) {
+        changes.added.push([Subtype, slots]);
+        violations = Subtype.validate( Object.assign( {}, personSlots, slots));
+      } else if (properties.length > 0) {
+        changes.updated.push([Subtype, slots]);
+        violations = Subtype.validate( slots, role);
+      }
+      for (const property of properties) {
+        if (violations[property]) {
+          changes.violations[`${Subtype.name}.${property}`] = violations[property];
+        }
+      }
+    } else if (role) {
+      changes.removed.push( Subtype);
+      const violation = checkDeletion( role);
+      if (!(violation instanceof NoConstraintViolation)) changes.violations[checkboxName] = violation;
+    }
+  }
+  return changes;
+}
+/**
+ * Add, update and remove the roles of a person
+ * @param {string} personId
+ * @param {{added: Array, updated: Array, removed: Array<function>}} changes
+ *     As returned by getRoleChanges
+ */
+async function saveRoleChanges( personId, {added, updated, removed}) {
+  for (const [Subtype, slots] of added) {
+    await Subtype.add( Object.assign( {personId}, slots));
+  }
+  for (const [Subtype, slots] of updated) {
+    await Subtype.update( Object.assign( {personId}, slots));
+  }
+  for (const Subtype of removed) await Subtype.destroy( personId);
+}
 
 /**********************************************
  * Use case Create Person
@@ -74,33 +243,47 @@ document.getElementById("Create").addEventListener("click", function () {
     document.getElementById("Person-M").style.display = "none";
     document.getElementById("Person-C").style.display = "block";
     createFormEl.reset();
+    fillAgentSelectionList( createFormEl.agent);
+    renderRoleFields( createFormEl.querySelector("fieldset.roles"));
   });
 // set up event handlers for responsive constraint validation
 createFormEl.personId.addEventListener("input", function () {
   createFormEl.personId.setCustomValidity(
-    Person.checkPersonIdAsId( createFormEl.personId.value).message);
+    i18n.formatViolation( Person.checkPersonIdAsId( createFormEl.personId.value)));
+});
+createFormEl.name.addEventListener("input", function () {
+  createFormEl.name.setCustomValidity(
+    i18n.formatViolation( Person.checkName( createFormEl.name.value)));
+});
+createFormEl.agent.addEventListener("change", function () {
+  createFormEl.agent.setCustomValidity(
+    i18n.formatViolation( Person.checkAgent( createFormEl.agent.value)));
 });
-/* SIMPLIFIED CODE: no responsive validation of name */
 
 // handle Save button click events
-createFormEl["commit"].addEventListener("click", function () {
+createFormEl["commit"].addEventListener("click", async function () {
   const slots = {
     personId: createFormEl.personId.value,
-    name: createFormEl.name.value
+    name: createFormEl.name.value,
+    agent: createFormEl.agent.value
   };
-  // check all input fields and show error messages
-  createFormEl.personId.setCustomValidity(
-    Person.checkPersonIdAsId( slots.personId).message);
-  /* SIMPLIFIED CODE: no before-submit validation of name */
+  const roleChanges = getRoleChanges( createFormEl, slots);
+  // check all input fields and show all error messages at once, and
   // save the input data only if all form fields are valid
-  if (createFormEl.checkValidity()) Person.add( slots);
+  if (showConstraintViolations( createFormEl,
+      Object.assign( Person.validate( slots), roleChanges.violations),
+      ["personId", "name", "agent"].concat( roleChanges.fieldNames))) {
+    await Person.add( slots);
+    if (Person.instances[slots.personId]) await saveRoleChanges( slots.personId, roleChanges);
+  }
 });
 
 /**********************************************
  * Use case Update Person
 **********************************************/
 const updateFormEl = document.querySelector("section#Person-U > form");
-const updSelPersonEl = updateFormEl.selectPerson;
+const updSelPersonEl = updateFormEl.selectPerson,
+      updateDeleteImpactEl = updateFormEl.querySelector("ul.delete-impact");
 //----- set up event handler for menu item "Update" ----------
 document.getElementById("Update").addEventListener("click", function () {
   // reset selection list (drop its previous contents)
@@ -111,31 +294,171 @@ document.getElementById("Update").addEventListener("click", function () {
   document.getElementById("Person-M").style.display = "none";
   document.getElementById("Person-U").style.display = "block";
   updateFormEl.reset();
+  handlePersonSelectChangeEvent();
 });
 //----- handle person selection events -------------------
-updSelPersonEl.addEventListener("change", function () {
+updSelPersonEl.addEventListener("change", handlePersonSelectChangeEvent);
+/**
+ * handle person selection events
+ * when a person is selected, populate the form with the data of the selected person
+ */
+function handlePersonSelectChangeEvent() {
   const persId = updateFormEl.selectPerson.value;
   if (persId) {
     const pers = Person.instances[persId];
     updateFormEl.personId.value = pers.personId;
     updateFormEl.name.value = pers.name;
+    // a person cannot be its own agent
+    fillAgentSelectionList( updateFormEl.agent, pers);
+    updateFormEl.representedActors.value = Object.keys( pers.representedActors).join(", ");
+    renderRoleFields( updateFormEl.querySelector("fieldset.roles"), pers);
   } else {
     updateFormEl.reset();
+    renderRoleFields( updateFormEl.querySelector("fieldset.roles"));
+  }
+  updateDeleteImpactEl.innerHTML = "";
+}
+updateFormEl.representedActors.addEventListener("input", function () {
+  updateFormEl.representedActors.setCustomValidity( i18n.formatViolation(
+      Person.checkRepresentedActors( getRepresentedActorIds( updateFormEl))));
+});
+//----- preview the impact of removing roles on the records referencing them -----
+updateFormEl.querySelector("fieldset.roles").addEventListener("change", function () {
+  const person = Person.instances[updSelPersonEl.value],
+        removedRoles = person ? Person.getRoles( person.personId)
+            .filter( role => role !== person && !updateFormEl[`role.${role.constructor.name}`].checked) : [];
+  if (removedRoles.length > 0) {
+    renderDeleteImpact( updateDeleteImpactEl, getDeleteImpact( ...removedRoles));
+  } else {
+    updateDeleteImpactEl.innerHTML = "";
   }
 });
+/**
+ * Get the IDs of the represented actors entered in a form
+ * @return {Array<string>}
+ */
+function getRepresentedActorIds( formEl) {
+  return formEl.representedActors.value.split(/[,;\s]+/).filter( id => id !== "");
+}
 //----- handle Save button click events -------------------
-updateFormEl["commit"].addEventListener("click", function () {
+updateFormEl["commit"].addEventListener("click", async function () {
+  const person = Person.instances[updSelPersonEl.value],
+        // the selection list is reset along with the form on submit
+        optionEl = updSelPersonEl.options[updSelPersonEl.selectedIndex];
+  if (!person) return;
   const slots = {
-    personId: updateFormEl.personId.value,
-    name: updateFormEl.name.value
+    personId: person.personId,
+    name: updateFormEl.name.value,
+    agent: updateFormEl.agent.value,
+    representedActors: getRepresentedActorIds( updateFormEl)
+  };
+  const roleChanges = getRoleChanges( updateFormEl, slots, person);
+  // check all property constraints, and save the input data only if all
+  // of the form fields are valid
+  if (showConstraintViolations( updateFormEl,
+      Object.assign( Person.validate( slots, person), roleChanges.violations),
+      ["name", "agent", "representedActors"].concat( roleChanges.fieldNames))) {
+    await Person.update( slots);
+    await saveRoleChanges( slots.personId, roleChanges);
+    // update the person selection list's option element
+    optionEl.text = slots.name;
+  }
+});
+
+/**********************************************
+ * Use case Change the Role of a Person
+**********************************************/
+const changeRoleFormEl = document.querySelector("section#Person-CR > form");
+const roleSelPersonEl = changeRoleFormEl.selectPerson,
+      roleFieldsEl = changeRoleFormEl.querySelector("div.role-fields"),
+      roleChangeImpactEl = changeRoleFormEl.querySelector("ul.delete-impact");
+/**
+ * Get Person or the subtype of Person with the given name
+ * @param {string} name
+ * @return {function}
+ */
+function getRoleClass( name) {
+  return [Person].concat( Person.subtypes).find( Class => Class.name === name);
+}
+/**
+ * Fill a role selection list with Person (i.e., no role) and the given subtypes
+ * @param {HTMLSelectElement} selectEl
+ * @param {Array<function>} Subtypes
+ */
+function fillRoleSelectionList( selectEl, Subtypes) {
+  const roles = {};
+  for (const Class of [Person].concat( Subtypes)) {
+    roles[Class.name] = {name: Class.name, label: i18n.t(`role.${Class.name}`, {}, Class.name)};
   }
-  // check all property constraints
-  /* SIMPLIFIED CODE: no before-save validation of name */
-  // save the input data only if all of the form fields are valid
-  if (updSelPersonEl.checkValidity()) {
-    Person.update( slots);
-    // update the author selection list's option element
-    updSelPersonEl.options[updSelPersonEl.selectedIndex].text = slots.name;
+  fillSelectWithOptions( selectEl, roles, "name", {displayProp: "label"});
+}
+//----- set up event handler for menu item "Change role" ----------
+document.getElementById("ChangeRole").addEventListener("click", function () {
+  fillSelectWithOptions( roleSelPersonEl, Person.instances, "personId", {displayProp:"name"});
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-CR").style.display = "block";
+  changeRoleFormEl.reset();
+  handleRoleChangePersonSelectChangeEvent();
+});
+//----- offer the current roles of the selected person and the roles it does not have -----
+roleSelPersonEl.addEventListener("change", handleRoleChangePersonSelectChangeEvent);
+function handleRoleChangePersonSelectChangeEvent() {
+  const personId = roleSelPersonEl.value,
+        roleClasses = personId ? Person.getRoleClasses( personId) : [];
+  fillRoleSelectionList( changeRoleFormEl.fromRole, roleClasses);
+  fillRoleSelectionList( changeRoleFormEl.toRole,
+      Person.subtypes.filter( Subtype => !roleClasses.includes( Subtype)));
+  handleFromRoleSelectChangeEvent();
+  handleToRoleSelectChangeEvent();
+}
+//----- preview the impact of giving up the current role on the records referencing it -----
+changeRoleFormEl.fromRole.addEventListener("change", function () {
+  handleFromRoleSelectChangeEvent();
+  // the compatible properties of the current role are carried over
+  handleToRoleSelectChangeEvent();
+});
+function handleFromRoleSelectChangeEvent() {
+  const From = getRoleClass( changeRoleFormEl.fromRole.value),
+        oldRole = From && From !== Person ? From.instances[roleSelPersonEl.value] : undefined;
+  roleChangeImpactEl.innerHTML = "";
+  changeRoleFormEl["commit"].disabled = false;
+  if (oldRole) {
+    changeRoleFormEl["commit"].disabled = !renderDeleteImpact( roleChangeImpactEl,
+        getDeleteImpact( oldRole));
+  }
+}
+//----- show the fields of the new role, filled in with the carried over values -----
+changeRoleFormEl.toRole.addEventListener("change", handleToRoleSelectChangeEvent);
+function handleToRoleSelectChangeEvent() {
+  const From = getRoleClass( changeRoleFormEl.fromRole.value),
+        To = getRoleClass( changeRoleFormEl.toRole.value),
+        oldRole = From ? From.instances[roleSelPersonEl.value] : undefined;
+  roleFieldsEl.innerHTML = "";
+  if (To && To !== Person) {
+    renderRolePropertyFields( roleFieldsEl, To,
+        oldRole ? Person.getChangedRoleSlots( oldRole, To, {}) : undefined);
+  }
+}
+//----- handle Save button click events -------------------
+changeRoleFormEl["commit"].addEventListener("click", async function () {
+  const personId = roleSelPersonEl.value,
+        From = getRoleClass( changeRoleFormEl.fromRole.value),
+        To = getRoleClass( changeRoleFormEl.toRole.value);
+  if (!personId || !From || !To) return;
+  const slots = To === Person ? {} : getRoleSlots( changeRoleFormEl, To),
+        roleFieldNames = Object.keys( slots).map( property => `${To.name}.${property}`),
+        violations = {};
+  // the violations of the role-specific properties are shown at their fields
+  for (const [property, violation] of Object.entries(
+      Person.validateRoleChange( personId, From, To, slots))) {
+    violations[property in slots ? `${To.name}.${property}` : property] = violation;
+  }
+  if (showConstraintViolations( changeRoleFormEl, violations,
+      ["fromRole", "toRole"].concat( roleFieldNames))) {
+    await Person.changeRole( personId, From, To, slots);
+    // keep the person selected for changing another role
+    roleSelPersonEl.value = personId;
+    handleRoleChangePersonSelectChangeEvent();
   }
 });
 
@@ -143,7 +466,8 @@ updateFormEl["commit"].addEventListener("click", function () {
  * Use case Delete Person
 **********************************************/
 const deleteFormEl = document.querySelector("section#Person-D > form");
-const delSelPersonEl = deleteFormEl.selectPerson;
+const delSelPersonEl = deleteFormEl.selectPerson,
+      deleteImpactEl = deleteFormEl.querySelector("ul.delete-impact");
 //----- set up event handler for menu item "Delete" -----------
 document.getElementById("Delete").addEventListener("click", function () {
   // reset selection list (drop its previous contents)
@@ -154,17 +478,68 @@ document.getElementById("Delete").addEventListener("click", function () {
   document.getElementById("Person-M").style.display = "none";
   document.getElementById("Person-D").style.display = "block";
   deleteFormEl.reset();
+  handleDeletePersonSelectChangeEvent();
 });
-//----- set up event handler for Delete button -------------------------
-deleteFormEl["commit"].addEventListener("click", function () {
+//----- preview the impact of deleting the selected person on its movies -----
+delSelPersonEl.addEventListener("change", handleDeletePersonSelectChangeEvent);
+function handleDeletePersonSelectChangeEvent() {
   const personIdRef = delSelPersonEl.value;
+  deleteImpactEl.innerHTML = "";
+  deleteFormEl["commit"].disabled = false;
+  if (personIdRef) {
+    deleteFormEl["commit"].disabled = !renderDeleteImpact( deleteImpactEl,
+        getDeleteImpact( ...Person.getRoles( personIdRef)));
+  }
+}
+//----- set up event handler for Delete button -------------------------
+deleteFormEl["commit"].addEventListener("click", async function () {
+  const personIdRef = delSelPersonEl.value,
+        impactMessages = [...deleteImpactEl.children].map( itemEl => itemEl.textContent);
   if (!personIdRef) return;
-  if (confirm("Do you really want to delete this person?")) {
-    Person.destroy( personIdRef);
-    delSelPersonEl.remove( delSelPersonEl.selectedIndex);
+  if (confirm([i18n.t("person.confirmDelete")].concat( impactMessages).join("\n"))) {
+    await Person.destroy( personIdRef);
+    if (!Person.instances[personIdRef]) delSelPersonEl.remove( delSelPersonEl.selectedIndex);
+    handleDeletePersonSelectChangeEvent();
   }
 });
 
+/**********************************************
+ * Use case Show Person Change History
+**********************************************/
+const historyFormEl = document.querySelector("section#Person-H > form");
+const histSelPersonEl = historyFormEl.selectPerson;
+//----- set up event handler for menu item "History" -----------
+document.getElementById("History").addEventListener("click", function () {
+  histSelPersonEl.innerHTML = "";
+  fillSelectWithOptions( histSelPersonEl, Person.instances,
+      "personId", {displayProp:"name"});
+  document.querySelector("section#Person-H > table > tbody").innerHTML = "";
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-H").style.display = "block";
+  historyFormEl.reset();
+});
+//----- show the logged changes of the selected person in all its roles -----
+histSelPersonEl.addEventListener("change", async function () {
+  const tableBodyEl = document.querySelector("section#Person-H > table > tbody");
+  if (!histSelPersonEl.value) {
+    tableBodyEl.innerHTML = "";
+    return;
+  }
+  const tableNames = [Person].concat( Person.subtypes).map( Class => Class.tableName);
+  renderChangeHistory( tableBodyEl, await auditLog.retrieveRecordHistory(
+      tableNames, histSelPersonEl.value));
+});
+
+/**********************************************
+ * Use case Export/Import People as CSV
+**********************************************/
+document.getElementById("CSV").addEventListener("click", function () {
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-CSV").style.display = "block";
+});
+setupCsvSection({sectionEl: document.getElementById("Person-CSV"), fields: personCsvFields,
+    fileName: "people.csv", exportCsv: exportPeopleCsv, importRows: importPersonRows});
+
 /**********************************************
  * Refresh the Manage People Data UI
  **********************************************/
@@ -174,7 +549,44 @@ function refreshManageDataUI() {
   document.getElementById("Person-R").style.display = "none";
   document.getElementById("Person-C").style.display = "none";
   document.getElementById("Person-U").style.display = "none";
+  document.getElementById("Person-CR").style.display = "none";
   document.getElementById("Person-D").style.display = "none";
+  document.getElementById("Person-H").style.display = "none";
+  document.getElementById("Person-CSV").style.display = "none";
+}
+
+/**********************************************
+ * Keep the UI in sync with changes made in other tabs or by undo/redo
+ **********************************************/
+for (const Class of [Person].concat( Person.subtypes)) {
+  storageManager.onRemoteChange( Class.tableName, function ({cleared, entries, local}) {
+    const editedPersonId = updSelPersonEl.value;
+    // refresh the open view table and the selection lists
+    if (document.getElementById("Person-R").style.display === "block") renderPersonTable();
+    refreshPersonSelectionList( updSelPersonEl);
+    refreshPersonSelectionList( roleSelPersonEl);
+    refreshPersonSelectionList( delSelPersonEl);
+    if (!editedPersonId || !(cleared || entries.some( entry => String( entry.key) === editedPersonId))) return;
+    if (local) {  // undone or redone on this page
+      if (Person.instances[editedPersonId]) handlePersonSelectChangeEvent();
+      else updateFormEl.reset();
+    } else {  // warn if the person being edited has been changed elsewhere
+      if (!Person.instances[editedPersonId]) {
+        alert( i18n.t("person.deletedElsewhere", {id: editedPersonId}));
+        updateFormEl.reset();
+      } else if (confirm( i18n.t("person.changedElsewhere", {id: editedPersonId}))) {
+        handlePersonSelectChangeEvent();
+      }
+    }
+  });
+}
+/**
+ * Re-populate a person selection list, keeping its selected person
+ */
+function refreshPersonSelectionList( selectEl) {
+  const personId = selectEl.value;
+  fillSelectWithOptions( selectEl, Person.instances, "personId", {displayProp:"name"});
+  if (personId in Person.instances) selectEl.value = personId;
 }
 
 // Set up Manage People UI
@@ -0,0 +1,119 @@
+/**
+ * @fileOverview  View code of UI for inspecting, restoring and purging deleted records
+ * @author Phong Vu Thanh
+ */
+/***************************************************************
+ Import classes, datatypes and utility procedures
+ ***************************************************************/
+import Person from "../m/Person.mjs";
+import Movie from "../m/Movie.mjs";
+import { handleBeforeUnloadEvent, setupServiceWorker, setupLocaleSwitcher } from "./app.mjs";
+import { restoreDeletedRecords } from "../c/trash.mjs";
+import { recycleBin } from "../../lib/RecycleBin.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+
+/***************************************************************
+ Load data
+ ***************************************************************/
+// restoring records requires the existing ones for checking IDs and references
+await Person.retrieveAll();
+await Movie.retrieveAll();
+
+/***************************************************************
+ Set up general, use-case-independent UI elements
+ ***************************************************************/
+const tableBodyEl = document.querySelector("table#trash > tbody"),
+      errorsEl = document.getElementById("restoreErrors");
+document.getElementById("trashExpiry").textContent =
+    i18n.t("trash.expiry", {days: recycleBin.maxAge});
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
+
+/**********************************************
+ * Use case List Deleted Records
+ **********************************************/
+/**
+ * Get the name of a deleted person, or of the person of a deleted role,
+ * whose record only keeps the person ID
+ */
+function getPersonName( entry, entries) {
+  if (entry.record.name) return entry.record.name;
+  if (entry.record.personId === undefined) return "";
+  const person = Person.instances[entry.key],
+        personEntry = entries.find( e => e.tableName === Person.tableName && e.key === entry.key);
+  return person ? person.name : personEntry ? personEntry.record.name : "";
+}
+async function renderTrashTable() {
+  const entries = Object.values( await recycleBin.retrieveAll())
+      .sort( (e1, e2) => e2.deletedAt.localeCompare( e1.deletedAt) ||
+          e1.deletionId.localeCompare( e2.deletionId));
+  tableBodyEl.innerHTML = "";
+  for (const entry of entries) {
+    const row = tableBodyEl.insertRow(),
+          checkboxEl = document.createElement("input"),
+          groupSize = entries.filter( e => e.deletionId === entry.deletionId).length;
+    checkboxEl.type = "checkbox";
+    checkboxEl.value = entry.id;
+    checkboxEl.dataset.deletionId = entry.deletionId;
+    row.insertCell().appendChild( checkboxEl);
+    row.insertCell().textContent = i18n.formatDateTime( entry.deletedAt);
+    row.insertCell().textContent = entry.operator;
+    row.insertCell().textContent = entry.tableName;
+    row.insertCell().textContent = entry.key;
+    row.insertCell().textContent = entry.record.title || getPersonName( entry, entries) || "";
+    row.insertCell().textContent = groupSize > 1 ?
+        i18n.plural("trash.deletedAlong", groupSize - 1) : "";
+  }
+  if (entries.length === 0) {
+    tableBodyEl.insertRow().insertCell().textContent = i18n.t("trash.isEmpty");
+  }
+}
+// select the records deleted by the same operation together
+tableBodyEl.addEventListener("change", function (e) {
+  const checkboxEl = e.target;
+  for (const el of tableBodyEl.querySelectorAll("input[type=checkbox]")) {
+    if (el.dataset.deletionId === checkboxEl.dataset.deletionId) el.checked = checkboxEl.checked;
+  }
+});
+function getSelectedEntryIds() {
+  return Array.from( tableBodyEl.querySelectorAll("input[type=checkbox]:checked"), el => el.value);
+}
+
+/**********************************************
+ * Use case Restore Deleted Records
+ **********************************************/
+document.getElementById("Restore").addEventListener("click", async function () {
+  const ids = getSelectedEntryIds();
+  if (ids.length === 0) return;
+  const errors = await restoreDeletedRecords( ids);
+  errorsEl.innerHTML = "";
+  for (const error of errors) {
+    const errorEl = document.createElement("li");
+    errorEl.textContent = error;
+    errorsEl.appendChild( errorEl);
+  }
+  await renderTrashTable();
+});
+
+/**********************************************
+ * Use case Purge Deleted Records
+ **********************************************/
+document.getElementById("Purge").addEventListener("click", async function () {
+  const ids = getSelectedEntryIds();
+  if (ids.length === 0) return;
+  if (confirm( i18n.plural("trash.confirmPurge", ids.length))) {
+    await recycleBin.purge( ids);
+    await renderTrashTable();
+  }
+});
+document.getElementById("EmptyTrash").addEventListener("click", async function () {
+  if (confirm( i18n.t("trash.confirmEmpty"))) {
+    await recycleBin.purge( Object.keys( await recycleBin.retrieveAll()));
+    await renderTrashTable();
+  }
+});
+
+await renderTrashTable();
@@ -0,0 +1,327 @@
+/**
+ * @fileOverview  View code of UI for managing TvSeries data
+ * @author Gerd Wagner
+ * @copyright Copyright 2013-2021 Gerd Wagner, Chair of Internet Technology, Brandenburg University of Technology, Germany.
+ * @license This code is licensed under The Code Project Open License (CPOL), implying that the code is provided "as-is",
+ * can be modified to create derivative works, can be redistributed, and can be used in commercial applications.
+ */
+/***************************************************************
+ Import classes, datatypes and utility procedures
+ ***************************************************************/
+import TvSeries from "../m/TvSeries.mjs";
+import Movie from "../m/Movie.mjs";
+import TvSeriesEpisode from "../m/TvSeriesEpisode.mjs";
+import "../m/Biography.mjs";
+import Person from "../m/Person.mjs";
+import { handleBeforeUnloadEvent, setupUndoRedoButtons, setupServiceWorker, setupLocaleSwitcher,
+    showConstraintViolations, renderDeleteImpact } from "./app.mjs";
+import { fillSelectWithOptions } from "../../lib/util.mjs";
+import { storageManager } from "../../lib/StorageManager.mjs";
+import { i18n } from "../../lib/i18n.mjs";
+import { getDeleteImpact } from "../../lib/properties.mjs";
+
+/***************************************************************
+ Load data
+ ***************************************************************/
+// the episodes of the TV series are movies, which refer to people
+await Person.retrieveAll();
+await Movie.retrieveAll();
+
+/***************************************************************
+ Set up general, use-case-independent UI elements
+ ***************************************************************/
+// set up back-to-menu buttons for all use cases
+for (const btn of document.querySelectorAll("button.back-to-menu")) {
+  btn.addEventListener('click', refreshManageDataUI);
+}
+// neutralize the submit event for all use cases
+for (const frm of document.querySelectorAll("section > form")) {
+  frm.addEventListener("submit", function (e) {
+    e.preventDefault();
+    frm.reset();
+  });
+}
+// write the records that are still dirty when leaving the page
+window.addEventListener("beforeunload", handleBeforeUnloadEvent);
+// set up the Undo/Redo buttons and keyboard shortcuts
+setupUndoRedoButtons();
+// make the app available offline
+setupServiceWorker();
+setupLocaleSwitcher();
+
+/**********************************************
+ * Use case Retrieve/List TV Series
+**********************************************/
+document.getElementById("RetrieveAndListAll").addEventListener("click", function () {
+  renderTvSeriesTable();
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-R").style.display = "block";
+});
+/**
+ * Populate the view table with the data of all TV series
+ */
+function renderTvSeriesTable() {
+  const tableBodyEl = document.querySelector("section#TvSeries-R > table > tbody");
+  // reset view table (drop its previous contents)
+  tableBodyEl.innerHTML = "";
+  // populate view table
+  for (const key of Object.keys( TvSeries.instances)) {
+    const tvSeries = TvSeries.instances[key];
+    const row = tableBodyEl.insertRow();
+    row.insertCell().textContent = tvSeries.tvSeriesId;
+    row.insertCell().textContent = tvSeries.name;
+    row.insertCell().textContent = tvSeries.startYear;
+    row.insertCell().textContent = tvSeries.endYear || "";
+    row.insertCell().textContent = tvSeries.network || "";
+    row.insertCell().textContent = Object.keys( tvSeries.episodes).length;
+  }
+}
+
+/**********************************************
+ * Use case Create TV Series
+**********************************************/
+/**
+ * The form fields of TV series, which are validated together
+ */
+const tvSeriesFields = ["name", "startYear", "endYear", "network"];
+/**
+ * Get the TV series slots from the fields of a create or update form
+ * @param {HTMLFormElement} formEl
+ * @return {object}
+ */
+function getTvSeriesSlots( formEl) {
+  const slots = {
+    tvSeriesId: formEl.tvSeriesId.value,
+    name: formEl.name.value,
+    startYear: formEl.startYear.value
+  };
+  // the optional properties are unset by empty fields
+  for (const property of ["endYear", "network"]) slots[property] = formEl[property].value;
+  return slots;
+}
+const createFormEl = document.querySelector("section#TvSeries-C > form");
+//----- set up event handler for menu item "Create" -----------
+document.getElementById("Create").addEventListener("click", function () {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-C").style.display = "block";
+  createFormEl.reset();
+  showConstraintViolations( createFormEl, {}, ["tvSeriesId"].concat( tvSeriesFields));
+});
+// set up event handlers for responsive constraint validation
+for (const fieldName of ["tvSeriesId"].concat( tvSeriesFields)) {
+  createFormEl[fieldName].addEventListener("input", function () {
+    const violations = TvSeries.validate( getTvSeriesSlots( createFormEl));
+    for (const name of ["tvSeriesId"].concat( tvSeriesFields)) {
+      const fieldEl = createFormEl[name];
+      // empty fields are only marked when the form is submitted
+      fieldEl.setCustomValidity( fieldEl.value && violations[name] ?
+          i18n.formatViolation( violations[name]) : "");
+    }
+  });
+}
+// handle Save button click events
+createFormEl["commit"].addEventListener("click", function () {
+  const slots = getTvSeriesSlots( createFormEl);
+  // check all input fields and show all error messages at once
+  if (showConstraintViolations( createFormEl, TvSeries.validate( slots),
+      ["tvSeriesId"].concat( tvSeriesFields))) {
+    TvSeries.add( slots);
+  }
+});
+
+/**********************************************
+ * Use case Update TV Series
+**********************************************/
+const updateFormEl = document.querySelector("section#TvSeries-U > form"),
+      updSelTvSeriesEl = updateFormEl.selectTvSeries;
+// handle click event for the menu item "Update"
+document.getElementById("Update").addEventListener("click", function () {
+  // reset selection list (drop its previous contents)
+  updSelTvSeriesEl.innerHTML = "";
+  // populate the selection list
+  fillSelectWithOptions( updSelTvSeriesEl, TvSeries.instances,
+      "tvSeriesId", {displayProp:"name"});
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-U").style.display = "block";
+  updateFormEl.reset();
+  showConstraintViolations( updateFormEl, {}, tvSeriesFields);
+});
+updSelTvSeriesEl.addEventListener("change", handleTvSeriesSelectChangeEvent);
+// handle Save button click events
+updateFormEl["commit"].addEventListener("click", function () {
+  const tvSeriesIdRef = updSelTvSeriesEl.value;
+  if (!tvSeriesIdRef) return;
+  const slots = getTvSeriesSlots( updateFormEl);
+  delete slots.tvSeriesId;
+  // check all input fields and show all error messages at once
+  if (showConstraintViolations( updateFormEl,
+      TvSeries.validate( slots, TvSeries.instances[tvSeriesIdRef]), tvSeriesFields)) {
+    TvSeries.update( Object.assign( {tvSeriesId: tvSeriesIdRef}, slots));
+    // update the TV series selection list's option element
+    updSelTvSeriesEl.options[updSelTvSeriesEl.selectedIndex].text = slots.name;
+  }
+});
+/**
+ * handle TV series selection events
+ * when a TV series is selected, populate the form with its data
+ */
+function handleTvSeriesSelectChangeEvent() {
+  const key = updSelTvSeriesEl.value;
+  showConstraintViolations( updateFormEl, {}, tvSeriesFields);
+  if (key) {
+    const tvSeries = TvSeries.instances[key];
+    updateFormEl.tvSeriesId.value = tvSeries.tvSeriesId;
+    updateFormEl.name.value = tvSeries.name;
+    updateFormEl.startYear.value = tvSeries.startYear;
+    updateFormEl.endYear.value = tvSeries.endYear || "";
+    updateFormEl.network.value = tvSeries.network || "";
+  } else {
+    updateFormEl.reset();
+  }
+}
+
+/**********************************************
+ * Use case Delete TV Series
+**********************************************/
+const deleteFormEl = document.querySelector("section#TvSeries-D > form"),
+      delSelTvSeriesEl = deleteFormEl.selectTvSeries,
+      deleteImpactEl = deleteFormEl.querySelector("ul.delete-impact");
+//----- set up event handler for menu item "Delete" -----------
+document.getElementById("Delete").addEventListener("click", function () {
+  // reset selection list (drop its previous contents)
+  delSelTvSeriesEl.innerHTML = "";
+  // populate the selection list
+  fillSelectWithOptions( delSelTvSeriesEl, TvSeries.instances,
+      "tvSeriesId", {displayProp:"name"});
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-D").style.display = "block";
+  deleteFormEl.reset();
+  handleDeleteTvSeriesSelectChangeEvent();
+});
+//----- preview the impact of deleting the selected TV series on its episodes -----
+delSelTvSeriesEl.addEventListener("change", handleDeleteTvSeriesSelectChangeEvent);
+function handleDeleteTvSeriesSelectChangeEvent() {
+  const tvSeriesIdRef = delSelTvSeriesEl.value;
+  deleteImpactEl.innerHTML = "";
+  deleteFormEl["commit"].disabled = false;
+  if (tvSeriesIdRef) {
+    deleteFormEl["commit"].disabled = !renderDeleteImpact( deleteImpactEl,
+        getDeleteImpact( TvSeries.instances[tvSeriesIdRef]));
+  }
+}
+// handle Delete button click events
+deleteFormEl["commit"].addEventListener("click", async function () {
+  const tvSeriesIdRef = delSelTvSeriesEl.value;
+  if (!tvSeriesIdRef) return;
+  if (confirm( i18n.t("tvSeries.confirmDelete"))) {
+    await TvSeries.destroy( tvSeriesIdRef);
+    if (!TvSeries.instances[tvSeriesIdRef]) delSelTvSeriesEl.remove( delSelTvSeriesEl.selectedIndex);
+    handleDeleteTvSeriesSelectChangeEvent();
+  }
+});
+
+/**********************************************
+ * Use case Show Seasons and Episodes
+**********************************************/
+const episodesFormEl = document.querySelector("section#TvSeries-E > form"),
+      epiSelTvSeriesEl = episodesFormEl.selectTvSeries;
+document.getElementById("Episodes").addEventListener("click", function () {
+  epiSelTvSeriesEl.innerHTML = "";
+  fillSelectWithOptions( epiSelTvSeriesEl, TvSeries.instances,
+      "tvSeriesId", {displayProp:"name"});
+  document.querySelector("section#TvSeries-E > table > tbody").innerHTML = "";
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-E").style.display = "block";
+  episodesFormEl.reset();
+});
+epiSelTvSeriesEl.addEventListener("change", renderEpisodeTable);
+/**
+ * List the episodes of the selected TV series ordered by season and episode
+ * number, with a row flagging each missing season or episode, and the
+ * episodes sharing their number flagged as duplicates
+ */
+function renderEpisodeTable() {
+  const tableBodyEl = document.querySelector("section#TvSeries-E > table > tbody"),
+        tvSeries = TvSeries.instances[epiSelTvSeriesEl.value];
+  tableBodyEl.innerHTML = "";
+  if (!tvSeries) return;
+  const addRow = (cells, remark) => {
+    const row = tableBodyEl.insertRow();
+    for (const cell of cells.concat([remark || ""])) row.insertCell().textContent = cell;
+    if (remark) row.className = "flagged";
+  };
+  const seasons = tvSeries.getSeasons();
+  for (const {seasonNo, episodes, missingEpisodeNos, duplicateEpisodeNos} of seasons) {
+    if (episodes.length === 0) {
+      addRow([seasonNo, "", "", "", ""], i18n.t("tvSeries.missingSeason"));
+      continue;
+    }
+    // the episodes and the gaps between them in the order of their numbers
+    const items = episodes.concat( missingEpisodeNos.map( episodeNo => ({episodeNo})))
+        .sort( (i1, i2) => i1.episodeNo - i2.episodeNo);
+    for (const item of items) {
+      if (!item.movieID) {
+        addRow([seasonNo, item.episodeNo, "", "", ""], i18n.t("tvSeries.missingEpisode"));
+      } else {
+        addRow([seasonNo, item.episodeNo, item.movieID, item.title, i18n.formatDate( item.releaseDate)],
+            duplicateEpisodeNos.includes( item.episodeNo) ? i18n.t("tvSeries.duplicateEpisode") : "");
+      }
+    }
+  }
+  if (seasons.length === 0) {
+    tableBodyEl.insertRow().insertCell().textContent = i18n.t("tvSeries.noEpisodes");
+  }
+}
+
+/**********************************************
+ * Refresh the Manage TV Series Data UI
+ **********************************************/
+function refreshManageDataUI() {
+  // show the manage TV series UI and hide the other UIs
+  document.getElementById("TvSeries-M").style.display = "block";
+  document.getElementById("TvSeries-R").style.display = "none";
+  document.getElementById("TvSeries-C").style.display = "none";
+  document.getElementById("TvSeries-U").style.display = "none";
+  document.getElementById("TvSeries-D").style.display = "none";
+  document.getElementById("TvSeries-E").style.display = "none";
+}
+
+/**********************************************
+ * Keep the UI in sync with changes made in other tabs or by undo/redo
+ **********************************************/
+storageManager.onRemoteChange( TvSeries.tableName, function ({cleared, entries, local}) {
+  const editedTvSeriesId = updSelTvSeriesEl.value;
+  // refresh the open view tables and the selection lists
+  refreshTvSeriesViews();
+  if (!editedTvSeriesId ||
+      !(cleared || entries.some( entry => String( entry.key) === editedTvSeriesId))) return;
+  if (local) {  // undone or redone on this page
+    if (TvSeries.instances[editedTvSeriesId]) handleTvSeriesSelectChangeEvent();
+    else updateFormEl.reset();
+  } else {  // warn if the TV series being edited has been changed elsewhere
+    if (!TvSeries.instances[editedTvSeriesId]) {
+      alert( i18n.t("tvSeries.deletedElsewhere", {id: editedTvSeriesId}));
+      updateFormEl.reset();
+    } else if (confirm( i18n.t("tvSeries.changedElsewhere", {id: editedTvSeriesId}))) {
+      handleTvSeriesSelectChangeEvent();
+    }
+  }
+});
+// the episodes of the TV series may be added, renumbered or deleted
+storageManager.onRemoteChange( TvSeriesEpisode.tableName, refreshTvSeriesViews);
+/**
+ * Refresh the open view tables and the selection lists, keeping their
+ * selected TV series
+ */
+function refreshTvSeriesViews() {
+  if (document.getElementById("TvSeries-R").style.display === "block") renderTvSeriesTable();
+  for (const selectEl of [updSelTvSeriesEl, delSelTvSeriesEl, epiSelTvSeriesEl]) {
+    const tvSeriesId = selectEl.value;
+    fillSelectWithOptions( selectEl, TvSeries.instances, "tvSeriesId", {displayProp:"name"});
+    if (tvSeriesId in TvSeries.instances) selectEl.value = tvSeriesId;
+  }
+  if (document.getElementById("TvSeries-E").style.display === "block") renderEpisodeTable();
+}
+
+// Set up Manage TV Series UI
+refreshManageDataUI();
@@ -0,0 +1,61 @@
+/**
+ * @fileOverview  The service worker of the app, which precaches all pages,
+ *   modules and style sheets in a versioned cache, so that the app can be
+ *   installed and used offline. A new version of the app is published by
+ *   changing CACHE_VERSION, which lets the browser install the new service
+ *   worker, whose activation is offered to the user by the pages.
+ * @author Phong Vu Thanh
+ */
+const CACHE_VERSION = 27;
+const CACHE_NAME = `moviedb-v${CACHE_VERSION}`;
+/**
+ * The files of the app, relative to the service worker's scope, which have
+ * to be listed here when being added (except for the Node.js-only modules
+ * lib/FileStorageAdapter.mjs and server/server.mjs)
+ */
+const PRECACHE_URLS = [
+  "./",
+  "index.html", "movies.html", "tvSeries.html", "people.html", "employees.html", "authors.html",
+  "trash.html",
+  "manifest.json", "favicon.ico", "favicon.svg", "mask-icon.svg",
+  "apple-touch-icon.png", "google-touch-icon.png",
+  "css/normalize.css", "css/main.css",
+  "lib/AuditLog.mjs", "lib/CommandHistory.mjs", "lib/Enumeration.mjs", "lib/RecycleBin.mjs",
+  "lib/StorageManager.mjs", "lib/SyncEngine.mjs", "lib/csv.mjs", "lib/errorTypes.mjs",
+  "lib/i18n.mjs", "lib/properties.mjs", "lib/util.mjs",
+  "src/m/Actor.mjs", "src/m/Author.mjs", "src/m/Biography.mjs", "src/m/Director.mjs",
+  "src/m/Employee.mjs", "src/m/Movie.mjs", "src/m/Person.mjs", "src/m/TvSeries.mjs",
+  "src/m/TvSeriesEpisode.mjs", "src/m/migrations.mjs",
+  "src/v/app.mjs", "src/v/authors.mjs", "src/v/employees.mjs", "src/v/movies.mjs",
+  "src/v/messages.mjs", "src/v/people.mjs", "src/v/trash.mjs", "src/v/tvSeries.mjs",
+  "src/c/app.mjs", "src/c/backup.mjs", "src/c/csv.mjs", "src/c/sync.mjs", "src/c/trash.mjs"
+];
+
+self.addEventListener("install", function (e) {
+  // bypass the HTTP cache for getting the files of the new version
+  e.waitUntil( caches.open( CACHE_NAME).then( cache => cache.addAll(
+      PRECACHE_URLS.map( url => new Request( url, {cache: "reload"})))));
+});
+self.addEventListener("activate", function (e) {
+  // delete the caches of previous versions
+  e.waitUntil( caches.keys().then( cacheNames => Promise.all( cacheNames
+      .filter( cacheName => cacheName.startsWith("moviedb-") && cacheName !== CACHE_NAME)
+      .map( cacheName => caches.delete( cacheName))))
+      .then( () => self.clients.claim()));
+});
+// the user has chosen to reload the pages with the new version
+self.addEventListener("message", function (e) {
+  if (e.data && e.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+/**
+ * Serve the files of the app from the cache, ignoring query strings, and
+ * let all other requests (e.g. those to a sync endpoint) go to the network
+ */
+self.addEventListener("fetch", function (e) {
+  const url = new URL( e.request.url);
+  if (e.request.method !== "GET" || url.origin !== self.location.origin) return;
+  e.respondWith( caches.open( CACHE_NAME).then( async function (cache) {
+    const response = await cache.match( e.request, {ignoreSearch: true});
+    return response || fetch( e.request);
+  }));
+});